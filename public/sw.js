@@ -0,0 +1,94 @@
+// Service worker: keeps the dashboard usable on flaky field connections.
+//  - The app shell (index.html, hashed /assets, config.json, the Tailwind CDN
+//    script) is cached so the app boots offline.
+//  - Map tiles are cached as they are viewed, up to MAX_TILES.
+//  - Data requests (Supabase REST/realtime) are never touched; the app keeps
+//    its own snapshot of the last known sensors and readings (offlineCache.js).
+// Bump CACHE_VERSION to drop old caches after changing this file.
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `leak-dashboard-shell-${CACHE_VERSION}`;
+const TILE_CACHE = `leak-dashboard-tiles-${CACHE_VERSION}`;
+const MAX_TILES = 1500;
+
+const SHELL_URLS = ['/', '/index.html', '/manifest.webmanifest', '/icon.svg'];
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith('leak-dashboard-') && ![SHELL_CACHE, TILE_CACHE].includes(key))
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Try the network, keep a copy, fall back to the cached copy when offline.
+// Cross-origin responses (CDN script, tiles) come back opaque without CORS;
+// they are still worth keeping.
+async function networkFirst(request, cacheName, fallbackUrl) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(fallbackUrl || request);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+  return response;
+}
+
+// Oldest entries go first; Cache.keys() is in insertion order
+async function trimCache(cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  const sameOrigin = url.origin === self.location.origin;
+
+  if (request.mode === 'navigate') {
+    // SPA routes all boot from index.html
+    event.respondWith(networkFirst(request, SHELL_CACHE, '/index.html'));
+  } else if (sameOrigin && url.pathname.startsWith('/assets/')) {
+    // Vite hashes these file names, so a cached copy never goes stale
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+  } else if (sameOrigin && url.pathname === '/config.json') {
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+  } else if (!sameOrigin && request.destination === 'script') {
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+  } else if (!sameOrigin && request.destination === 'image') {
+    event.respondWith(
+      cacheFirst(request, TILE_CACHE).then(response => {
+        event.waitUntil(trimCache(TILE_CACHE, MAX_TILES));
+        return response;
+      })
+    );
+  }
+});
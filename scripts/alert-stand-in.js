@@ -0,0 +1,56 @@
+// Local stand-in for alert webhooks and SMS gateways. Logs every request it
+// receives so alert rules can be tried without a real endpoint:
+//
+//   npm run alerts:stand-in
+//   PORT=9000 FAIL_FIRST=2 npm run alerts:stand-in   # answer 500 twice to exercise retries
+//
+// Point a rule's target at http://localhost:8787/anything. CORS is open so the
+// mock data source can post to it straight from the browser.
+
+import http from 'node:http';
+
+const port = Number(process.env.PORT || 8787);
+let failuresLeft = Number(process.env.FAIL_FIRST || 0);
+let received = 0;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, content-type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+};
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    received += 1;
+    const failing = failuresLeft > 0;
+    if (failing) failuresLeft -= 1;
+    const status = failing ? 500 : 200;
+
+    let pretty = body;
+    try {
+      pretty = JSON.stringify(JSON.parse(body), null, 2);
+    } catch {
+      // not JSON, print as is
+    }
+    console.log(`#${received} ${new Date().toISOString()} ${req.method} ${req.url} -> ${status}`);
+    if (req.headers.authorization) console.log(`  authorization: ${req.headers.authorization}`);
+    console.log(pretty.replace(/^/gm, '  '));
+
+    res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: !failing, received }));
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Alert stand-in listening on http://localhost:${port}${failuresLeft ? ` (failing the first ${failuresLeft})` : ''}`);
+});
@@ -0,0 +1,466 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ArrowLeft, Plus, Pencil, Trash2, Send, RefreshCw } from 'lucide-react';
+import { fetchSensors, fetchAlertRules, saveAlertRule, deleteAlertRule, fetchAlertDeliveries, sendTestAlert } from './dataAccess';
+import { ALERT_CHANNELS, LEAK_SIZE_OPTIONS, TEMPLATE_FIELDS, DEFAULT_TEMPLATES, DEFAULT_COOLDOWN_MINUTES } from './shared/alerts';
+import { validateAlertRule } from './alertRuleValidation';
+import SensorMultiSelect from './SensorMultiSelect';
+
+const CHANNEL_LABELS = { webhook: 'Webhook', email: 'Email (SMTP)', sms: 'SMS gateway' };
+
+const TARGET_LABELS = {
+  webhook: 'Webhook URL',
+  email: 'Email address(es), comma separated',
+  sms: 'SMS gateway URL',
+};
+
+const DELIVERY_STATUS_STYLES = {
+  pending: 'bg-gray-100 text-gray-700 border-gray-200',
+  retrying: 'bg-yellow-100 text-yellow-800 border-yellow-200',
+  sent: 'bg-green-100 text-green-800 border-green-200',
+  failed: 'bg-red-100 text-red-800 border-red-200',
+};
+
+const DELIVERY_LOG_LIMIT = 100;
+
+const EMPTY_FORM = {
+  name: '',
+  enabled: true,
+  channel: 'webhook',
+  target: '',
+  recipient: '',
+  sensor_ids: [],
+  leak_sizes: [],
+  min_confidence: '80',
+  quiet_start: '',
+  quiet_end: '',
+  timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+  cooldown_minutes: String(DEFAULT_COOLDOWN_MINUTES),
+  template: '',
+};
+
+function formFromRule(rule) {
+  return {
+    ...EMPTY_FORM,
+    ...rule,
+    recipient: rule.recipient || '',
+    sensor_ids: rule.sensor_ids || [],
+    leak_sizes: rule.leak_sizes || [],
+    min_confidence: String(rule.min_confidence),
+    // Postgres returns HH:MM:SS, the time input wants HH:MM
+    quiet_start: rule.quiet_start?.slice(0, 5) || '',
+    quiet_end: rule.quiet_end?.slice(0, 5) || '',
+    cooldown_minutes: String(rule.cooldown_minutes ?? DEFAULT_COOLDOWN_MINUTES),
+    template: rule.template || '',
+  };
+}
+
+function ruleFromForm(form) {
+  return {
+    id: form.id,
+    name: form.name.trim(),
+    enabled: form.enabled,
+    channel: form.channel,
+    target: form.target.trim(),
+    recipient: form.channel === 'sms' ? form.recipient.trim() : null,
+    sensor_ids: form.sensor_ids,
+    leak_sizes: form.leak_sizes,
+    min_confidence: Number(form.min_confidence),
+    quiet_start: form.quiet_start || null,
+    quiet_end: form.quiet_end || null,
+    timezone: form.timezone,
+    cooldown_minutes: Number(form.cooldown_minutes),
+    template: form.template.trim() ? form.template : null,
+  };
+}
+
+// "S001, S002 | >= 80% | Large | quiet 22:00-06:00 | every 30 min per sensor"
+function describeFilters(rule) {
+  const parts = [
+    rule.sensor_ids?.length > 0 ? rule.sensor_ids.join(', ') : 'All sensors',
+    `>= ${rule.min_confidence}%`,
+  ];
+  if (rule.leak_sizes?.length > 0) parts.push(rule.leak_sizes.join('/'));
+  if (rule.quiet_start && rule.quiet_end) parts.push(`quiet ${rule.quiet_start.slice(0, 5)}-${rule.quiet_end.slice(0, 5)}`);
+  if (rule.cooldown_minutes > 0) parts.push(`every ${rule.cooldown_minutes} min per sensor`);
+  return parts.join(' | ');
+}
+
+// ==========================================
+// PAGE 7: ALERT RULES
+// ==========================================
+function AlertSettings() {
+  const navigate = useNavigate();
+  const [rules, setRules] = useState([]);
+  const [deliveries, setDeliveries] = useState([]);
+  const [sensors, setSensors] = useState([]);
+  const [loading, setLoading] = useState(true);
+  // null = no form open, otherwise the form values (with `id` when editing)
+  const [editing, setEditing] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  // { ruleId, ok, message } from the last "send test"
+  const [testResult, setTestResult] = useState(null);
+  const [testingId, setTestingId] = useState(null);
+
+  const loadDeliveries = useCallback(async () => {
+    const { data, error } = await fetchAlertDeliveries(DELIVERY_LOG_LIMIT);
+    if (error) {
+      console.error("Error fetching alert deliveries:", error);
+    } else {
+      setDeliveries(data || []);
+    }
+  }, []);
+
+  useEffect(() => {
+    const loadRules = async () => {
+      const [{ data, error }, { data: sensorData, error: sensorError }] =
+        await Promise.all([fetchAlertRules(), fetchSensors({ includeDecommissioned: true }), loadDeliveries()]);
+      if (error) {
+        console.error("Error fetching alert rules:", error);
+      } else {
+        setRules(data || []);
+      }
+      if (sensorError) {
+        console.error("Error fetching sensors:", sensorError);
+      } else {
+        setSensors(sensorData || []);
+      }
+      setLoading(false);
+    };
+    loadRules();
+  }, [loadDeliveries]);
+
+  const ruleName = (ruleId) => rules.find(r => r.id === ruleId)?.name || `#${ruleId ?? '-'}`;
+
+  const setField = (key, value) => {
+    setEditing(prev => ({ ...prev, [key]: value }));
+  };
+
+  const toggleLeakSize = (size) => {
+    setEditing(prev => ({
+      ...prev,
+      leak_sizes: prev.leak_sizes.includes(size) ? prev.leak_sizes.filter(s => s !== size) : [...prev.leak_sizes, size],
+    }));
+  };
+
+  const startCreate = () => {
+    setErrors({});
+    setEditing(EMPTY_FORM);
+  };
+
+  const startEdit = (rule) => {
+    setErrors({});
+    setEditing(formFromRule(rule));
+  };
+
+  const replaceRule = (saved) => {
+    setRules(prev => {
+      const others = prev.filter(r => r.id !== saved.id);
+      return [...others, saved].sort((a, b) => a.name.localeCompare(b.name));
+    });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const validationErrors = validateAlertRule(editing);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+
+    setSaving(true);
+    const { data, error } = await saveAlertRule(ruleFromForm(editing));
+    setSaving(false);
+
+    if (error) {
+      console.error("Error saving alert rule:", error);
+      setErrors({ form: error.message });
+      return;
+    }
+    replaceRule(data);
+    setEditing(null);
+  };
+
+  const handleToggleEnabled = async (rule) => {
+    const { data, error } = await saveAlertRule({ id: rule.id, enabled: !rule.enabled });
+    if (error) {
+      console.error("Error updating alert rule:", error);
+    } else {
+      replaceRule(data);
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete alert rule "${rule.name}"? Its delivery log is kept.`)) return;
+    const { error } = await deleteAlertRule(rule.id);
+    if (error) {
+      console.error("Error deleting alert rule:", error);
+      return;
+    }
+    setRules(prev => prev.filter(r => r.id !== rule.id));
+    if (editing?.id === rule.id) setEditing(null);
+  };
+
+  const handleSendTest = async (rule) => {
+    setTestingId(rule.id);
+    setTestResult(null);
+    const { data, error } = await sendTestAlert(rule.id);
+    setTestingId(null);
+
+    if (error) {
+      console.error("Error sending test alert:", error);
+      setTestResult({ ruleId: rule.id, ok: false, message: error.message });
+    } else {
+      setTestResult({
+        ruleId: rule.id,
+        ok: data.status === 'sent',
+        message: data.status === 'sent' ? `Test sent to ${data.target}` : `Test failed: ${data.last_error}`,
+      });
+    }
+    loadDeliveries();
+  };
+
+  const inputClass = (field) => `px-3 py-2 border rounded text-sm w-full ${errors[field] ? 'border-red-500' : ''}`;
+
+  return (
+    <div className="min-h-screen w-full bg-gray-100 p-6 font-sans">
+      <div className="bg-white p-6 rounded-lg shadow-md min-h-[85vh] flex flex-col">
+
+        {/* Header */}
+        <div className="flex justify-between items-center mb-6">
+          <div className="flex items-center gap-4">
+            <button
+              onClick={() => navigate('/')}
+              className="p-2 rounded-full hover:bg-gray-100 text-gray-600 transition-colors"
+            >
+              <ArrowLeft size={24} />
+            </button>
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">Alert Rules</h1>
+              <p className="text-gray-500 text-sm">Send leak alerts to webhooks, email and SMS</p>
+            </div>
+          </div>
+          <button
+            onClick={startCreate}
+            className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 shadow text-sm font-medium transition-colors"
+          >
+            <Plus size={18} /> Add Rule
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+
+          {/* RULE TABLE */}
+          <div className="overflow-x-auto">
+            {testResult && (
+              <p className={`mb-3 text-sm p-3 rounded border ${testResult.ok ? 'bg-green-50 border-green-200 text-green-700' : 'bg-red-50 border-red-200 text-red-700'}`}>
+                {ruleName(testResult.ruleId)}: {testResult.message}
+              </p>
+            )}
+            <table className="w-full text-left border-collapse">
+              <thead className="bg-gray-100 border-b-2 border-gray-200">
+                <tr>
+                  <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">On</th>
+                  <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Rule</th>
+                  <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Filters</th>
+                  <th className="py-3 px-4"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {loading ? (
+                  <tr><td colSpan="4" className="p-8 text-center text-gray-500">Loading rules...</td></tr>
+                ) : rules.length === 0 ? (
+                  <tr><td colSpan="4" className="p-8 text-center text-gray-400">No alert rules yet.</td></tr>
+                ) : rules.map(rule => (
+                  <tr key={rule.id} className={`hover:bg-blue-50 transition-colors ${rule.enabled ? '' : 'opacity-60'}`}>
+                    <td className="py-3 px-4">
+                      <input type="checkbox" checked={rule.enabled} onChange={() => handleToggleEnabled(rule)} title="Enabled" />
+                    </td>
+                    <td className="py-3 px-4 text-sm">
+                      <p className="font-medium text-gray-900">{rule.name}</p>
+                      <p className="text-xs text-gray-500 break-all">
+                        {CHANNEL_LABELS[rule.channel]}: {rule.target}{rule.recipient ? ` -> ${rule.recipient}` : ''}
+                      </p>
+                    </td>
+                    <td className="py-3 px-4 text-xs text-gray-600">{describeFilters(rule)}</td>
+                    <td className="py-3 px-4 text-right whitespace-nowrap">
+                      <button
+                        onClick={() => handleSendTest(rule)}
+                        disabled={testingId !== null}
+                        className="p-1 rounded hover:bg-green-100 text-green-700 transition-colors disabled:opacity-50"
+                        title="Send test"
+                      >
+                        <Send size={16} />
+                      </button>
+                      <button onClick={() => startEdit(rule)} className="p-1 rounded hover:bg-blue-100 text-blue-600 transition-colors" title="Edit">
+                        <Pencil size={16} />
+                      </button>
+                      <button onClick={() => handleDelete(rule)} className="p-1 rounded hover:bg-red-100 text-red-600 transition-colors" title="Delete">
+                        <Trash2 size={16} />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* RULE FORM */}
+          {editing ? (
+            <form onSubmit={handleSave} className="p-4 bg-gray-50 rounded-lg border border-gray-200 grid grid-cols-2 gap-3 self-start">
+              <h2 className="col-span-2 text-lg font-bold text-gray-800">
+                {editing.id ? `Edit Rule: ${editing.name}` : 'New Alert Rule'}
+              </h2>
+              <label className="text-sm text-gray-600">
+                Name
+                <input className={inputClass('name')} value={editing.name} onChange={e => setField('name', e.target.value)} />
+                {errors.name && <span className="text-xs text-red-600">{errors.name}</span>}
+              </label>
+              <label className="text-sm text-gray-600">
+                Channel
+                <select className={inputClass('channel')} value={editing.channel} onChange={e => setField('channel', e.target.value)}>
+                  {ALERT_CHANNELS.map(channel => <option key={channel} value={channel}>{CHANNEL_LABELS[channel]}</option>)}
+                </select>
+              </label>
+              <label className={`text-sm text-gray-600 ${editing.channel === 'sms' ? '' : 'col-span-2'}`}>
+                {TARGET_LABELS[editing.channel]}
+                <input className={inputClass('target')} value={editing.target} onChange={e => setField('target', e.target.value)} />
+                {errors.target && <span className="text-xs text-red-600">{errors.target}</span>}
+              </label>
+              {editing.channel === 'sms' && (
+                <label className="text-sm text-gray-600">
+                  Phone number
+                  <input className={inputClass('recipient')} value={editing.recipient} onChange={e => setField('recipient', e.target.value)} />
+                  {errors.recipient && <span className="text-xs text-red-600">{errors.recipient}</span>}
+                </label>
+              )}
+
+              <div className="text-sm text-gray-600">
+                Sensors
+                <SensorMultiSelect sensors={sensors} selected={editing.sensor_ids} onChange={ids => setField('sensor_ids', ids)} />
+              </div>
+              <label className="text-sm text-gray-600">
+                Min. confidence (%)
+                <input type="number" min="0" max="100" className={inputClass('min_confidence')} value={editing.min_confidence} onChange={e => setField('min_confidence', e.target.value)} />
+                {errors.min_confidence && <span className="text-xs text-red-600">{errors.min_confidence}</span>}
+              </label>
+              <div className="col-span-2 text-sm text-gray-600">
+                Leak sizes <span className="text-xs text-gray-400">(none ticked = any)</span>
+                <div className="flex gap-4 mt-1">
+                  {LEAK_SIZE_OPTIONS.map(size => (
+                    <label key={size} className="flex items-center gap-1">
+                      <input type="checkbox" checked={editing.leak_sizes.includes(size)} onChange={() => toggleLeakSize(size)} />
+                      {size}
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <label className="text-sm text-gray-600">
+                Quiet hours from
+                <input type="time" className={inputClass('quiet_start')} value={editing.quiet_start} onChange={e => setField('quiet_start', e.target.value)} />
+                {errors.quiet_start && <span className="text-xs text-red-600">{errors.quiet_start}</span>}
+              </label>
+              <label className="text-sm text-gray-600">
+                Quiet hours to
+                <input type="time" className={inputClass('quiet_start')} value={editing.quiet_end} onChange={e => setField('quiet_end', e.target.value)} />
+              </label>
+              <label className="text-sm text-gray-600">
+                Time zone
+                <input className={inputClass('timezone')} value={editing.timezone} onChange={e => setField('timezone', e.target.value)} />
+                {errors.timezone && <span className="text-xs text-red-600">{errors.timezone}</span>}
+              </label>
+              <label className="text-sm text-gray-600">
+                Cooldown per sensor (minutes) <span className="text-xs text-gray-400">(0 = every reading)</span>
+                <input type="number" min="0" className={inputClass('cooldown_minutes')} value={editing.cooldown_minutes} onChange={e => setField('cooldown_minutes', e.target.value)} />
+                {errors.cooldown_minutes && <span className="text-xs text-red-600">{errors.cooldown_minutes}</span>}
+              </label>
+
+              <label className="col-span-2 text-sm text-gray-600">
+                Template <span className="text-xs text-gray-400">(empty = default)</span>
+                <textarea
+                  rows={6}
+                  className={`${inputClass('template')} font-mono`}
+                  placeholder={DEFAULT_TEMPLATES[editing.channel]}
+                  value={editing.template}
+                  onChange={e => setField('template', e.target.value)}
+                />
+                {errors.template && <span className="text-xs text-red-600">{errors.template}</span>}
+                <span className="block text-xs text-gray-400">
+                  Placeholders: {TEMPLATE_FIELDS.map(f => `{{${f}}}`).join(' ')}
+                </span>
+              </label>
+
+              <label className="col-span-2 flex items-center gap-2 text-sm text-gray-600">
+                <input type="checkbox" checked={editing.enabled} onChange={e => setField('enabled', e.target.checked)} />
+                Enabled
+              </label>
+
+              {errors.form && <p className="col-span-2 text-sm text-red-600">{errors.form}</p>}
+              <div className="col-span-2 flex justify-end gap-2">
+                <button type="button" onClick={() => setEditing(null)} className="px-4 py-2 rounded text-sm font-medium text-gray-600 hover:bg-gray-200">
+                  Cancel
+                </button>
+                <button type="submit" disabled={saving} className="px-4 py-2 rounded bg-blue-600 text-white text-sm font-medium hover:bg-blue-700 disabled:opacity-50">
+                  {saving ? 'Saving...' : 'Save'}
+                </button>
+              </div>
+            </form>
+          ) : (
+            <p className="p-4 text-sm text-gray-400 bg-gray-50 rounded-lg border border-gray-200 self-start">
+              Select a rule to edit, or add a new one. New leak detections that match an enabled rule are sent
+              server-side and retried on failure.
+            </p>
+          )}
+        </div>
+
+        {/* DELIVERY LOG */}
+        <div className="flex justify-between items-center border-b pb-2 mb-2">
+          <h2 className="text-lg font-bold text-gray-800">Delivery Log</h2>
+          <button onClick={loadDeliveries} className="flex items-center gap-1 text-sm text-blue-600 hover:underline">
+            <RefreshCw size={14} /> Refresh
+          </button>
+        </div>
+        <div className="overflow-x-auto flex-1">
+          <table className="w-full text-left border-collapse">
+            <thead className="bg-gray-100 border-b-2 border-gray-200">
+              <tr>
+                <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Queued</th>
+                <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Rule</th>
+                <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Target</th>
+                <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Detection</th>
+                <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Status</th>
+                <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Attempts</th>
+                <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Last Error</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {deliveries.length === 0 ? (
+                <tr><td colSpan="7" className="p-8 text-center text-gray-400">Nothing sent yet.</td></tr>
+              ) : deliveries.map(delivery => (
+                <tr key={delivery.id} className="hover:bg-blue-50 transition-colors">
+                  <td className="py-3 px-4 text-sm text-gray-600 whitespace-nowrap">{new Date(delivery.created_at).toLocaleString()}</td>
+                  <td className="py-3 px-4 text-sm text-gray-900">{ruleName(delivery.rule_id)}</td>
+                  <td className="py-3 px-4 text-xs text-gray-500 break-all">{CHANNEL_LABELS[delivery.channel]}: {delivery.target}</td>
+                  <td className="py-3 px-4 text-sm text-gray-600">{delivery.is_test ? 'Test' : `#${delivery.detection_id}`}</td>
+                  <td className="py-3 px-4">
+                    <span className={`text-xs px-2 py-1 rounded-full font-bold border uppercase ${DELIVERY_STATUS_STYLES[delivery.status]}`}>
+                      {delivery.status}
+                    </span>
+                    {delivery.status === 'retrying' && delivery.next_attempt_at && (
+                      <span className="block text-xs text-gray-400 mt-1">next {new Date(delivery.next_attempt_at).toLocaleTimeString()}</span>
+                    )}
+                  </td>
+                  <td className="py-3 px-4 text-sm text-gray-600">{delivery.attempts}</td>
+                  <td className="py-3 px-4 text-xs text-red-600">{delivery.last_error || '-'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+      </div>
+    </div>
+  );
+}
+
+export default AlertSettings;
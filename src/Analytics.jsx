@@ -0,0 +1,445 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ArrowLeft, BarChart3, Download } from 'lucide-react';
+import { MapContainer } from 'react-leaflet';
+import { BarChart, Bar, XAxis, YAxis, Tooltip, CartesianGrid, Legend, ResponsiveContainer } from 'recharts';
+import { format, subDays } from 'date-fns';
+import { fetchSensors, fetchLeakCounts, fetchConfidenceHistogram, fetchLabelSummary } from './dataAccess';
+import SiteTileLayer from './SiteTileLayer';
+import HeatmapLayer from './HeatmapLayer';
+import { getConfig } from './config';
+import { useAuth } from './authContext';
+import { withLabelRates, totalLabelSummary, formatRate } from './detectionLabels';
+import { exportLabelledDataset } from './exporters';
+import { useCommands } from './commandPaletteContext';
+
+const TIME_RANGES = [
+  { label: '7D', days: 7 },
+  { label: '30D', days: 30 },
+  { label: '90D', days: 90 },
+  { label: '1Y', days: 365 },
+];
+
+const BUCKETS = [
+  { value: 'day', label: 'Per Day' },
+  { value: 'week', label: 'Per Week' },
+];
+
+const TOP_N_OPTIONS = [5, 10, 20];
+
+// Colours for the stacked per-sensor bars; everything outside the top N is "Other"
+const SERIES_COLORS = [
+  '#2563eb', '#dc2626', '#16a34a', '#f97316', '#9333ea',
+  '#0891b2', '#ca8a04', '#db2777', '#4f46e5', '#65a30d',
+];
+const OTHER_COLOR = '#9ca3af';
+
+const HISTOGRAM_BIN_WIDTH = 10;
+
+const DATASET_FORMATS = [
+  { format: 'jsonl', label: 'JSONL' },
+  { format: 'csv', label: 'CSV' },
+];
+
+// ==========================================
+// PAGE 6: ANALYTICS
+// ==========================================
+function Analytics() {
+  const navigate = useNavigate();
+  const mapConfig = getConfig().map;
+
+  const [rangeDays, setRangeDays] = useState(30);
+  const [bucket, setBucket] = useState('day');
+  const [topN, setTopN] = useState(10);
+
+  const [sensors, setSensors] = useState([]);
+  const [leakCounts, setLeakCounts] = useState([]);
+  const [histogram, setHistogram] = useState([]);
+  const [labelSummary, setLabelSummary] = useState([]);
+  const [loading, setLoading] = useState(true);
+  // { format, rows } while the labelled dataset is being exported
+  const [exportStatus, setExportStatus] = useState(null);
+  // Message from the last export if it failed
+  const [exportError, setExportError] = useState(null);
+  const { can } = useAuth();
+
+  // 1. Sensors (including decommissioned ones, which still have history)
+  useEffect(() => {
+    const loadSensors = async () => {
+      const { data, error } = await fetchSensors({ includeDecommissioned: true });
+      if (error) {
+        console.error("Error fetching sensors:", error);
+      } else {
+        setSensors(data || []);
+      }
+    };
+    loadSensors();
+  }, []);
+
+  // 2. Aggregates for the selected range
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadAnalytics = async () => {
+      setLoading(true);
+      const since = subDays(new Date(), rangeDays);
+      const [{ data: counts, error: countsError }, { data: bins, error: binsError }, { data: labelRows, error: labelError }] = await Promise.all([
+        fetchLeakCounts(since, bucket),
+        fetchConfidenceHistogram(since, HISTOGRAM_BIN_WIDTH),
+        fetchLabelSummary(since),
+      ]);
+
+      if (cancelled) return;
+      if (countsError) {
+        console.error("Error fetching leak counts:", countsError);
+      } else {
+        setLeakCounts(counts || []);
+      }
+      if (binsError) {
+        console.error("Error fetching confidence histogram:", binsError);
+      } else {
+        setHistogram(bins || []);
+      }
+      if (labelError) {
+        console.error("Error fetching label summary:", labelError);
+      } else {
+        setLabelSummary((labelRows || []).map(withLabelRates));
+      }
+      setLoading(false);
+    };
+    loadAnalytics();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [rangeDays, bucket]);
+
+  // Sensors ranked by leak detections in the range, most first
+  const ranking = useMemo(() => {
+    const totals = {};
+    leakCounts.forEach(row => {
+      totals[row.sensor_id] = (totals[row.sensor_id] || 0) + Number(row.leak_count);
+    });
+    const sensorById = Object.fromEntries(sensors.map(s => [String(s.id), s]));
+    return Object.entries(totals)
+      .map(([sensorId, leaks]) => ({ sensorId, leaks, sensor: sensorById[sensorId] }))
+      .sort((a, b) => b.leaks - a.leaks || a.sensorId.localeCompare(b.sensorId));
+  }, [leakCounts, sensors]);
+
+  const totalLeaks = ranking.reduce((sum, r) => sum + r.leaks, 0);
+  const topSensorIds = useMemo(() => ranking.slice(0, topN).map(r => r.sensorId), [ranking, topN]);
+
+  // One row per bucket with a column per top sensor plus "Other"
+  const frequencyData = useMemo(() => {
+    const top = new Set(topSensorIds);
+    const rows = {};
+    leakCounts.forEach(row => {
+      const time = new Date(row.bucket_start).getTime();
+      const series = top.has(String(row.sensor_id)) ? String(row.sensor_id) : 'Other';
+      rows[time] ??= { time };
+      rows[time][series] = (rows[time][series] || 0) + Number(row.leak_count);
+    });
+    return Object.values(rows).sort((a, b) => a.time - b.time);
+  }, [leakCounts, topSensorIds]);
+
+  const hasOther = topSensorIds.length < ranking.length;
+
+  // Leak / normal counts side by side for each confidence bin
+  const histogramData = useMemo(() => {
+    const bins = [];
+    for (let start = 0; start < 100; start += HISTOGRAM_BIN_WIDTH) {
+      bins.push({ bin: `${start}-${start + HISTOGRAM_BIN_WIDTH}%`, start, leak: 0, normal: 0 });
+    }
+    histogram.forEach(row => {
+      const bin = bins.find(b => b.start === Number(row.bin_start));
+      if (bin) bin[row.is_leak ? 'leak' : 'normal'] += Number(row.detection_count);
+    });
+    return bins;
+  }, [histogram]);
+
+  // Heat intensity = sensor's share of the busiest sensor's leak count
+  const heatPoints = useMemo(() => {
+    const max = ranking[0]?.leaks || 0;
+    return ranking
+      .filter(r => r.sensor && Number.isFinite(r.sensor.lat) && Number.isFinite(r.sensor.lng))
+      .map(r => [r.sensor.lat, r.sensor.lng, r.leaks / max]);
+  }, [ranking]);
+
+  const labelTotals = useMemo(() => totalLabelSummary(labelSummary), [labelSummary]);
+
+  const handleDatasetExport = useCallback(async (exportFormat) => {
+    setExportStatus({ format: exportFormat, rows: 0 });
+    setExportError(null);
+    try {
+      await exportLabelledDataset(exportFormat, rows => setExportStatus({ format: exportFormat, rows }));
+    } catch (error) {
+      console.error("Error exporting labelled dataset:", error);
+      setExportError(`${exportFormat.toUpperCase()} export failed: ${error.message}`);
+    }
+    setExportStatus(null);
+  }, []);
+
+  const analyticsCommands = useMemo(() => [
+    ...TIME_RANGES.map(r => ({ id: `range-${r.label}`, label: `Show last ${r.label}`, keywords: 'range analytics', run: () => setRangeDays(r.days) })),
+    ...(can('exportData') ? DATASET_FORMATS : []).map(({ format: exportFormat, label }) => ({
+      id: `export-dataset-${exportFormat}`,
+      label: `Export labelled dataset (${label})`,
+      keywords: 'download training feedback',
+      run: () => handleDatasetExport(exportFormat),
+    })),
+  ], [can, handleDatasetExport]);
+  useCommands(analyticsCommands);
+
+  return (
+    <div className="min-h-screen w-full bg-gray-100 p-6 font-sans">
+      <div className="bg-white p-6 rounded-lg shadow-md min-h-[85vh] flex flex-col">
+
+        {/* Header */}
+        <div className="flex justify-between items-center mb-6">
+          <div className="flex items-center gap-4">
+            <button
+              onClick={() => navigate('/')}
+              className="p-2 rounded-full hover:bg-gray-100 text-gray-600 transition-colors"
+            >
+              <ArrowLeft size={24} />
+            </button>
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+                <BarChart3 className="text-blue-600" /> Leak Analytics
+              </h1>
+              <p className="text-gray-500 text-sm">Leak frequency, hotspots and model confidence</p>
+            </div>
+          </div>
+        </div>
+
+        {/* Range Controls */}
+        <div className="flex flex-wrap items-center gap-4 mb-6 bg-gray-50 p-4 rounded-lg border border-gray-200">
+          <div className="flex items-center gap-2">
+            <span className="text-sm font-medium text-gray-600">Range:</span>
+            {TIME_RANGES.map(r => (
+              <button
+                key={r.label}
+                onClick={() => setRangeDays(r.days)}
+                className={`px-3 py-1 rounded text-sm font-medium transition-colors ${
+                  rangeDays === r.days ? 'bg-blue-600 text-white' : 'bg-white border text-gray-600 hover:bg-gray-100'
+                }`}
+              >
+                {r.label}
+              </button>
+            ))}
+          </div>
+          <div className="flex items-center gap-2">
+            <span className="text-sm font-medium text-gray-600">Group:</span>
+            {BUCKETS.map(b => (
+              <button
+                key={b.value}
+                onClick={() => setBucket(b.value)}
+                className={`px-3 py-1 rounded text-sm font-medium transition-colors ${
+                  bucket === b.value ? 'bg-blue-600 text-white' : 'bg-white border text-gray-600 hover:bg-gray-100'
+                }`}
+              >
+                {b.label}
+              </button>
+            ))}
+          </div>
+          <div className="flex items-center gap-2">
+            <span className="text-sm font-medium text-gray-600">Top:</span>
+            <select
+              className="px-2 py-1 border rounded text-sm bg-white"
+              value={topN}
+              onChange={e => setTopN(Number(e.target.value))}
+            >
+              {TOP_N_OPTIONS.map(n => <option key={n} value={n}>{n} sensors</option>)}
+            </select>
+          </div>
+          <span className="text-sm text-gray-500 ml-auto">
+            {loading ? 'Loading...' : `${totalLeaks.toLocaleString()} leak detections in range`}
+          </span>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+
+          {/* Leak Frequency */}
+          <div className="border border-gray-200 rounded-lg p-4">
+            <h2 className="text-lg font-bold mb-2 text-gray-800 border-b pb-2">
+              Leaks {bucket === 'week' ? 'per Week' : 'per Day'} by Sensor
+            </h2>
+            <div className="h-72">
+              {frequencyData.length === 0 ? (
+                <p className="p-8 text-center text-gray-400">{loading ? 'Loading data...' : 'No leaks in this range.'}</p>
+              ) : (
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={frequencyData}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                    <XAxis dataKey="time" tickFormatter={t => format(t, 'dd MMM')} fontSize={12} />
+                    <YAxis allowDecimals={false} fontSize={12} />
+                    <Tooltip labelFormatter={t => format(t, bucket === 'week' ? "'Week of' dd MMM yyyy" : 'dd MMM yyyy')} />
+                    <Legend />
+                    {topSensorIds.map((sensorId, i) => (
+                      <Bar key={sensorId} dataKey={sensorId} stackId="leaks" fill={SERIES_COLORS[i % SERIES_COLORS.length]} isAnimationActive={false} />
+                    ))}
+                    {hasOther && <Bar dataKey="Other" stackId="leaks" fill={OTHER_COLOR} isAnimationActive={false} />}
+                  </BarChart>
+                </ResponsiveContainer>
+              )}
+            </div>
+          </div>
+
+          {/* Confidence Distribution */}
+          <div className="border border-gray-200 rounded-lg p-4">
+            <h2 className="text-lg font-bold mb-2 text-gray-800 border-b pb-2">Confidence Distribution</h2>
+            <div className="h-72">
+              {histogram.length === 0 ? (
+                <p className="p-8 text-center text-gray-400">{loading ? 'Loading data...' : 'No detections in this range.'}</p>
+              ) : (
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={histogramData}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                    <XAxis dataKey="bin" fontSize={12} />
+                    <YAxis allowDecimals={false} fontSize={12} />
+                    <Tooltip />
+                    <Legend />
+                    <Bar dataKey="leak" name="Leak" fill="#dc2626" isAnimationActive={false} />
+                    <Bar dataKey="normal" name="Normal" fill="#16a34a" isAnimationActive={false} />
+                  </BarChart>
+                </ResponsiveContainer>
+              )}
+            </div>
+          </div>
+
+          {/* Top Sensors */}
+          <div className="border border-gray-200 rounded-lg p-4">
+            <h2 className="text-lg font-bold mb-2 text-gray-800 border-b pb-2">Top {topN} Leaking Sensors</h2>
+            <div className="overflow-auto h-80">
+              <table className="w-full text-left border-collapse">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr>
+                    <th className="py-2 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">#</th>
+                    <th className="py-2 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Sensor</th>
+                    <th className="py-2 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Leaks</th>
+                    <th className="py-2 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Share</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {ranking.length === 0 ? (
+                    <tr><td colSpan="4" className="p-8 text-center text-gray-400">No leaks in this range.</td></tr>
+                  ) : ranking.slice(0, topN).map((row, i) => (
+                    <tr
+                      key={row.sensorId}
+                      onClick={() => navigate(`/sensors/${row.sensorId}`)}
+                      className="hover:bg-blue-50 cursor-pointer transition-colors"
+                    >
+                      <td className="py-2 px-4 text-sm text-gray-500">{i + 1}</td>
+                      <td className="py-2 px-4 text-sm font-medium text-gray-900">
+                        {row.sensorId}
+                        {row.sensor?.name && <span className="text-gray-500 font-normal"> ({row.sensor.name})</span>}
+                      </td>
+                      <td className="py-2 px-4 text-sm font-bold text-red-600">{row.leaks}</td>
+                      <td className="py-2 px-4 text-sm text-gray-600">
+                        <div className="flex items-center gap-2">
+                          <div className="w-24 bg-gray-100 rounded h-2">
+                            <div className="bg-red-500 h-2 rounded" style={{ width: `${(row.leaks / ranking[0].leaks) * 100}%` }} />
+                          </div>
+                          {((row.leaks / totalLeaks) * 100).toFixed(1)}%
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {/* Leak Heatmap */}
+          <div className="border border-gray-200 rounded-lg p-4">
+            <h2 className="text-lg font-bold mb-2 text-gray-800 border-b pb-2">Leak Density</h2>
+            <MapContainer
+              center={mapConfig.center}
+              zoom={mapConfig.zoom}
+              maxBounds={mapConfig.bounds || undefined}
+              style={{ height: '320px', width: '100%', borderRadius: '8px' }}
+            >
+              <SiteTileLayer />
+              <HeatmapLayer points={heatPoints} />
+            </MapContainer>
+          </div>
+        </div>
+
+        {/* Model Accuracy (operator feedback) */}
+        <div className="border border-gray-200 rounded-lg p-4 mt-6">
+          <div className="flex flex-wrap justify-between items-center gap-2 mb-2 border-b pb-2">
+            <div>
+              <h2 className="text-lg font-bold text-gray-800">Model Accuracy</h2>
+              <p className="text-xs text-gray-500">
+                From operator feedback on detections in this range. Precision and false alarm rate count labelled leak detections only.
+              </p>
+            </div>
+            {can('exportData') && (
+              <div className="flex items-center gap-2">
+                {exportStatus && (
+                  <span className="text-sm text-gray-500">
+                    Exporting {exportStatus.format.toUpperCase()}... {exportStatus.rows.toLocaleString()} rows
+                  </span>
+                )}
+                {exportError && <span className="text-sm text-red-600">{exportError}</span>}
+                <span className="text-sm text-gray-600">Labelled dataset:</span>
+                {DATASET_FORMATS.map(({ format: exportFormat, label }) => (
+                  <button
+                    key={exportFormat}
+                    onClick={() => handleDatasetExport(exportFormat)}
+                    disabled={exportStatus !== null}
+                    className="flex items-center gap-2 bg-white border border-gray-300 text-gray-700 px-3 py-1 rounded hover:bg-gray-50 shadow-sm text-sm font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    <Download size={14} /> {label}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+          <div className="overflow-auto max-h-96">
+            <table className="w-full text-left border-collapse">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr>
+                  <th className="py-2 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Sensor</th>
+                  <th className="py-2 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Leak Detections</th>
+                  <th className="py-2 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Labelled</th>
+                  <th className="py-2 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">True Pos.</th>
+                  <th className="py-2 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">False Pos.</th>
+                  <th className="py-2 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Missed Leaks</th>
+                  <th className="py-2 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Precision</th>
+                  <th className="py-2 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">False Alarm Rate</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {labelSummary.length === 0 ? (
+                  <tr><td colSpan="8" className="p-8 text-center text-gray-400">No leak detections or feedback in this range.</td></tr>
+                ) : [...labelSummary, labelTotals].map(row => (
+                  <tr
+                    key={row.sensor_id}
+                    onClick={row === labelTotals ? undefined : () => navigate(`/sensors/${row.sensor_id}`)}
+                    className={row === labelTotals ? 'bg-gray-50 font-bold' : 'hover:bg-blue-50 cursor-pointer transition-colors'}
+                  >
+                    <td className="py-2 px-4 text-sm text-gray-900">{row.sensor_id}</td>
+                    <td className="py-2 px-4 text-sm text-gray-600">{row.leak_detections}</td>
+                    <td className="py-2 px-4 text-sm text-gray-600">
+                      {row.labelled}
+                      {row.coverage !== null && <span className="text-xs text-gray-400"> ({formatRate(row.coverage)})</span>}
+                    </td>
+                    <td className="py-2 px-4 text-sm text-green-700">{row.true_positives}</td>
+                    <td className="py-2 px-4 text-sm text-orange-600">{row.false_positives}</td>
+                    <td className="py-2 px-4 text-sm text-purple-700">{row.missed_leaks}</td>
+                    <td className="py-2 px-4 text-sm text-gray-900">{formatRate(row.precision)}</td>
+                    <td className="py-2 px-4 text-sm text-gray-900">{formatRate(row.falseAlarmRate)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+      </div>
+    </div>
+  );
+}
+
+export default Analytics;
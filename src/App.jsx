@@ -1,9 +1,58 @@
-import React, { useEffect, useState, useRef, useMemo } from 'react';
-import { supabase } from './supabaseClient';
-import { MapContainer, TileLayer, CircleMarker, Popup, useMap } from 'react-leaflet';
+import React, { useEffect, useState, useRef, useMemo, useCallback } from 'react';
+import { MapContainer, CircleMarker, Popup, Polyline, Tooltip as MapTooltip, LayersControl, LayerGroup, useMap } from 'react-leaflet';
+import MarkerClusterGroup from 'react-leaflet-cluster';
 import 'leaflet/dist/leaflet.css';
-import { AlertTriangle, CheckCircle, Activity, Droplets, History, ArrowLeft, Filter, ArrowUpDown, ChevronLeft, ChevronRight } from 'lucide-react';
-import { BrowserRouter, Routes, Route, useNavigate } from 'react-router-dom';
+import 'react-leaflet-cluster/dist/assets/MarkerCluster.css';
+import { AlertTriangle, CheckCircle, Activity, Droplets, History, ArrowLeft, Filter, ArrowUpDown, ChevronLeft, ChevronRight, ExternalLink, ClipboardList, Download, Settings, HeartPulse, BarChart3, WifiOff, Rewind, BellRing, Search, Building2 } from 'lucide-react';
+import { BrowserRouter, Routes, Route, Outlet, useNavigate, useSearchParams, useLocation } from 'react-router-dom';
+import SensorDetail from './SensorDetail';
+import MapLegend from './MapLegend';
+import { getMarkerStyle, createClusterIcon, PIPE_COLORS } from './mapMarkers';
+import { INCIDENT_STATUS_STYLES } from './incidentLifecycle';
+import Incidents from './Incidents';
+import Analytics from './Analytics';
+import NotificationProvider from './NotificationProvider';
+import NotificationBell from './NotificationBell';
+import { fetchSensors, fetchLatestDetections, combineLatestReadings, applyDetection, subscribeToDetections, subscribeToConnectionStatus, fetchPipeNetwork, fetchIncidents, updateIncidentStatus, subscribeToIncidents, fetchDetectionPage, countDetections, detectionCursor, fetchSiteSummary } from './dataAccess';
+import { exportDetections } from './exporters';
+import { DEFAULT_FILTERS, RESULT_OPTIONS, filtersFromParams, sortFromParams, pageFromParams, positionFromParams, toSearchParams, hoursAgoInputValue, loadHistoryView, saveHistoryView } from './historyFilters';
+import SensorMultiSelect from './SensorMultiSelect';
+import SensorAdmin from './SensorAdmin';
+import AlertSettings from './AlertSettings';
+import DetectionLabelControl from './DetectionLabelControl';
+import { useDetectionLabels } from './useDetectionLabels';
+import CommandPaletteProvider from './CommandPaletteProvider';
+import { useCommandPalette, useCommands } from './commandPaletteContext';
+import { useTableKeyboardNav } from './useTableKeyboardNav';
+import { useDetectionScroll } from './useDetectionScroll';
+import { useVirtualRows } from './useVirtualRows';
+import SiteTileLayer from './SiteTileLayer';
+import SiteProvider from './SiteProvider';
+import SiteSwitcher from './SiteSwitcher';
+import FitBounds from './FitBounds';
+import { useSite } from './siteContext';
+import { siteMapView, sensorBounds } from './sites';
+import { getConfig } from './config';
+import AuthProvider from './AuthProvider';
+import ProtectedRoute from './ProtectedRoute';
+import Login from './Login';
+import UserMenu from './UserMenu';
+import { useAuth } from './authContext';
+import { getSensorLiveness, LIVENESS_STYLES, LOW_BATTERY_PERCENT } from './sensorHealth';
+import { useNow } from './useNow';
+import { useConnectionStatus } from './useConnectionStatus';
+import { saveSnapshot, loadSnapshot } from './offlineCache';
+import { useDetectionReplay } from './useDetectionReplay';
+import ReplayControls from './ReplayControls';
+import PipeNetworkLayer from './PipeNetworkLayer';
+import { indexNetwork, snapToNetwork, locateLeak, nearestValves, describePipe } from './pipeNetwork';
+
+// System Status card, per connection status from useConnectionStatus()
+const CONNECTION_STYLES = {
+  connecting: { label: 'Connecting...', border: 'border-gray-400', icon: 'text-gray-400' },
+  live: { label: 'Live: receiving realtime detections', border: 'border-green-500', icon: 'text-green-500' },
+  offline: { label: 'Offline: reconnecting, missed detections will be backfilled', border: 'border-red-500', icon: 'text-red-500' },
+};
 
 // --- HELPER COMPONENT TO MOVE THE MAP ---
 function MapHandler({ activeSensor, markerRefs }) {
@@ -29,62 +78,170 @@ function MapHandler({ activeSensor, markerRefs }) {
   return null;
 }
 
+// Roll-up window for the "All sites" table
+const SITE_SUMMARY_HOURS = 24;
+
 // ==========================================
 // PAGE 1: MAIN DASHBOARD
 // ==========================================
 function Dashboard() {
   const [sensors, setSensors] = useState([]);
   const [latestReadings, setLatestReadings] = useState([]);
+  const [openIncidents, setOpenIncidents] = useState([]);
   const [activeSensor, setActiveSensor] = useState(null);
   const markerRefs = useRef({});
   const navigate = useNavigate();
+  const location = useLocation();
+  const { openPalette } = useCommandPalette();
+  const { can } = useAuth();
+  const canManageIncidents = can('manageIncidents');
+  const { siteName, siteSubtitle, map: mapConfig, health } = getConfig();
+  const { siteId, site, sites, multiSite, selectSite } = useSite();
+  // "All sites" with more than one site: the map frames every sensor and a
+  // per-site table is shown
+  const rollUp = multiSite && siteId === null;
+  const mapView = siteMapView(site, mapConfig);
+  // [{ site_id, sensor_count, open_incident_count, leak_count }] while rolled up
+  const [siteSummary, setSiteSummary] = useState([]);
+  // Ticks every minute so sensors go stale/offline without waiting for new data
+  const now = useNow();
+  const connection = useConnectionStatus();
+  // Set while the sensors/readings on screen come from the offline snapshot
+  const [cachedAt, setCachedAt] = useState(null);
+
+  // Newest imported pipe network row plus its index (see pipeNetwork.js), null if none
+  const [pipeNetwork, setPipeNetwork] = useState(null);
+
+  // Replay mode: the map and table show the network as it was at replay.cursor
+  const [replaying, setReplaying] = useState(false);
+  const replay = useDetectionReplay(replaying, siteId);
+  const replayActive = replaying && replay.cursor !== null && !replay.loading;
+
+  // Sensor ids we currently hold, so the realtime handler can spot a brand new sensor
+  const knownSensorIds = useRef(new Set());
+
+  const loadOpenIncidents = useCallback(async () => {
+    const { data, error } = await fetchIncidents('unresolved', siteId);
+    if (error) {
+      console.error("Error fetching incidents:", error);
+    } else {
+      setOpenIncidents(data || []);
+    }
+  }, [siteId]);
+
+  const loadSiteSummary = useCallback(async () => {
+    if (!rollUp) return;
+    const { data, error } = await fetchSiteSummary(new Date(Date.now() - SITE_SUMMARY_HOURS * 60 * 60 * 1000));
+    if (error) {
+      console.error("Error fetching site summary:", error);
+    } else {
+      setSiteSummary(data || []);
+    }
+  }, [rollUp]);
+
+  // All Sensors + LATEST detection for EACH sensor (server-side view); the
+  // incident and site summary loaders set their own state
+  const queryDashboardData = useCallback(
+    () => Promise.all([fetchSensors({ siteId }), fetchLatestDetections(siteId), loadOpenIncidents(), loadSiteSummary()]),
+    [siteId, loadOpenIncidents, loadSiteSummary]
+  );
+
+  const applyDashboardData = useCallback(([{ data: sensorData, error: sensorError }, { data: latestLogs, error: latestError }]) => {
+    if (sensorError) console.error("Error fetching sensors:", sensorError);
+    if (latestError) console.error("Error fetching latest detections:", latestError);
+
+    if (sensorData && latestLogs) {
+      saveSnapshot(sensorData, latestLogs, siteId);
+      setCachedAt(null);
+    } else if (knownSensorIds.current.size === 0) {
+      // Nothing on screen yet (e.g. opened without a network): show the last known state
+      const snapshot = loadSnapshot(siteId);
+      if (snapshot) {
+        setSensors(snapshot.sensors);
+        setLatestReadings(combineLatestReadings(snapshot.sensors, snapshot.latestDetections));
+        knownSensorIds.current = new Set(snapshot.sensors.map(s => s.id));
+        setCachedAt(snapshot.savedAt);
+      }
+      return;
+    }
+
+    if (sensorData) {
+      setSensors(sensorData);
+      knownSensorIds.current = new Set(sensorData.map(s => s.id));
+    }
+
+    if (sensorData && latestLogs) {
+      setLatestReadings(combineLatestReadings(sensorData, latestLogs));
+    }
+  }, [siteId]);
+
+  const fetchDashboardData = useCallback(
+    async () => applyDashboardData(await queryDashboardData()),
+    [queryDashboardData, applyDashboardData]
+  );
 
   useEffect(() => {
-    fetchDashboardData();
+    let cancelled = false;
+    const loadDashboard = async () => {
+      const results = await queryDashboardData();
+      if (!cancelled) applyDashboardData(results);
+    };
+    loadDashboard();
 
-    // Realtime subscription for new alerts
-    const subscription = supabase
-      .channel('public:detections')
-      .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'detections' }, () => {
+    // Realtime subscription for new alerts: patch only the affected sensor's row
+    const unsubscribe = subscribeToDetections(detection => {
+      if (!knownSensorIds.current.has(detection.sensor_id)) {
+        // A sensor we haven't loaded yet, pull the full list once
         fetchDashboardData();
-      })
-      .subscribe();
+        return;
+      }
+      setLatestReadings(prev => applyDetection(prev, detection));
+    });
+
+    // Leak detections open/extend incidents server-side; keep the cards and buttons in step
+    const unsubscribeIncidents = subscribeToIncidents(() => {
+      loadOpenIncidents();
+      loadSiteSummary();
+    }, siteId);
+
+    // Missed detections are replayed through the listener above on reconnect;
+    // reload everything else (sensors, incidents) that may have changed meanwhile
+    let wasOffline = false;
+    const unsubscribeConnection = subscribeToConnectionStatus(status => {
+      if (status === 'live' && wasOffline) fetchDashboardData();
+      wasOffline = status === 'offline';
+    });
 
     return () => {
-      supabase.removeChannel(subscription);
+      cancelled = true;
+      unsubscribe();
+      unsubscribeIncidents();
+      unsubscribeConnection();
     };
-  }, []);
+  }, [queryDashboardData, applyDashboardData, fetchDashboardData, loadOpenIncidents, loadSiteSummary, siteId]);
 
-  const fetchDashboardData = async () => {
-    // 1. Get All Sensors
-    const { data: sensorData } = await supabase
-      .from('sensors')
-      .select('*')
-      .order('id', { ascending: true });
-    
-    if (sensorData) setSensors(sensorData);
-
-    // 2. Get LATEST detection for EACH sensor
-    // Ideally done via a Postgres View/Function, but here is the JS way:
-    // We fetch a larger batch of recent logs and filter for the newest unique per sensor
-    const { data: logs } = await supabase
-      .from('detections')
-      .select('*')
-      .order('created_at', { ascending: false })
-      .limit(200); // Fetch enough to likely cover all sensors
-
-    if (sensorData && logs) {
-      const combinedData = sensorData.map(sensor => {
-        // Find the FIRST (newest) log that matches this sensor ID
-        const latestLog = logs.find(l => l.sensor_id === sensor.id);
-        return {
-          ...sensor,
-          latestLog: latestLog || null
-        };
-      });
-      setLatestReadings(combinedData);
+  // Networks are per site, so none is drawn over the all-sites roll-up
+  useEffect(() => {
+    if (rollUp) return;
+    const loadPipeNetwork = async () => {
+      const { data, error } = await fetchPipeNetwork(siteId);
+      if (error) {
+        console.error("Error fetching pipe network:", error);
+      } else if (data) {
+        setPipeNetwork({ ...data, ...indexNetwork(data.geojson) });
+      }
+    };
+    loadPipeNetwork();
+  }, [rollUp, siteId]);
+
+  const handleAcknowledge = useCallback(async (incident) => {
+    const { data, error } = await updateIncidentStatus(incident, 'acknowledged');
+    if (error) {
+      console.error("Error acknowledging incident:", error);
+      return;
     }
-  };
+    setOpenIncidents(prev => prev.map(i => (i.id === data.id ? data : i)));
+  }, []);
 
   const handleRowClick = (sensorId) => {
     const sensorToFocus = sensors.find(s => s.id === sensorId);
@@ -93,9 +250,107 @@ function Dashboard() {
     }
   };
 
+  // A sensor picked in the command palette arrives as navigation state; focus
+  // it once the sensors are loaded, and only once per navigation
+  const focusSensorId = location.state?.focusSensorId;
+  const [handledFocusKey, setHandledFocusKey] = useState(null);
+  if (focusSensorId && handledFocusKey !== location.key && sensors.length > 0) {
+    setHandledFocusKey(location.key);
+    handleRowClick(focusSensorId);
+  }
+
+  const displayedReadings = useMemo(
+    () => (replayActive ? combineLatestReadings(sensors, replay.latestDetections) : latestReadings),
+    [replayActive, sensors, replay.latestDetections, latestReadings]
+  );
+
+  // Quick lookup of the latest detection per sensor for marker styling
+  const latestLogBySensor = useMemo(() => {
+    const lookup = {};
+    displayedReadings.forEach(r => {
+      lookup[r.id] = r.latestLog;
+    });
+    return lookup;
+  }, [displayedReadings]);
+
+  // Incidents are present-day state, so they are left out of a replay
+  const incidentBySensor = useMemo(() => {
+    const lookup = {};
+    if (!replayActive) {
+      openIncidents.forEach(i => {
+        lookup[i.sensor_id] = i;
+      });
+    }
+    return lookup;
+  }, [openIncidents, replayActive]);
+
+  const livenessNow = replayActive ? replay.cursor : now;
+
+  // Each sensor's position on its pipe; markers are drawn there
+  const snapBySensor = useMemo(() => {
+    const lookup = {};
+    if (pipeNetwork) {
+      sensors.forEach(s => {
+        lookup[s.id] = snapToNetwork([s.lat, s.lng], pipeNetwork.pipes);
+      });
+    }
+    return lookup;
+  }, [sensors, pipeNetwork]);
+
+  // Suspected pipe section and closest isolation valves for every leaking, snapped sensor
+  const leakLocationBySensor = useMemo(() => {
+    const lookup = {};
+    sensors.forEach(s => {
+      const latestLog = latestLogBySensor[s.id];
+      const snap = snapBySensor[s.id];
+      if (!latestLog?.is_leak || !snap) return;
+      const location = locateLeak(snap, latestLog);
+      lookup[s.id] = { ...location, valves: nearestValves(location.point, pipeNetwork.valves) };
+    });
+    return lookup;
+  }, [sensors, latestLogBySensor, snapBySensor, pipeNetwork]);
+
+  const livenessBySensor = useMemo(() => {
+    const lookup = {};
+    sensors.forEach(s => {
+      lookup[s.id] = getSensorLiveness(s, latestLogBySensor[s.id], livenessNow, health);
+    });
+    return lookup;
+  }, [sensors, latestLogBySensor, livenessNow, health]);
+
+  const fleetHealth = useMemo(() => {
+    const counts = { online: 0, stale: 0, offline: 0, lowBattery: 0 };
+    sensors.forEach(s => {
+      const liveness = livenessBySensor[s.id];
+      counts[liveness === 'never' ? 'offline' : liveness] += 1;
+      if (s.battery < LOW_BATTERY_PERCENT) counts.lowBattery += 1;
+    });
+    return counts;
+  }, [sensors, livenessBySensor]);
+
   const activeSensorCount = sensors.filter(s => s.status === 'active').length;
-  // Count active leaks based on the LATEST reading of each sensor
-  const activeLeakCount = latestReadings.filter(r => r.latestLog?.is_leak).length;
+  // Active leaks = incidents nobody has resolved yet
+  const activeLeakCount = openIncidents.length;
+  const unacknowledgedCount = openIncidents.filter(i => i.status === 'open').length;
+
+  const sensorTableNav = useTableKeyboardNav(displayedReadings.length, index => handleRowClick(displayedReadings[index].id));
+
+  const dashboardCommands = useMemo(() => [
+    { id: 'refresh', label: 'Refresh data', keywords: 'reload', run: fetchDashboardData },
+    replaying
+      ? { id: 'replay', label: 'Exit replay', keywords: 'live', run: () => setReplaying(false) }
+      : { id: 'replay', label: 'Replay detections', keywords: 'rewind timeline history', run: () => setReplaying(true) },
+    ...(canManageIncidents && !replayActive ? openIncidents : [])
+      .filter(i => i.status === 'open')
+      .map(incident => ({
+        id: `acknowledge-${incident.id}`,
+        label: `Acknowledge leak at sensor ${incident.sensor_id}`,
+        keywords: 'incident ack',
+        hint: `since ${new Date(incident.first_detected_at).toLocaleTimeString()}`,
+        run: () => handleAcknowledge(incident),
+      })),
+  ], [fetchDashboardData, replaying, replayActive, canManageIncidents, openIncidents, handleAcknowledge]);
+  useCommands(dashboardCommands);
 
   return (
     <div className="min-h-screen w-full bg-gray-100 p-6 font-sans">
@@ -103,27 +358,66 @@ function Dashboard() {
       {/* HEADER */}
       <header className="mb-6 flex justify-between items-center bg-white p-4 rounded-lg shadow-sm">
         <div>
-           <h1 className="text-2xl font-bold text-blue-900">Low Power Edge AI</h1>
-           <p className="text-gray-500 text-sm">Water Leak Detection Dashboard</p>
+           <h1 className="text-2xl font-bold text-blue-900">{siteName}</h1>
+           <p className="text-gray-500 text-sm">{siteSubtitle}</p>
         </div>
-        <div className="flex gap-3">
+        <div className="flex gap-3 items-center">
+          <SiteSwitcher />
+          <button
+            onClick={openPalette}
+            className="flex items-center gap-2 bg-white border border-gray-300 text-gray-500 px-3 py-2 rounded hover:bg-gray-50 shadow-sm text-sm transition-colors"
+            title="Search sensors and commands"
+          >
+            <Search size={16} /> Search
+            <kbd className="text-xs border rounded px-1 bg-gray-50">Ctrl K</kbd>
+          </button>
+          <NotificationBell />
           <button 
             onClick={() => navigate('/history')}
             className="flex items-center gap-2 bg-indigo-600 text-white px-4 py-2 rounded hover:bg-indigo-700 shadow transition-colors text-sm font-medium"
           >
             <History size={18} /> View History
           </button>
+          <button 
+            onClick={() => navigate('/incidents')}
+            className="flex items-center gap-2 bg-red-600 text-white px-4 py-2 rounded hover:bg-red-700 shadow transition-colors text-sm font-medium"
+          >
+            <ClipboardList size={18} /> Incidents
+          </button>
+          <button 
+            onClick={() => navigate('/analytics')}
+            className="flex items-center gap-2 bg-teal-600 text-white px-4 py-2 rounded hover:bg-teal-700 shadow transition-colors text-sm font-medium"
+          >
+            <BarChart3 size={18} /> Analytics
+          </button>
+          {can('editSensors') && (
+            <button 
+              onClick={() => navigate('/sensors')}
+              className="flex items-center gap-2 bg-gray-700 text-white px-4 py-2 rounded hover:bg-gray-800 shadow transition-colors text-sm font-medium"
+            >
+              <Settings size={18} /> Manage Sensors
+            </button>
+          )}
+          {can('manageAlerts') && (
+            <button 
+              onClick={() => navigate('/settings/alerts')}
+              className="flex items-center gap-2 bg-gray-700 text-white px-4 py-2 rounded hover:bg-gray-800 shadow transition-colors text-sm font-medium"
+            >
+              <BellRing size={18} /> Alert Rules
+            </button>
+          )}
           <button 
             onClick={fetchDashboardData}
             className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 shadow text-sm font-medium transition-colors"
           >
             Refresh Data
           </button>
+          <UserMenu />
         </div>
       </header>
 
       {/* STATUS CARDS */}
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-6">
         
         {/* CARD 1: SENSORS */}
         <div className="bg-white p-6 rounded-lg shadow-sm border-l-4 border-blue-500">
@@ -144,7 +438,32 @@ function Dashboard() {
           </div>
         </div>
 
-        {/* CARD 2: LEAKS */}
+        {/* CARD 2: FLEET HEALTH */}
+        <div className="bg-white p-6 rounded-lg shadow-sm border-l-4 border-yellow-500">
+          <div className="flex items-center gap-3 mb-3">
+            <HeartPulse className="text-yellow-500" />
+            <h3 className="font-semibold text-gray-700">Fleet Health</h3>
+          </div>
+          <div className="flex items-center gap-4">
+            <div>
+                <span className="text-xs font-bold text-gray-400 uppercase">Online</span>
+                <p className="text-2xl font-bold text-green-600">{fleetHealth.online}</p>
+            </div>
+            <div>
+                <span className="text-xs font-bold text-gray-400 uppercase">Stale</span>
+                <p className="text-2xl font-bold text-yellow-600">{fleetHealth.stale}</p>
+            </div>
+            <div>
+                <span className="text-xs font-bold text-gray-400 uppercase">Offline</span>
+                <p className="text-2xl font-bold text-gray-500">{fleetHealth.offline}</p>
+            </div>
+          </div>
+          <p className="text-xs text-gray-500 mt-1">
+            {fleetHealth.lowBattery} below {LOW_BATTERY_PERCENT}% battery &middot; expected every {health.expectedIntervalMinutes} min
+          </p>
+        </div>
+
+        {/* CARD 3: LEAKS */}
         <div className="bg-white p-6 rounded-lg shadow-sm border-l-4 border-red-500">
           <div className="flex items-center gap-3">
             <AlertTriangle className="text-red-500" />
@@ -153,83 +472,237 @@ function Dashboard() {
           <p className="text-3xl font-bold mt-2">
             {activeLeakCount}
           </p>
+          <p className="text-xs text-gray-500 mt-1">
+            {unacknowledgedCount} awaiting acknowledgement
+          </p>
         </div>
         
-        {/* CARD 3: SYSTEM */}
-        <div className="bg-white p-6 rounded-lg shadow-sm border-l-4 border-green-500">
+        {/* CARD 4: SYSTEM */}
+        <div className={`bg-white p-6 rounded-lg shadow-sm border-l-4 ${CONNECTION_STYLES[connection].border}`}>
            <div className="flex items-center gap-3">
-            <CheckCircle className="text-green-500" />
+            {connection === 'offline'
+              ? <WifiOff className={CONNECTION_STYLES[connection].icon} />
+              : <CheckCircle className={CONNECTION_STYLES[connection].icon} />}
             <h3 className="font-semibold text-gray-700">System Status</h3>
           </div>
           <p className="text-sm mt-2 text-gray-600">
-             {sensors.length > 0 ? 'Connected to Database' : 'Connecting...'}
+             {CONNECTION_STYLES[connection].label}
           </p>
+          {cachedAt && (
+            <p className="text-xs text-gray-500 mt-1">
+              Showing cached data from {new Date(cachedAt).toLocaleString()}
+            </p>
+          )}
         </div>
       </div>
 
+      {/* ALL SITES ROLL-UP */}
+      {rollUp && (
+        <div className="bg-white p-4 rounded-lg shadow-sm mb-6">
+          <div className="flex items-center gap-3 mb-4 border-b pb-2">
+            <Building2 className="text-gray-500" />
+            <h2 className="text-lg font-bold text-gray-800">Sites</h2>
+          </div>
+          <table className="w-full text-left border-collapse">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Site</th>
+                <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Sensors</th>
+                <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Active Leaks</th>
+                <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Leak Detections ({SITE_SUMMARY_HOURS}h)</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {siteSummary.map(row => (
+                <tr
+                  key={row.site_id}
+                  onClick={() => selectSite(row.site_id)}
+                  className="hover:bg-blue-50 cursor-pointer transition-colors"
+                  title="Show this site"
+                >
+                  <td className="py-3 px-4 text-sm font-medium text-gray-900">
+                    {sites.find(s => s.id === row.site_id)?.name || row.site_id}
+                  </td>
+                  <td className="py-3 px-4 text-sm text-gray-600">{row.sensor_count}</td>
+                  <td className={`py-3 px-4 text-sm font-bold ${row.open_incident_count > 0 ? 'text-red-600' : 'text-gray-400'}`}>
+                    {row.open_incident_count}
+                  </td>
+                  <td className="py-3 px-4 text-sm text-gray-600">{row.leak_count}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
       {/* MAIN CONTENT GRID */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         
         {/* MAP SECTION */}
-        <div className="bg-white p-4 rounded-lg shadow-sm h-[500px] z-0">
-          <h2 className="text-lg font-bold mb-4 text-gray-800 border-b pb-2">Water Distribution Network</h2>
+        <div className="bg-white p-4 rounded-lg shadow-sm min-h-[500px] z-0">
+          <div className="flex justify-between items-center mb-4 border-b pb-2">
+            <h2 className="text-lg font-bold text-gray-800">Water Distribution Network</h2>
+            <button
+              onClick={() => {
+                replay.pause();
+                setReplaying(r => !r);
+              }}
+              className={`flex items-center gap-1 px-3 py-1 rounded text-sm font-medium transition-colors ${
+                replaying ? 'bg-amber-500 text-white hover:bg-amber-600' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+              }`}
+            >
+              <Rewind size={16} /> {replaying ? 'Exit Replay' : 'Replay'}
+            </button>
+          </div>
           
-          <MapContainer center={[2.945828, 101.875196]} zoom={15} style={{ height: '420px', width: '100%', borderRadius: '8px' }}>
-            <TileLayer
-              url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-              attribution='&copy; OpenStreetMap'
-            />
+          <MapContainer
+            center={mapView.center}
+            zoom={mapView.zoom}
+            maxBounds={rollUp ? undefined : mapView.bounds || undefined}
+            style={{ height: '420px', width: '100%', borderRadius: '8px' }}
+          >
+            <SiteTileLayer />
             
             <MapHandler activeSensor={activeSensor} markerRefs={markerRefs} />
+            {rollUp && <FitBounds bounds={sensorBounds(sensors)} />}
 
-            {sensors.map(sensor => (
-              <CircleMarker 
-                key={sensor.id}
-                ref={(el) => (markerRefs.current[sensor.id] = el)}
-                center={[sensor.lat, sensor.lng]} 
-                radius={10}
-                pathOptions={{ 
-                    color: sensor.status === 'offline' ? 'gray' : (sensor.battery < 25 ? 'orange' : 'blue'),
-                    fillColor: sensor.status === 'offline' ? 'gray' : (sensor.battery < 25 ? 'orange' : 'blue'),
-                    fillOpacity: 0.6
-                }}
-              >
-                <Popup>
-                  <strong>Sensor {sensor.id} ({sensor.name})</strong><br/>
-                  Battery: {sensor.battery}%<br/>
-                  Status: {sensor.status}
-                </Popup>
-              </CircleMarker>
-            ))}
+            {pipeNetwork && (
+              <LayersControl position="topright">
+                <LayersControl.Overlay checked name="Pipe network">
+                  <PipeNetworkLayer network={pipeNetwork} />
+                </LayersControl.Overlay>
+                <LayersControl.Overlay checked name="Suspected leak sections">
+                  <LayerGroup>
+                    {Object.entries(leakLocationBySensor).map(([sensorId, location]) => (
+                      <Polyline
+                        key={sensorId}
+                        positions={location.line}
+                        pathOptions={{ color: PIPE_COLORS.suspected, weight: 8, opacity: 0.6, dashArray: location.exact ? null : '8 8' }}
+                      >
+                        <MapTooltip sticky>
+                          Suspected leak near sensor {sensorId}{location.exact ? '' : ' (somewhere on this pipe)'}
+                        </MapTooltip>
+                      </Polyline>
+                    ))}
+                  </LayerGroup>
+                </LayersControl.Overlay>
+              </LayersControl>
+            )}
+
+            {/* Clusters break apart before MapHandler's flyTo zoom (17) so popups can open */}
+            <MarkerClusterGroup
+              chunkedLoading
+              disableClusteringAtZoom={17}
+              iconCreateFunction={createClusterIcon}
+            >
+              {sensors.map(sensor => {
+                const latestLog = latestLogBySensor[sensor.id];
+                const { isLeak, radius, pathOptions } = getMarkerStyle(sensor, latestLog, livenessBySensor[sensor.id]);
+                const snap = snapBySensor[sensor.id];
+                const leakLocation = leakLocationBySensor[sensor.id];
+                return (
+                  <CircleMarker
+                    // Leaflet only applies className on creation, so remount when leak state flips
+                    key={`${sensor.id}-${isLeak ? 'leak' : 'ok'}`}
+                    ref={(el) => (markerRefs.current[sensor.id] = el)}
+                    center={snap ? snap.point : [sensor.lat, sensor.lng]}
+                    radius={radius}
+                    pathOptions={pathOptions}
+                  >
+                    <Popup>
+                      <strong>Sensor {sensor.id} ({sensor.name})</strong><br/>
+                      Battery: {sensor.battery}%<br/>
+                      Status: {sensor.status} ({livenessBySensor[sensor.id]})<br/>
+                      {snap && <>Pipe: {describePipe(snap.pipe)}<br/></>}
+                      {isLeak && (
+                        <span className="text-red-600 font-bold">
+                          LEAK: {latestLog.confidence}% conf.
+                          {latestLog.estimated_leak_size ? `, size ${latestLog.estimated_leak_size}` : ''}
+                          <br/>
+                        </span>
+                      )}
+                      {isLeak && latestLog.estimated_location && (
+                        <span className="italic">{latestLog.estimated_location}<br/></span>
+                      )}
+                      {leakLocation?.valves.length > 0 && (
+                        <span>
+                          Isolation valves:{' '}
+                          {leakLocation.valves.map(({ valve, distance }) => `${valve.id} (${Math.round(distance)} m)`).join(', ')}
+                          <br/>
+                        </span>
+                      )}
+                      {incidentBySensor[sensor.id] && (
+                        <span>
+                          Incident: <strong>{incidentBySensor[sensor.id].status}</strong><br/>
+                        </span>
+                      )}
+                      {canManageIncidents && incidentBySensor[sensor.id]?.status === 'open' && (
+                        <button
+                          onClick={() => handleAcknowledge(incidentBySensor[sensor.id])}
+                          className="mt-1 mr-3 text-red-600 hover:underline font-medium"
+                        >
+                          Acknowledge
+                        </button>
+                      )}
+                      <button
+                        onClick={() => navigate(`/sensors/${sensor.id}`)}
+                        className="mt-1 text-blue-600 hover:underline font-medium"
+                      >
+                        View details
+                      </button>
+                    </Popup>
+                  </CircleMarker>
+                );
+              })}
+            </MarkerClusterGroup>
+
+            <MapLegend />
           </MapContainer>
+
+          {replaying && <ReplayControls replay={replay} />}
         </div>
 
         {/* TABLE SECTION */}
         <div className="bg-white p-4 rounded-lg shadow-sm h-[500px] flex flex-col">
-          <h2 className="text-lg font-bold mb-4 text-gray-800 border-b pb-2">Live Sensor Status</h2>
-          <p className="text-xs text-gray-400 mb-2">Showing latest detection result</p>
+          {replayActive ? (
+            <>
+              <h2 className="text-lg font-bold mb-4 text-amber-700 border-b pb-2">Sensor Status (Replay)</h2>
+              <p className="text-xs text-gray-400 mb-2">As of {new Date(replay.cursor).toLocaleString()}</p>
+            </>
+          ) : (
+            <>
+              <h2 className="text-lg font-bold mb-4 text-gray-800 border-b pb-2">Live Sensor Status</h2>
+              <p className="text-xs text-gray-400 mb-2">Showing latest detection result</p>
+            </>
+          )}
           
-          <div className="overflow-auto flex-1">
+          <div {...sensorTableNav.tableProps} className="overflow-auto flex-1 focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-300 rounded">
             <table className="w-full text-left border-collapse">
               <thead className="bg-gray-50 sticky top-0 z-10">
                 <tr>
                   <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Time</th>
                   <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Sensor ID</th>
+                  <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Health</th>
                   <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Result</th>
                   <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Conf.</th>
                   <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Size</th>
                   <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Location</th>
+                  <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Incident</th>
+                  <th className="py-3 px-4"></th>
                 </tr>
               </thead>
               <tbody className="divide-y divide-gray-200">
-                {latestReadings.map((item) => {
+                {displayedReadings.map((item, rowIndex) => {
                   const log = item.latestLog;
                   const isLeak = log?.is_leak;
+                  const incident = incidentBySensor[item.id];
+                  const liveness = livenessBySensor[item.id];
                   return (
                     <tr 
                       key={item.id} 
+                      data-row-index={rowIndex}
                       onClick={() => handleRowClick(item.id)}
-                      className="hover:bg-blue-50 cursor-pointer transition-colors"
+                      className={`hover:bg-blue-50 cursor-pointer transition-colors ${rowIndex === sensorTableNav.activeIndex ? 'bg-blue-50 ring-1 ring-inset ring-blue-300' : ''}`}
                     >
                       <td className="py-3 px-4 text-sm text-gray-600 whitespace-nowrap">
                         {log ? new Date(log.created_at).toLocaleTimeString() : '-'}
@@ -237,6 +710,11 @@ function Dashboard() {
                       <td className="py-3 px-4 text-sm font-medium text-gray-900">
                         {item.id}
                       </td>
+                      <td className="py-3 px-4">
+                        <span className={`text-xs px-2 py-1 rounded-full font-bold border uppercase ${LIVENESS_STYLES[liveness]}`}>
+                          {liveness}
+                        </span>
+                      </td>
                       <td className="py-3 px-4">
                         {isLeak ? (
                           <span className="bg-red-100 text-red-800 text-xs px-2 py-1 rounded-full font-bold inline-flex items-center gap-1 border border-red-200">
@@ -258,6 +736,38 @@ function Dashboard() {
                       <td className="py-3 px-4 text-sm text-gray-500 italic">
                         {isLeak && log.estimated_location ? log.estimated_location : '-'}
                       </td>
+                      <td className="py-3 px-4 text-sm">
+                        {!incident ? (
+                          <span className="text-gray-400">-</span>
+                        ) : canManageIncidents && incident.status === 'open' ? (
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              handleAcknowledge(incident);
+                            }}
+                            className="bg-red-600 text-white text-xs px-2 py-1 rounded hover:bg-red-700 font-medium transition-colors"
+                          >
+                            Acknowledge
+                          </button>
+                        ) : (
+                          <span className={`text-xs px-2 py-1 rounded-full font-bold border uppercase ${INCIDENT_STATUS_STYLES[incident.status]}`}>
+                            {incident.status}
+                          </span>
+                        )}
+                      </td>
+                      <td className="py-3 px-4 text-right">
+                        {/* Stop propagation so the row's map fly-to doesn't also fire */}
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            navigate(`/sensors/${item.id}`);
+                          }}
+                          className="p-1 rounded hover:bg-blue-100 text-blue-600 transition-colors"
+                          title="Sensor details"
+                        >
+                          <ExternalLink size={16} />
+                        </button>
+                      </td>
                     </tr>
                   );
                 })}
@@ -273,74 +783,297 @@ function Dashboard() {
 // ==========================================
 // PAGE 2: DETECTION HISTORY
 // ==========================================
+// Helper for Table Header
+function SortableHeader({ label, sortKey, sortConfig, onSort }) {
+  return (
+    <th 
+      className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider cursor-pointer hover:bg-gray-200 transition-colors select-none"
+      onClick={() => onSort(sortKey)}
+    >
+      <div className="flex items-center gap-1">
+        {label}
+        <ArrowUpDown size={14} className={sortConfig.key === sortKey ? "text-blue-600" : "text-gray-400"} />
+      </div>
+    </th>
+  );
+}
+
+// Quick "last N" buttons next to the date range
+const DATE_PRESETS = [
+  { label: '24H', hours: 24 },
+  { label: '7D', hours: 24 * 7 },
+  { label: '30D', hours: 24 * 30 },
+];
+
+const EXPORT_FORMATS = [
+  { format: 'csv', label: 'CSV' },
+  { format: 'geojson', label: 'GeoJSON' },
+  { format: 'pdf', label: 'PDF Report' },
+];
+
+const VIEW_OPTIONS = [
+  { value: 'pages', label: 'Pages' },
+  { value: 'scroll', label: 'Infinite scroll' },
+];
+
+const PAGE_SIZE = 100;
+// Infinite scroll: every row is rendered this tall (py-3 cells plus the divider)
+// so the window of rendered rows can be worked out from scrollTop alone
+const SCROLL_ROW_HEIGHT = 49;
+// Fetch the next batch once the window gets this close to the last loaded row
+const SCROLL_PREFETCH_ROWS = 100;
+// Labels are fetched for the block of rows around the window, not all loaded rows
+const LABEL_BLOCK_SIZE = 200;
+
+function DetectionRow({ row, rowIndex, active, height, label, canLabel, onSaveLabel }) {
+  return (
+    <tr
+      data-row-index={rowIndex}
+      style={height ? { height } : undefined}
+      className={`hover:bg-blue-50 transition-colors ${active ? 'bg-blue-50 ring-1 ring-inset ring-blue-300' : ''}`}
+    >
+      <td className="py-3 px-4 text-sm text-gray-600 whitespace-nowrap">
+        {new Date(row.created_at).toLocaleString()}
+      </td>
+      <td className="py-3 px-4 text-sm font-medium text-gray-900">
+        {row.sensor_id}
+      </td>
+      <td className="py-3 px-4">
+        {row.is_leak ? (
+          <span className="bg-red-100 text-red-800 text-xs px-2 py-1 rounded-full font-bold inline-flex items-center gap-1 border border-red-200">
+            <Droplets size={12}/> LEAK
+          </span>
+        ) : (
+          <span className="bg-green-100 text-green-800 text-xs px-2 py-1 rounded-full font-bold border border-green-200">
+            NORMAL
+          </span>
+        )}
+      </td>
+      <td className="py-3 px-4 text-sm text-gray-600">
+        {row.confidence}%
+      </td>
+      <td className="py-3 px-4 text-sm font-semibold text-gray-700">
+        {row.estimated_leak_size || '-'}
+      </td>
+      <td className="py-3 px-4 text-sm text-gray-500 italic">
+        {row.estimated_location || '-'}
+      </td>
+      <td className="py-3 px-4">
+        <DetectionLabelControl detection={row} label={label} canEdit={canLabel} onSave={onSaveLabel} />
+      </td>
+    </tr>
+  );
+}
+
 function DetectionHistory() {
   const [data, setData] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [page, setPage] = useState(0); // Supabase pagination is 0-indexed range
-  const PAGE_SIZE = 100;
+  const [sensorOptions, setSensorOptions] = useState([]);
+  const [view, setView] = useState(loadHistoryView);
+  // Exact counts scan every matching row, so they are opt-in
+  const [exactCount, setExactCount] = useState(false);
+  // { count, exact } for the current filters
+  const [total, setTotal] = useState(null);
+  const [pageInput, setPageInput] = useState('');
+  // The table's scrolling container, shared by keyboard nav and the virtual window
+  const scrollRef = useRef(null);
   
   const navigate = useNavigate();
+  const { can } = useAuth();
 
-  // Sort & Filter State
-  const [sortConfig, setSortConfig] = useState({ key: 'created_at', direction: 'desc' });
-  const [filters, setFilters] = useState({
-    sensor_id: '',
-    minConfidence: '',
-  });
+  // Sort, Filter & Page State all live in the URL so views can be bookmarked
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = useMemo(() => filtersFromParams(searchParams), [searchParams]);
+  const sortConfig = useMemo(() => sortFromParams(searchParams), [searchParams]);
+  const page = pageFromParams(searchParams); // 0-indexed, for display and offset jumps
+  // Queries are scoped to the site picked on the dashboard; it isn't part of the URL
+  const { siteId, site } = useSite();
+  const queryFilters = useMemo(() => ({ ...filters, site: siteId }), [filters, siteId]);
+  // Cursor the page was reached by, null when it is addressed by number
+  const position = useMemo(() => positionFromParams(searchParams), [searchParams]);
 
+  const lastPage = total?.exact ? Math.max(0, Math.ceil(total.count / PAGE_SIZE) - 1) : null;
+  // The last page holds whatever is left over, which needs the exact count
+  const pageRows = position?.last && lastPage !== null ? (total.count - lastPage * PAGE_SIZE) || PAGE_SIZE : PAGE_SIZE;
+
+  const goToPage = useCallback((nextPage, nextPosition = null) => {
+    setSearchParams(toSearchParams(filters, sortConfig, nextPage, nextPosition));
+  }, [setSearchParams, filters, sortConfig]);
+
+  const hasPrev = page > 0;
+  const hasNext = !loading && (lastPage !== null ? page < lastPage : data.length === PAGE_SIZE && !position?.last);
+
+  const goToPrev = useCallback(() => {
+    // Page 1 is just the start; anything else walks back from this page's first row
+    goToPage(page - 1, page > 1 && data.length > 0 ? { before: detectionCursor(data[0], sortConfig) } : null);
+  }, [goToPage, page, data, sortConfig]);
+
+  const goToNext = useCallback(() => {
+    goToPage(page + 1, { after: detectionCursor(data[data.length - 1], sortConfig) });
+  }, [goToPage, page, data, sortConfig]);
+
+  const goToLast = useCallback(() => goToPage(lastPage, { last: true }), [goToPage, lastPage]);
+
+  const handleJump = (e) => {
+    e.preventDefault();
+    const requested = parseInt(pageInput, 10);
+    if (Number.isNaN(requested)) return;
+    const target = Math.max(0, Math.min(requested - 1, lastPage ?? Infinity));
+    // Reading the last page backwards is cheaper than skipping to it
+    goToPage(target, target > 0 && target === lastPage ? { last: true } : null);
+    setPageInput('');
+  };
+
+  const changeView = (nextView) => {
+    setView(nextView);
+    saveHistoryView(nextView);
+  };
+
+  // Typing in a filter replaces the history entry instead of pushing one per keystroke
+  const setFilter = (key, value) => {
+    setSearchParams(toSearchParams({ ...filters, [key]: value }, sortConfig, 0), { replace: true });
+  };
+
+  const clearFilters = () => {
+    setSearchParams(toSearchParams(DEFAULT_FILTERS, sortConfig, 0));
+  };
+
+  // Sensor list for the multi-select
   useEffect(() => {
+    const loadSensors = async () => {
+      const { data: sensorData, error } = await fetchSensors({ includeDecommissioned: true, siteId });
+      if (error) {
+        console.error("Error fetching sensors:", error);
+      } else {
+        setSensorOptions(sensorData || []);
+      }
+    };
+    loadSensors();
+  }, [siteId]);
+  // { format, rows } while an export is running
+  const [exportStatus, setExportStatus] = useState(null);
+  // Message from the last export if it failed
+  const [exportError, setExportError] = useState(null);
+
+  // Total matching rows; only depends on the filters, not the page
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadCount = async () => {
+      const { data: count, error } = await countDetections(queryFilters, exactCount ? 'exact' : 'estimated');
+      if (cancelled) return;
+      if (error) {
+        console.error("Error counting detections:", error);
+        setTotal(null);
+      } else {
+        setTotal({ count, exact: exactCount });
+      }
+    };
+    loadCount();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [queryFilters, exactCount]);
+
+  useEffect(() => {
+    if (view !== 'pages') return undefined;
+    let cancelled = false;
+
+    const fetchHistory = async () => {
+      setLoading(true);
+      const { data: result, error } = await fetchDetectionPage(queryFilters, sortConfig, pageRows, position || { offset: page * PAGE_SIZE });
+
+      if (cancelled) return;
+      if (error) {
+        console.error("Error fetching history:", error);
+      } else {
+        setData(result || []);
+      }
+      setLoading(false);
+    };
     fetchHistory();
-  }, [page, sortConfig, filters]); // Refetch when these change
-
-  const fetchHistory = async () => {
-    setLoading(true);
-    let query = supabase
-      .from('detections')
-      .select('*')
-      // Only show leaks by default as requested
-      .eq('is_leak', true)
-      .range(page * PAGE_SIZE, (page + 1) * PAGE_SIZE - 1);
-
-    // Apply Sorting
-    query = query.order(sortConfig.key, { ascending: sortConfig.direction === 'asc' });
-
-    // Apply Filters (Client-side-ish logic applied to query builder)
-    if (filters.sensor_id) {
-      query = query.ilike('sensor_id', `%${filters.sensor_id}%`);
-    }
-    if (filters.minConfidence) {
-      query = query.gte('confidence', parseInt(filters.minConfidence));
-    }
 
-    const { data: result, error } = await query;
-    
-    if (error) {
-      console.error("Error fetching history:", error);
-    } else {
-      setData(result || []);
+    return () => {
+      cancelled = true;
+    };
+  }, [view, page, position, pageRows, sortConfig, queryFilters]); // Refetch when these change
+
+  // Infinite scroll: rows accumulate as the window nears the end of what is loaded
+  const scroll = useDetectionScroll(queryFilters, sortConfig);
+  const { loadMore } = scroll;
+  const virtual = useVirtualRows(scrollRef, scroll.rows.length, SCROLL_ROW_HEIGHT);
+  const needMore = view === 'scroll' && !scroll.loading && !scroll.done && !scroll.error
+    && virtual.end >= scroll.rows.length - SCROLL_PREFETCH_ROWS;
+
+  useEffect(() => {
+    if (needMore) loadMore();
+  }, [needMore, loadMore]);
+
+  const rows = view === 'scroll' ? scroll.rows : data;
+  const labelBlock = Math.floor(virtual.start / LABEL_BLOCK_SIZE) * LABEL_BLOCK_SIZE;
+  const labelRows = useMemo(
+    () => (view === 'scroll' ? scroll.rows.slice(labelBlock, labelBlock + 2 * LABEL_BLOCK_SIZE) : data),
+    [view, scroll.rows, labelBlock, data]
+  );
+  const { labels, setLabel } = useDetectionLabels(labelRows);
+
+  const handleExport = useCallback(async (exportFormat) => {
+    setExportStatus({ format: exportFormat, rows: 0 });
+    setExportError(null);
+    try {
+      await exportDetections(exportFormat, queryFilters, sortConfig, rows => setExportStatus({ format: exportFormat, rows }));
+    } catch (error) {
+      console.error("Error exporting history:", error);
+      setExportError(`${exportFormat.toUpperCase()} export failed: ${error.message}`);
     }
-    setLoading(false);
-  };
+    setExportStatus(null);
+  }, [queryFilters, sortConfig]);
 
+  const historyTableNav = useTableKeyboardNav(
+    view === 'pages' && loading ? 0 : rows.length,
+    index => navigate(`/sensors/${rows[index].sensor_id}`),
+    { containerRef: scrollRef, scrollToIndex: view === 'scroll' ? virtual.scrollToIndex : undefined }
+  );
+
+  const historyCommands = useMemo(() => [
+    ...(can('exportData') ? EXPORT_FORMATS : []).map(({ format: exportFormat, label }) => ({
+      id: `export-${exportFormat}`,
+      label: `Export ${label}`,
+      keywords: 'download history',
+      run: () => handleExport(exportFormat),
+    })),
+    { id: 'clear-filters', label: 'Clear filters', keywords: 'reset history', run: () => setSearchParams(toSearchParams(DEFAULT_FILTERS, sortConfig, 0)) },
+    { id: 'show-leaks', label: 'Show leaks only', keywords: 'filter history result', run: () => setSearchParams(toSearchParams({ ...filters, result: 'leak' }, sortConfig, 0)) },
+    ...(view === 'pages' && hasPrev ? [{ id: 'prev-page', label: 'Previous page', run: goToPrev }] : []),
+    ...(view === 'pages' && hasNext ? [{ id: 'next-page', label: 'Next page', run: goToNext }] : []),
+    ...(view === 'pages' && lastPage !== null && page < lastPage ? [{ id: 'last-page', label: 'Last page', run: goToLast }] : []),
+  ], [can, handleExport, setSearchParams, filters, sortConfig, view, page, lastPage, hasPrev, hasNext, goToPrev, goToNext, goToLast]);
+  useCommands(historyCommands);
+
+  // Cursors belong to one sort order, so a new sort starts from the top
   const handleSort = (key) => {
     let direction = 'asc';
     if (sortConfig.key === key && sortConfig.direction === 'asc') {
       direction = 'desc';
     }
-    setSortConfig({ key, direction });
+    setSearchParams(toSearchParams(filters, { key, direction }, 0));
   };
 
-  // Helper for Table Header
-  const SortableHeader = ({ label, sortKey }) => (
-    <th 
-      className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider cursor-pointer hover:bg-gray-200 transition-colors select-none"
-      onClick={() => handleSort(sortKey)}
-    >
-      <div className="flex items-center gap-1">
-        {label}
-        <ArrowUpDown size={14} className={sortConfig.key === sortKey ? "text-blue-600" : "text-gray-400"} />
-      </div>
-    </th>
+  const totalText = total ? `${total.exact ? '' : '~'}${total.count.toLocaleString()}` : '...';
+  const firstRow = page * PAGE_SIZE + 1;
+
+  const renderRow = (row, rowIndex) => (
+    <DetectionRow
+      key={row.id}
+      row={row}
+      rowIndex={rowIndex}
+      active={rowIndex === historyTableNav.activeIndex}
+      height={view === 'scroll' ? SCROLL_ROW_HEIGHT : undefined}
+      label={labels[row.id]}
+      canLabel={can('labelDetections')}
+      onSaveLabel={setLabel}
+    />
   );
 
   return (
@@ -358,98 +1091,246 @@ function DetectionHistory() {
             </button>
             <div>
               <h1 className="text-2xl font-bold text-gray-900">Detection History</h1>
-              <p className="text-gray-500 text-sm">Log of all confirmed leak events (Page {page + 1})</p>
+              <p className="text-gray-500 text-sm">
+                {filters.result === 'leak' ? 'Log of all confirmed leak events' : filters.result === 'normal' ? 'Log of normal readings' : 'Log of all detections'}
+                {site && ` at ${site.name}`}
+                {view === 'pages' && ` (Page ${page + 1}${lastPage !== null ? ` of ${lastPage + 1}` : ''})`}
+              </p>
             </div>
           </div>
+          <div className="flex items-center gap-2">
+            <div className="flex rounded border overflow-hidden mr-2">
+              {VIEW_OPTIONS.map(option => (
+                <button
+                  key={option.value}
+                  onClick={() => changeView(option.value)}
+                  className={`px-3 py-2 text-sm font-medium transition-colors ${
+                    view === option.value ? 'bg-blue-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-100'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            {exportStatus && (
+              <span className="text-sm text-gray-500">
+                Exporting {exportStatus.format.toUpperCase()}... {exportStatus.rows.toLocaleString()} rows
+              </span>
+            )}
+            {exportError && <span className="text-sm text-red-600">{exportError}</span>}
+            {can('exportData') && EXPORT_FORMATS.map(({ format: exportFormat, label }) => (
+              <button
+                key={exportFormat}
+                onClick={() => handleExport(exportFormat)}
+                disabled={exportStatus !== null}
+                className="flex items-center gap-2 bg-white border border-gray-300 text-gray-700 px-3 py-2 rounded hover:bg-gray-50 shadow-sm text-sm font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <Download size={16} /> {label}
+              </button>
+            ))}
+          </div>
         </div>
 
         {/* Filter Bar */}
-        <div className="flex flex-wrap gap-4 mb-6 p-4 bg-gray-50 rounded-lg border border-gray-200">
+        <div className="flex flex-wrap items-center gap-4 mb-6 p-4 bg-gray-50 rounded-lg border border-gray-200">
           <div className="flex items-center gap-2 text-gray-600 font-medium">
             <Filter size={18} /> Filters:
           </div>
+
+          {/* Result toggle */}
+          <div className="flex rounded border overflow-hidden">
+            {RESULT_OPTIONS.map(option => (
+              <button
+                key={option.value}
+                onClick={() => setFilter('result', option.value)}
+                className={`px-3 py-2 text-sm font-medium transition-colors ${
+                  filters.result === option.value ? 'bg-blue-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-100'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+
+          <SensorMultiSelect
+            sensors={sensorOptions}
+            selected={filters.sensors}
+            onChange={selected => setFilter('sensors', selected)}
+          />
           <input 
             placeholder="Search Sensor ID..." 
             className="px-3 py-2 border rounded text-sm w-40"
             value={filters.sensor_id}
-            onChange={e => {
-                setFilters({...filters, sensor_id: e.target.value});
-                setPage(0); // Reset to page 1 on filter change
-            }}
+            onChange={e => setFilter('sensor_id', e.target.value)}
+          />
+          <input 
+            placeholder="Search Location..." 
+            className="px-3 py-2 border rounded text-sm w-40"
+            value={filters.location}
+            onChange={e => setFilter('location', e.target.value)}
           />
           <input 
             type="number" 
             placeholder="Min Confidence %" 
             className="px-3 py-2 border rounded text-sm w-40"
             value={filters.minConfidence}
-            onChange={e => {
-                setFilters({...filters, minConfidence: e.target.value});
-                setPage(0);
-            }}
+            onChange={e => setFilter('minConfidence', e.target.value)}
           />
+          <input 
+            type="number" 
+            placeholder="Max Confidence %" 
+            className="px-3 py-2 border rounded text-sm w-40"
+            value={filters.maxConfidence}
+            onChange={e => setFilter('maxConfidence', e.target.value)}
+          />
+
+          {/* Date range */}
+          <div className="flex items-center gap-2 text-sm text-gray-600">
+            <input
+              type="datetime-local"
+              className="px-3 py-2 border rounded text-sm"
+              value={filters.from}
+              onChange={e => setFilter('from', e.target.value)}
+            />
+            to
+            <input
+              type="datetime-local"
+              className="px-3 py-2 border rounded text-sm"
+              value={filters.to}
+              onChange={e => setFilter('to', e.target.value)}
+            />
+            {DATE_PRESETS.map(preset => (
+              <button
+                key={preset.label}
+                onClick={() => setSearchParams(toSearchParams({ ...filters, from: hoursAgoInputValue(preset.hours), to: '' }, sortConfig, 0))}
+                className="px-2 py-1 rounded bg-white border text-xs font-medium text-gray-600 hover:bg-gray-100"
+              >
+                {preset.label}
+              </button>
+            ))}
+          </div>
+
+          <button onClick={clearFilters} className="text-sm text-blue-600 hover:underline">
+            Clear filters
+          </button>
         </div>
 
         {/* Full Table */}
-        <div className="overflow-x-auto flex-1">
+        <div
+          {...historyTableNav.tableProps}
+          className={`overflow-auto focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-300 rounded ${view === 'scroll' ? 'h-[70vh]' : 'flex-1'}`}
+        >
           <table className="w-full text-left border-collapse">
-            <thead className="bg-gray-100 border-b-2 border-gray-200 sticky top-0">
+            <thead className="bg-gray-100 border-b-2 border-gray-200 sticky top-0 z-10">
               <tr>
-                <SortableHeader label="Timestamp" sortKey="created_at" />
-                <SortableHeader label="Sensor ID" sortKey="sensor_id" />
-                <SortableHeader label="Confidence" sortKey="confidence" />
-                <SortableHeader label="Est. Leak Size" sortKey="estimated_leak_size" />
-                <SortableHeader label="Est. Location" sortKey="estimated_location" />
+                <SortableHeader label="Timestamp" sortKey="created_at" sortConfig={sortConfig} onSort={handleSort} />
+                <SortableHeader label="Sensor ID" sortKey="sensor_id" sortConfig={sortConfig} onSort={handleSort} />
+                <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Result</th>
+                <SortableHeader label="Confidence" sortKey="confidence" sortConfig={sortConfig} onSort={handleSort} />
+                <SortableHeader label="Est. Leak Size" sortKey="estimated_leak_size" sortConfig={sortConfig} onSort={handleSort} />
+                <SortableHeader label="Est. Location" sortKey="estimated_location" sortConfig={sortConfig} onSort={handleSort} />
+                <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Feedback</th>
               </tr>
             </thead>
             <tbody className="divide-y divide-gray-200">
-              {loading ? (
-                <tr><td colSpan="5" className="p-8 text-center text-gray-500">Loading data...</td></tr>
+              {view === 'scroll' ? (
+                <>
+                  {/* Spacers stand in for the rows outside the window */}
+                  {virtual.paddingTop > 0 && <tr style={{ height: virtual.paddingTop }} />}
+                  {scroll.rows.slice(virtual.start, virtual.end).map((row, i) => renderRow(row, virtual.start + i))}
+                  {virtual.paddingBottom > 0 && <tr style={{ height: virtual.paddingBottom }} />}
+                  {scroll.loading && (
+                    <tr><td colSpan="7" className="p-4 text-center text-gray-500">Loading more...</td></tr>
+                  )}
+                  {scroll.error && (
+                    <tr>
+                      <td colSpan="7" className="p-4 text-center text-red-600">
+                        Couldn't load more detections.{' '}
+                        <button onClick={loadMore} className="text-blue-600 hover:underline">Retry</button>
+                      </td>
+                    </tr>
+                  )}
+                  {scroll.done && scroll.rows.length === 0 && (
+                    <tr><td colSpan="7" className="p-8 text-center text-gray-400">No detections found matching criteria.</td></tr>
+                  )}
+                </>
+              ) : loading ? (
+                <tr><td colSpan="7" className="p-8 text-center text-gray-500">Loading data...</td></tr>
               ) : data.length === 0 ? (
-                <tr><td colSpan="5" className="p-8 text-center text-gray-400">No leaks found matching criteria.</td></tr>
+                <tr><td colSpan="7" className="p-8 text-center text-gray-400">No detections found matching criteria.</td></tr>
               ) : (
-                data.map((row) => (
-                  <tr key={row.id} className="hover:bg-blue-50 transition-colors">
-                    <td className="py-3 px-4 text-sm text-gray-600">
-                      {new Date(row.created_at).toLocaleString()}
-                    </td>
-                    <td className="py-3 px-4 text-sm font-medium text-gray-900">
-                      {row.sensor_id}
-                    </td>
-                    <td className="py-3 px-4 text-sm text-gray-600">
-                      {row.confidence}%
-                    </td>
-                    <td className="py-3 px-4 text-sm font-semibold text-gray-700">
-                      {row.estimated_leak_size || '-'}
-                    </td>
-                    <td className="py-3 px-4 text-sm text-gray-500 italic">
-                      {row.estimated_location || '-'}
-                    </td>
-                  </tr>
-                ))
+                data.map(renderRow)
               )}
             </tbody>
           </table>
         </div>
 
         {/* Pagination Controls */}
-        <div className="flex justify-center items-center gap-4 mt-6 pt-4 border-t border-gray-100">
-            <button 
-                onClick={() => setPage(p => Math.max(0, p - 1))}
-                disabled={page === 0}
-                className="flex items-center gap-1 px-3 py-2 rounded hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed text-sm font-medium text-gray-600"
-            >
-                <ChevronLeft size={16} /> Prev
-            </button>
-            <span className="text-sm font-medium text-gray-600">
-                Page {page + 1}
+        <div className="flex flex-wrap justify-between items-center gap-4 mt-6 pt-4 border-t border-gray-100 text-sm text-gray-600">
+          <div className="flex items-center gap-3">
+            <span>
+              {view === 'scroll'
+                ? `Loaded ${scroll.rows.length.toLocaleString()} of ${totalText}`
+                : data.length > 0
+                  ? `Rows ${firstRow.toLocaleString()}-${(firstRow + data.length - 1).toLocaleString()} of ${totalText}`
+                  : `0 of ${totalText}`}
             </span>
-            <button 
-                onClick={() => setPage(p => p + 1)}
-                disabled={data.length < PAGE_SIZE}
-                className="flex items-center gap-1 px-3 py-2 rounded hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed text-sm font-medium text-gray-600"
-            >
+            <label className="flex items-center gap-1 text-xs text-gray-500" title="Estimated counts come from table statistics; exact counts scan every matching row">
+              <input type="checkbox" checked={exactCount} onChange={e => setExactCount(e.target.checked)} />
+              Count exactly
+            </label>
+          </div>
+
+          {view === 'pages' && (
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => goToPage(0)}
+                disabled={!hasPrev}
+                className="px-3 py-2 rounded hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed font-medium"
+              >
+                First
+              </button>
+              <button 
+                onClick={goToPrev}
+                disabled={!hasPrev}
+                className="flex items-center gap-1 px-3 py-2 rounded hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed font-medium"
+              >
+                <ChevronLeft size={16} /> Prev
+              </button>
+              <span className="font-medium">
+                Page {page + 1}{lastPage !== null && ` of ${lastPage + 1}`}
+              </span>
+              <button 
+                onClick={goToNext}
+                disabled={!hasNext}
+                className="flex items-center gap-1 px-3 py-2 rounded hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed font-medium"
+              >
                 Next <ChevronRight size={16} />
-            </button>
+              </button>
+              <button
+                onClick={goToLast}
+                disabled={lastPage === null || page >= lastPage}
+                title={lastPage === null ? 'Tick "Count exactly" to enable' : undefined}
+                className="px-3 py-2 rounded hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed font-medium"
+              >
+                Last
+              </button>
+              <form onSubmit={handleJump} className="flex items-center gap-1 ml-2">
+                <input
+                  type="number"
+                  min="1"
+                  max={lastPage !== null ? lastPage + 1 : undefined}
+                  placeholder="Page"
+                  value={pageInput}
+                  onChange={e => setPageInput(e.target.value)}
+                  className="px-2 py-1 border rounded text-sm w-20"
+                />
+                <button type="submit" disabled={!pageInput} className="px-2 py-1 rounded border hover:bg-gray-100 disabled:opacity-50 font-medium">
+                  Go
+                </button>
+              </form>
+            </div>
+          )}
         </div>
 
       </div>
@@ -460,13 +1341,47 @@ function DetectionHistory() {
 // ==========================================
 // APP ROUTER WRAPPER
 // ==========================================
+// Pages whose state all belongs to one site start over when the site changes
+function SiteScoped({ children }) {
+  const { siteId } = useSite();
+  return <React.Fragment key={siteId ?? 'all'}>{children}</React.Fragment>;
+}
+
 function App() {
   return (
     <BrowserRouter>
-      <Routes>
-        <Route path="/" element={<Dashboard />} />
-        <Route path="/history" element={<DetectionHistory />} />
-      </Routes>
+      <AuthProvider>
+        <Routes>
+          <Route path="/login" element={<Login />} />
+
+          {/* Everything else needs a signed-in user */}
+          <Route
+            element={
+              <ProtectedRoute>
+                <SiteProvider>
+                  <NotificationProvider>
+                    <CommandPaletteProvider>
+                      <Outlet />
+                    </CommandPaletteProvider>
+                  </NotificationProvider>
+                </SiteProvider>
+              </ProtectedRoute>
+            }
+          >
+            <Route path="/" element={<SiteScoped><Dashboard /></SiteScoped>} />
+            <Route path="/history" element={<SiteScoped><DetectionHistory /></SiteScoped>} />
+            <Route path="/sensors/:id" element={<SensorDetail />} />
+            <Route path="/incidents" element={<SiteScoped><Incidents /></SiteScoped>} />
+            <Route path="/analytics" element={<Analytics />} />
+            <Route element={<ProtectedRoute permission="editSensors" />}>
+              <Route path="/sensors" element={<SiteScoped><SensorAdmin /></SiteScoped>} />
+            </Route>
+            <Route element={<ProtectedRoute permission="manageAlerts" />}>
+              <Route path="/settings/alerts" element={<AlertSettings />} />
+            </Route>
+          </Route>
+        </Routes>
+      </AuthProvider>
     </BrowserRouter>
   );
 }
@@ -0,0 +1,62 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { auth, fetchProfile } from './dataAccess';
+import { AuthContext } from './authContext';
+import { can } from './roles';
+
+/**
+ * Tracks the auth session (Supabase Auth, or the mock data source's demo
+ * user) and the signed-in user's role.
+ * `session` is undefined until the stored session has been read.
+ */
+function AuthProvider({ children }) {
+  const [session, setSession] = useState(undefined);
+  const [profile, setProfile] = useState(null);
+
+  useEffect(() => {
+    auth.getSession().then(setSession);
+
+    // Only set state here: Supabase warns against awaiting its own calls in this callback
+    return auth.onAuthStateChange(setSession);
+  }, []);
+
+  const userId = session?.user?.id;
+
+  useEffect(() => {
+    if (!userId) return;
+
+    let cancelled = false;
+    const loadProfile = async () => {
+      const { data, error } = await fetchProfile(userId);
+      if (cancelled) return;
+      if (error) console.error("Error fetching profile:", error);
+      setProfile(data || { id: userId, role: 'viewer' });
+    };
+    loadProfile();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  const signInWithPassword = useCallback((email, password) => auth.signInWithPassword(email, password), []);
+  const sendMagicLink = useCallback((email) => auth.sendMagicLink(email), []);
+  const signOut = useCallback(() => auth.signOut(), []);
+
+  // A profile left over from a previous user doesn't count
+  const role = profile && profile.id === userId ? profile.role : null;
+
+  const value = useMemo(() => ({
+    session,
+    user: session?.user ?? null,
+    role,
+    loading: session === undefined || (Boolean(session) && role === null),
+    can: (permission) => can(role, permission),
+    signInWithPassword,
+    sendMagicLink,
+    signOut,
+  }), [session, role, signInWithPassword, sendMagicLink, signOut]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
+
+export default AuthProvider;
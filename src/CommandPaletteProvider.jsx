@@ -0,0 +1,242 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Search, MapPin, CornerDownLeft } from 'lucide-react';
+import { fetchSensors, fetchLatestDetections } from './dataAccess';
+import { CommandPaletteContext } from './commandPaletteContext';
+import { useAuth } from './authContext';
+import { useSite } from './siteContext';
+import { fuzzyFilter } from './fuzzyMatch';
+
+const MAX_SENSOR_RESULTS = 8;
+const MAX_COMMAND_RESULTS = 12;
+
+// Pages every signed-in user can open; `permission` hides the rest
+const PAGES = [
+  { path: '/', label: 'Dashboard', keywords: 'map live home' },
+  { path: '/history', label: 'Detection History', keywords: 'log search filter' },
+  { path: '/incidents', label: 'Incidents', keywords: 'leaks acknowledge dispatch resolve' },
+  { path: '/analytics', label: 'Analytics', keywords: 'charts accuracy heatmap' },
+  { path: '/sensors', label: 'Manage Sensors', keywords: 'admin add edit pipe network', permission: 'editSensors' },
+  { path: '/settings/alerts', label: 'Alert Rules', keywords: 'webhook email sms', permission: 'manageAlerts' },
+];
+
+const isPaletteShortcut = (e) => (e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k';
+
+// --- THE PALETTE DIALOG ---
+function CommandPalette({ commands, onClose }) {
+  const navigate = useNavigate();
+  const { siteId, selectSite } = useSite();
+  const [query, setQuery] = useState('');
+  const [selected, setSelected] = useState(0);
+  const [sensors, setSensors] = useState([]);
+  const listRef = useRef(null);
+
+  // Sensors of every site plus their latest estimated location, fetched fresh on every open
+  useEffect(() => {
+    const loadSensors = async () => {
+      const [{ data, error }, { data: latest, error: latestError }] = await Promise.all([fetchSensors(), fetchLatestDetections()]);
+      if (error) {
+        console.error("Error fetching sensors:", error);
+        return;
+      }
+      if (latestError) console.error("Error fetching latest detections:", latestError);
+      const locationBySensor = Object.fromEntries((latest || []).map(d => [d.sensor_id, d.estimated_location]));
+      setSensors((data || []).map(s => ({ ...s, lastLocation: locationBySensor[s.id] || null })));
+    };
+    loadSensors();
+  }, []);
+
+  // One flat list so arrow keys can walk across the sections
+  const results = useMemo(() => {
+    const sensorResults = query.trim()
+      ? fuzzyFilter(sensors, query, s => [s.id, s.name, `${s.lat}, ${s.lng}`, s.lastLocation], MAX_SENSOR_RESULTS)
+      : [];
+    const commandResults = query.trim()
+      ? fuzzyFilter(commands, query, c => [c.label, c.keywords, c.section], MAX_COMMAND_RESULTS)
+      : commands;
+
+    return [
+      ...sensorResults.map(sensor => ({
+        id: `sensor-${sensor.id}`,
+        section: 'Sensors',
+        label: `${sensor.id} - ${sensor.name}`,
+        hint: sensor.lastLocation || `${sensor.lat}, ${sensor.lng}`,
+        // Enter shows the sensor on the dashboard map (switching to its site
+        // if another one is picked), Shift+Enter opens its page
+        run: ({ shiftKey }) => {
+          if (shiftKey) {
+            navigate(`/sensors/${sensor.id}`);
+            return;
+          }
+          if (siteId && sensor.site_id !== siteId) selectSite(sensor.site_id);
+          navigate('/', { state: { focusSensorId: sensor.id } });
+        },
+      })),
+      ...commandResults,
+    ];
+  }, [query, sensors, commands, navigate, siteId, selectSite]);
+
+  const selectedIndex = Math.min(selected, results.length - 1);
+
+  useEffect(() => {
+    listRef.current?.querySelector(`[data-result-index="${selectedIndex}"]`)?.scrollIntoView({ block: 'nearest' });
+  }, [selectedIndex]);
+
+  const runResult = (result, event) => {
+    onClose();
+    result.run({ shiftKey: event.shiftKey });
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setSelected(results.length === 0 ? 0 : (selectedIndex + 1) % results.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setSelected(results.length === 0 ? 0 : (selectedIndex - 1 + results.length) % results.length);
+    } else if (e.key === 'Enter' && results[selectedIndex]) {
+      e.preventDefault();
+      runResult(results[selectedIndex], e);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-[3000] bg-black/40 flex items-start justify-center pt-[15vh]" onClick={onClose}>
+      <div
+        role="dialog"
+        aria-label="Command palette"
+        className="bg-white w-full max-w-xl rounded-lg shadow-2xl overflow-hidden"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="flex items-center gap-2 px-4 border-b">
+          <Search size={18} className="text-gray-400" />
+          <input
+            autoFocus
+            value={query}
+            onChange={e => {
+              setQuery(e.target.value);
+              setSelected(0);
+            }}
+            onKeyDown={handleKeyDown}
+            placeholder="Search sensors by ID, name or location, or type a command..."
+            className="flex-1 py-3 text-sm outline-none"
+            aria-controls="command-palette-results"
+          />
+          <kbd className="text-xs text-gray-400 border rounded px-1">Esc</kbd>
+        </div>
+
+        <ul ref={listRef} id="command-palette-results" role="listbox" className="max-h-96 overflow-y-auto py-1">
+          {results.length === 0 ? (
+            <li className="px-4 py-6 text-center text-sm text-gray-400">No sensors or commands match "{query}".</li>
+          ) : results.map((result, i) => (
+            <React.Fragment key={result.id}>
+              {(i === 0 || results[i - 1].section !== result.section) && (
+                <li className="px-4 pt-2 pb-1 text-xs font-semibold text-gray-400 uppercase tracking-wider">{result.section}</li>
+              )}
+              <li
+                role="option"
+                aria-selected={i === selectedIndex}
+                data-result-index={i}
+                onMouseMove={() => setSelected(i)}
+                onClick={e => runResult(result, e)}
+                className={`flex items-center justify-between gap-4 px-4 py-2 cursor-pointer text-sm ${
+                  i === selectedIndex ? 'bg-blue-50 text-blue-900' : 'text-gray-700'
+                }`}
+              >
+                <span className="flex items-center gap-2 truncate">
+                  {result.section === 'Sensors' && <MapPin size={14} className="text-gray-400 shrink-0" />}
+                  {result.label}
+                </span>
+                <span className="flex items-center gap-2 text-xs text-gray-400 truncate">
+                  {result.hint}
+                  {i === selectedIndex && <CornerDownLeft size={12} className="shrink-0" />}
+                </span>
+              </li>
+            </React.Fragment>
+          ))}
+        </ul>
+
+        <div className="flex gap-4 px-4 py-2 border-t bg-gray-50 text-xs text-gray-500">
+          <span><kbd className="border rounded px-1 bg-white">↑</kbd> <kbd className="border rounded px-1 bg-white">↓</kbd> select</span>
+          <span><kbd className="border rounded px-1 bg-white">Enter</kbd> run / show on map</span>
+          <span><kbd className="border rounded px-1 bg-white">Shift+Enter</kbd> sensor details</span>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Ctrl+K (Cmd+K on macOS) opens the palette on every route. Pages add their
+// own actions with useCommands().
+function CommandPaletteProvider({ children }) {
+  const navigate = useNavigate();
+  const { can, signOut } = useAuth();
+  const { sites, siteId, multiSite, selectSite } = useSite();
+  const [open, setOpen] = useState(false);
+  // Registration token -> that page's commands
+  const [pageCommands, setPageCommands] = useState(() => new Map());
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (isPaletteShortcut(e)) {
+        e.preventDefault();
+        setOpen(prev => !prev);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  const registerCommands = useCallback((commands) => {
+    const token = {};
+    setPageCommands(prev => new Map(prev).set(token, commands));
+    return () => {
+      setPageCommands(prev => {
+        const next = new Map(prev);
+        next.delete(token);
+        return next;
+      });
+    };
+  }, []);
+
+  const commands = useMemo(() => [
+    ...[...pageCommands.values()].flat().map(command => ({ section: 'Actions', ...command })),
+    ...PAGES
+      .filter(page => !page.permission || can(page.permission))
+      .map(page => ({
+        id: `go-${page.path}`,
+        section: 'Go to',
+        label: page.label,
+        keywords: page.keywords,
+        hint: page.path,
+        run: () => navigate(page.path),
+      })),
+    ...(multiSite ? [{ id: null, name: 'All sites' }, ...sites] : [])
+      .filter(site => site.id !== siteId)
+      .map(site => ({
+        id: `site-${site.id ?? 'all'}`,
+        section: 'Sites',
+        label: `Switch to ${site.name}`,
+        keywords: 'site campus zone',
+        run: () => selectSite(site.id),
+      })),
+    { id: 'sign-out', section: 'Account', label: 'Sign out', keywords: 'log out logout', run: signOut },
+  ], [pageCommands, can, navigate, sites, siteId, multiSite, selectSite, signOut]);
+
+  const value = useMemo(() => ({
+    openPalette: () => setOpen(true),
+    registerCommands,
+  }), [registerCommands]);
+
+  return (
+    <CommandPaletteContext.Provider value={value}>
+      {children}
+      {open && <CommandPalette commands={commands} onClose={() => setOpen(false)} />}
+    </CommandPaletteContext.Provider>
+  );
+}
+
+export default CommandPaletteProvider;
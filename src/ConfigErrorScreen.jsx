@@ -0,0 +1,30 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+
+// Shown instead of the app when startup config is missing or invalid
+function ConfigErrorScreen({ errors }) {
+  return (
+    <div className="min-h-screen w-full bg-gray-100 flex items-center justify-center p-6 font-sans">
+      <div className="bg-white p-8 rounded-lg shadow-md max-w-xl border-l-4 border-red-500">
+        <div className="flex items-center gap-3 mb-4">
+          <AlertTriangle className="text-red-500" size={28} />
+          <h1 className="text-xl font-bold text-gray-900">Dashboard is not configured</h1>
+        </div>
+        <p className="text-sm text-gray-600 mb-3">
+          The following settings are missing or invalid:
+        </p>
+        <ul className="list-disc pl-6 text-sm text-red-700 space-y-1 mb-4">
+          {errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+        <p className="text-sm text-gray-500">
+          Set them as <code className="bg-gray-100 px-1 rounded">VITE_*</code> variables
+          (see <code className="bg-gray-100 px-1 rounded">.env.example</code>) and rebuild, or deploy a{' '}
+          <code className="bg-gray-100 px-1 rounded">config.json</code> next to index.html
+          (see <code className="bg-gray-100 px-1 rounded">config.example.json</code>).
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default ConfigErrorScreen;
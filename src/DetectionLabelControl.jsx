@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { Tag } from 'lucide-react';
+import { LABEL_NAMES, LABEL_STYLES, labelOptionsFor } from './detectionLabels';
+
+// Label cell for a detection table row: the current label and comment, and
+// for users who may label, an inline editor to set, change or remove it.
+function DetectionLabelControl({ detection, label, canEdit, onSave }) {
+  // null while closed, otherwise the draft { label, comment }
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const options = labelOptionsFor(detection);
+
+  const open = () => {
+    setError(null);
+    setDraft({ label: label?.label || options[0], comment: label?.comment || '' });
+  };
+
+  const save = async (value) => {
+    setSaving(true);
+    const saveError = await onSave(detection.id, value, draft.comment);
+    setSaving(false);
+    if (saveError) {
+      console.error("Error saving detection label:", saveError);
+      setError(saveError.message);
+    } else {
+      setDraft(null);
+    }
+  };
+
+  if (draft) {
+    return (
+      <div className="flex flex-col gap-1 min-w-[12rem]">
+        <div className="flex gap-1">
+          {options.map(option => (
+            <button
+              key={option}
+              type="button"
+              onClick={() => setDraft({ ...draft, label: option })}
+              className={`text-xs px-2 py-1 rounded-full font-bold border ${
+                draft.label === option ? LABEL_STYLES[option] : 'bg-white text-gray-500 border-gray-200 hover:bg-gray-50'
+              }`}
+            >
+              {LABEL_NAMES[option]}
+            </button>
+          ))}
+        </div>
+        <input
+          placeholder="Comment (optional)"
+          className="px-2 py-1 border rounded text-xs"
+          value={draft.comment}
+          onChange={e => setDraft({ ...draft, comment: e.target.value })}
+        />
+        {error && <span className="text-xs text-red-600">{error}</span>}
+        <div className="flex gap-2 text-xs">
+          <button type="button" onClick={() => save(draft.label)} disabled={saving} className="text-blue-600 font-medium hover:underline disabled:opacity-50">
+            Save
+          </button>
+          {label && (
+            <button type="button" onClick={() => save(null)} disabled={saving} className="text-red-600 hover:underline disabled:opacity-50">
+              Remove
+            </button>
+          )}
+          <button type="button" onClick={() => setDraft(null)} className="text-gray-500 hover:underline">
+            Cancel
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex items-center gap-2">
+      {label ? (
+        <span
+          className={`text-xs px-2 py-1 rounded-full font-bold border whitespace-nowrap ${LABEL_STYLES[label.label]}`}
+          title={label.comment || undefined}
+        >
+          {LABEL_NAMES[label.label]}{label.comment ? ' *' : ''}
+        </span>
+      ) : (
+        <span className="text-xs text-gray-400">-</span>
+      )}
+      {canEdit && (
+        <button onClick={open} className="p-1 rounded hover:bg-gray-100 text-gray-500 transition-colors" title="Label this detection">
+          <Tag size={14} />
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default DetectionLabelControl;
@@ -0,0 +1,20 @@
+import { useEffect } from 'react';
+import { useMap } from 'react-leaflet';
+
+// Fits the map to `bounds` ([[south, west], [north, east]]) once known, and
+// again only when the bounds themselves change, not on every refresh. Used to
+// frame every site's sensors in the "All sites" view.
+function FitBounds({ bounds }) {
+  const map = useMap();
+  const boundsKey = bounds ? bounds.flat().join(',') : null;
+
+  useEffect(() => {
+    if (!boundsKey) return;
+    const [south, west, north, east] = boundsKey.split(',').map(Number);
+    map.fitBounds([[south, west], [north, east]], { padding: [30, 30], maxZoom: 17 });
+  }, [map, boundsKey]);
+
+  return null;
+}
+
+export default FitBounds;
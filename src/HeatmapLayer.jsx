@@ -0,0 +1,24 @@
+import { useEffect } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import './leafletGlobal';
+import 'leaflet.heat';
+
+/**
+ * Leaflet.heat layer for react-leaflet. `points` are [lat, lng, intensity]
+ * with intensity in 0..1; the layer is rebuilt whenever they change.
+ */
+function HeatmapLayer({ points, radius = 30, blur = 20 }) {
+  const map = useMap();
+
+  useEffect(() => {
+    const layer = L.heatLayer(points, { radius, blur, max: 1, minOpacity: 0.3 }).addTo(map);
+    return () => {
+      map.removeLayer(layer);
+    };
+  }, [map, points, radius, blur]);
+
+  return null;
+}
+
+export default HeatmapLayer;
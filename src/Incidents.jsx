@@ -0,0 +1,277 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ArrowLeft, Filter, Save } from 'lucide-react';
+import { fetchIncidents, updateIncidentStatus, updateIncidentDetails, subscribeToIncidents } from './dataAccess';
+import { useAuth } from './authContext';
+import { useSite } from './siteContext';
+import { INCIDENT_STATUSES, INCIDENT_STATUS_STYLES, ACTION_LABELS, availableActions } from './incidentLifecycle';
+import { useCommands } from './commandPaletteContext';
+import { useTableKeyboardNav } from './useTableKeyboardNav';
+
+const STATUS_FILTERS = ['unresolved', 'all', ...INCIDENT_STATUSES];
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+// --- ONE EDITABLE INCIDENT ROW ---
+function IncidentRow({ incident, onUpdated, canEdit, rowIndex, highlighted }) {
+  const navigate = useNavigate();
+  const [assignee, setAssignee] = useState(incident.assignee || '');
+  const [notes, setNotes] = useState(incident.notes || '');
+  const [saving, setSaving] = useState(false);
+  const serverAssignee = incident.assignee || '';
+  const serverNotes = incident.notes || '';
+  const [synced, setSynced] = useState({ assignee: serverAssignee, notes: serverNotes });
+
+  // The row is reloaded whenever any incident changes; take the new server
+  // values unless the operator has unsaved edits
+  if (synced.assignee !== serverAssignee || synced.notes !== serverNotes) {
+    if (assignee === synced.assignee && notes === synced.notes) {
+      setAssignee(serverAssignee);
+      setNotes(serverNotes);
+    }
+    setSynced({ assignee: serverAssignee, notes: serverNotes });
+  }
+
+  const dirty = assignee !== serverAssignee || notes !== serverNotes;
+
+  const handleAction = async (status) => {
+    setSaving(true);
+    // Unsaved assignee/notes go along with the status change
+    const { data, error } = await updateIncidentStatus(incident, status, dirty ? { assignee, notes } : {});
+    if (error) {
+      console.error("Error updating incident:", error);
+    } else {
+      onUpdated(data);
+    }
+    setSaving(false);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    const { data, error } = await updateIncidentDetails(incident.id, { assignee, notes });
+    if (error) {
+      console.error("Error saving incident:", error);
+    } else {
+      onUpdated(data);
+    }
+    setSaving(false);
+  };
+
+  return (
+    <tr
+      data-row-index={rowIndex}
+      className={`hover:bg-blue-50 transition-colors align-top ${highlighted ? 'bg-blue-50 ring-1 ring-inset ring-blue-300' : ''}`}
+    >
+      <td className="py-3 px-4 text-sm font-medium text-gray-900">
+        <button onClick={() => navigate(`/sensors/${incident.sensor_id}`)} className="text-blue-600 hover:underline">
+          {incident.sensor_id}
+        </button>
+      </td>
+      <td className="py-3 px-4">
+        <span className={`text-xs px-2 py-1 rounded-full font-bold border uppercase ${INCIDENT_STATUS_STYLES[incident.status]}`}>
+          {incident.status}
+        </span>
+      </td>
+      <td className="py-3 px-4 text-xs text-gray-600 whitespace-nowrap">
+        <div>Opened: {formatTime(incident.first_detected_at)}</div>
+        <div>Last leak: {formatTime(incident.last_detected_at)}</div>
+        {incident.acknowledged_at && <div>Ack: {formatTime(incident.acknowledged_at)}</div>}
+        {incident.dispatched_at && <div>Dispatched: {formatTime(incident.dispatched_at)}</div>}
+        {incident.resolved_at && <div>Resolved: {formatTime(incident.resolved_at)}</div>}
+      </td>
+      <td className="py-3 px-4 text-sm text-gray-600">
+        {incident.detection_count}
+        <span className="text-gray-400"> / peak {incident.peak_confidence ?? '-'}%</span>
+      </td>
+      <td className="py-3 px-4">
+        <input
+          placeholder="Unassigned"
+          className="px-2 py-1 border rounded text-sm w-36"
+          value={assignee}
+          readOnly={!canEdit}
+          onChange={e => setAssignee(e.target.value)}
+        />
+      </td>
+      <td className="py-3 px-4">
+        <textarea
+          placeholder="Notes..."
+          rows={2}
+          className="px-2 py-1 border rounded text-sm w-56"
+          value={notes}
+          readOnly={!canEdit}
+          onChange={e => setNotes(e.target.value)}
+        />
+      </td>
+      <td className="py-3 px-4">
+        <div className="flex flex-wrap gap-2">
+          {canEdit && dirty && (
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="flex items-center gap-1 px-2 py-1 rounded bg-gray-600 text-white text-xs font-medium hover:bg-gray-700 disabled:opacity-50"
+            >
+              <Save size={12} /> Save
+            </button>
+          )}
+          {canEdit && availableActions(incident.status).map(status => (
+            <button
+              key={status}
+              onClick={() => handleAction(status)}
+              disabled={saving}
+              className={`px-2 py-1 rounded text-white text-xs font-medium disabled:opacity-50 ${
+                status === 'resolved' ? 'bg-green-600 hover:bg-green-700' : 'bg-blue-600 hover:bg-blue-700'
+              }`}
+            >
+              {ACTION_LABELS[status]}
+            </button>
+          ))}
+        </div>
+      </td>
+    </tr>
+  );
+}
+
+// ==========================================
+// PAGE 4: LEAK INCIDENTS
+// ==========================================
+function Incidents() {
+  const [incidents, setIncidents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('unresolved');
+  // Bumped by the realtime channel to reload the list
+  const [reloadKey, setReloadKey] = useState(0);
+  const navigate = useNavigate();
+  const { can } = useAuth();
+  const { siteId, site } = useSite();
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadIncidents = async () => {
+      setLoading(true);
+      const { data, error } = await fetchIncidents(statusFilter, siteId);
+      if (cancelled) return;
+      if (error) {
+        console.error("Error fetching incidents:", error);
+      } else {
+        setIncidents(data || []);
+      }
+      setLoading(false);
+    };
+    loadIncidents();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [statusFilter, siteId, reloadKey]);
+
+  // New leaks open/extend incidents server-side, so follow the table live
+  useEffect(() => subscribeToIncidents(() => setReloadKey(k => k + 1), siteId), [siteId]);
+
+  const handleUpdated = (updated) => {
+    setIncidents(prev => prev.map(i => (i.id === updated.id ? updated : i)));
+  };
+
+  const incidentTableNav = useTableKeyboardNav(loading ? 0 : incidents.length, index => navigate(`/sensors/${incidents[index].sensor_id}`));
+
+  // Every lifecycle action on the listed incidents, e.g. "Acknowledge incident at sensor S003"
+  const incidentCommands = useMemo(() => (can('manageIncidents') ? incidents : []).flatMap(incident =>
+    availableActions(incident.status).map(status => ({
+      id: `${status}-${incident.id}`,
+      label: `${ACTION_LABELS[status]} incident at sensor ${incident.sensor_id}`,
+      keywords: 'incident leak',
+      hint: incident.status,
+      run: async () => {
+        const { data, error } = await updateIncidentStatus(incident, status);
+        if (error) {
+          console.error("Error updating incident:", error);
+        } else {
+          setIncidents(prev => prev.map(i => (i.id === data.id ? data : i)));
+        }
+      },
+    }))
+  ), [can, incidents]);
+  useCommands(incidentCommands);
+
+  return (
+    <div className="min-h-screen w-full bg-gray-100 p-6 font-sans">
+      <div className="bg-white p-6 rounded-lg shadow-md min-h-[85vh] flex flex-col">
+
+        {/* Header */}
+        <div className="flex justify-between items-center mb-6">
+          <div className="flex items-center gap-4">
+            <button
+              onClick={() => navigate('/')}
+              className="p-2 rounded-full hover:bg-gray-100 text-gray-600 transition-colors"
+            >
+              <ArrowLeft size={24} />
+            </button>
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">Leak Incidents</h1>
+              <p className="text-gray-500 text-sm">
+                Acknowledge, dispatch and resolve detected leaks{site && ` at ${site.name}`}
+              </p>
+            </div>
+          </div>
+        </div>
+
+        {/* Status Filter */}
+        <div className="flex flex-wrap items-center gap-2 mb-6 p-4 bg-gray-50 rounded-lg border border-gray-200">
+          <div className="flex items-center gap-2 text-gray-600 font-medium mr-2">
+            <Filter size={18} /> Status:
+          </div>
+          {STATUS_FILTERS.map(status => (
+            <button
+              key={status}
+              onClick={() => setStatusFilter(status)}
+              className={`px-3 py-1 rounded text-sm font-medium capitalize transition-colors ${
+                statusFilter === status ? 'bg-blue-600 text-white' : 'bg-white border text-gray-600 hover:bg-gray-100'
+              }`}
+            >
+              {status}
+            </button>
+          ))}
+        </div>
+
+        {/* Incident Table */}
+        <div {...incidentTableNav.tableProps} className="overflow-x-auto flex-1 focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-300 rounded">
+          <table className="w-full text-left border-collapse">
+            <thead className="bg-gray-100 border-b-2 border-gray-200 sticky top-0">
+              <tr>
+                <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Sensor</th>
+                <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Status</th>
+                <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Timeline</th>
+                <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Detections</th>
+                <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Assignee</th>
+                <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Notes</th>
+                <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {loading ? (
+                <tr><td colSpan="7" className="p-8 text-center text-gray-500">Loading data...</td></tr>
+              ) : incidents.length === 0 ? (
+                <tr><td colSpan="7" className="p-8 text-center text-gray-400">No incidents matching criteria.</td></tr>
+              ) : (
+                incidents.map((incident, rowIndex) => (
+                  // Keyed on the id so a reload keeps the row, and its unsaved edits, mounted
+                  <IncidentRow
+                    key={incident.id}
+                    incident={incident}
+                    onUpdated={handleUpdated}
+                    canEdit={can('manageIncidents')}
+                    rowIndex={rowIndex}
+                    highlighted={rowIndex === incidentTableNav.activeIndex}
+                  />
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+
+      </div>
+    </div>
+  );
+}
+
+export default Incidents;
@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { Droplets } from 'lucide-react';
+import { useAuth } from './authContext';
+import { getConfig } from './config';
+
+// ==========================================
+// PAGE: LOGIN
+// ==========================================
+function Login() {
+  const { session, signInWithPassword, sendMagicLink } = useAuth();
+  const location = useLocation();
+  const [mode, setMode] = useState('password'); // 'password' | 'magic'
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [linkSent, setLinkSent] = useState(false);
+
+  // Already signed in (or just signed in): go back to where ProtectedRoute sent us from
+  if (session) {
+    return <Navigate to={location.state?.from?.pathname || '/'} replace />;
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    const { error: authError } = mode === 'password'
+      ? await signInWithPassword(email, password)
+      : await sendMagicLink(email);
+
+    if (authError) {
+      setError(authError.message);
+    } else if (mode === 'magic') {
+      setLinkSent(true);
+    }
+    setSubmitting(false);
+  };
+
+  return (
+    <div className="min-h-screen w-full bg-gray-100 flex items-center justify-center p-6 font-sans">
+      <div className="bg-white p-8 rounded-lg shadow-md w-full max-w-sm">
+        <div className="flex items-center gap-3 mb-6">
+          <Droplets className="text-blue-600" size={32} />
+          <div>
+            <h1 className="text-xl font-bold text-blue-900">{getConfig().siteName}</h1>
+            <p className="text-gray-500 text-sm">Sign in to the leak dashboard</p>
+          </div>
+        </div>
+
+        {/* Mode toggle */}
+        <div className="flex rounded border overflow-hidden mb-4">
+          {[['password', 'Password'], ['magic', 'Magic Link']].map(([value, label]) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => {
+                setMode(value);
+                setError(null);
+                setLinkSent(false);
+              }}
+              className={`flex-1 px-3 py-2 text-sm font-medium transition-colors ${
+                mode === value ? 'bg-blue-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-100'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {linkSent ? (
+          <p className="text-sm text-green-700 bg-green-50 border border-green-200 rounded p-3">
+            Check {email} for a sign-in link.
+          </p>
+        ) : (
+          <form onSubmit={handleSubmit} className="flex flex-col gap-3">
+            <input
+              type="email"
+              required
+              placeholder="Email"
+              autoComplete="email"
+              className="px-3 py-2 border rounded text-sm"
+              value={email}
+              onChange={e => setEmail(e.target.value)}
+            />
+            {mode === 'password' && (
+              <input
+                type="password"
+                required
+                placeholder="Password"
+                autoComplete="current-password"
+                className="px-3 py-2 border rounded text-sm"
+                value={password}
+                onChange={e => setPassword(e.target.value)}
+              />
+            )}
+            {error && <p className="text-sm text-red-600">{error}</p>}
+            <button
+              type="submit"
+              disabled={submitting}
+              className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 shadow text-sm font-medium transition-colors disabled:opacity-50"
+            >
+              {submitting ? 'Signing in...' : mode === 'password' ? 'Sign In' : 'Send Magic Link'}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Login;
@@ -0,0 +1,42 @@
+import React from 'react';
+import { MARKER_COLORS, PIPE_COLORS } from './mapMarkers';
+import { LOW_BATTERY_PERCENT } from './sensorHealth';
+
+const LEGEND_ITEMS = [
+  { label: 'Leak (size = est. leak size, shade = confidence)', color: MARKER_COLORS.leak, pulse: true },
+  { label: 'Normal', color: MARKER_COLORS.normal },
+  { label: `Low battery (< ${LOW_BATTERY_PERCENT}%)`, color: MARKER_COLORS.lowBattery },
+  { label: 'Stale (missed reports)', color: MARKER_COLORS.stale },
+  { label: 'Offline / no reports', color: MARKER_COLORS.offline },
+  { label: 'Pipe', color: PIPE_COLORS.pipe, line: true },
+  { label: 'Suspected leak section', color: PIPE_COLORS.suspected, line: true },
+  { label: 'Isolation valve', color: PIPE_COLORS.valve, ring: true },
+];
+
+// Rendered inside MapContainer so it sits in Leaflet's own control corner
+function MapLegend() {
+  return (
+    <div className="leaflet-bottom leaflet-left">
+      <div className="leaflet-control bg-white/90 rounded shadow px-3 py-2 text-xs text-gray-700">
+        <p className="font-bold text-gray-800 mb-1">Legend</p>
+        {LEGEND_ITEMS.map(item => (
+          <div key={item.label} className="flex items-center gap-2 py-0.5">
+            {item.line ? (
+              <span className="inline-block w-3 h-1 rounded" style={{ backgroundColor: item.color }} />
+            ) : item.ring ? (
+              <span className="inline-block w-3 h-3 rounded-full bg-white border-2" style={{ borderColor: item.color }} />
+            ) : (
+              <span
+                className={`inline-block w-3 h-3 rounded-full ${item.pulse ? 'leak-pulse' : ''}`}
+                style={{ backgroundColor: item.color }}
+              />
+            )}
+            {item.label}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default MapLegend;
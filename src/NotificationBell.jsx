@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Bell, Settings, X } from 'lucide-react';
+import { useNotifications } from './notificationContext';
+
+// --- HEADER BELL: UNSEEN LEAK ALERTS + ALERT PREFERENCES ---
+function NotificationBell() {
+  const {
+    alerts, unseenCount, markAllSeen, clearAlerts,
+    prefs, updatePrefs, unmuteSensor, setBrowserNotifications,
+  } = useNotifications();
+  const [open, setOpen] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const navigate = useNavigate();
+
+  // Alerts count as seen once the panel has been opened and closed again
+  const toggle = () => {
+    if (open) markAllSeen();
+    setOpen(!open);
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={toggle}
+        className="relative p-2 rounded-full hover:bg-gray-100 text-gray-600 transition-colors"
+        title="Leak alerts"
+      >
+        <Bell size={22} />
+        {unseenCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 bg-red-600 text-white text-[10px] font-bold rounded-full min-w-[18px] h-[18px] px-1 flex items-center justify-center">
+            {unseenCount > 99 ? '99+' : unseenCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-96 bg-white rounded-lg shadow-xl border border-gray-200 z-[1500]">
+          <div className="flex justify-between items-center p-3 border-b">
+            <h3 className="font-semibold text-gray-800">Leak Alerts</h3>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => setShowSettings(!showSettings)}
+                className={`p-1 rounded hover:bg-gray-100 ${showSettings ? 'text-blue-600' : 'text-gray-500'}`}
+                title="Alert settings"
+              >
+                <Settings size={16} />
+              </button>
+              <button onClick={toggle} className="p-1 rounded hover:bg-gray-100 text-gray-500">
+                <X size={16} />
+              </button>
+            </div>
+          </div>
+
+          {showSettings && (
+            <div className="p-3 border-b bg-gray-50 text-sm text-gray-700 space-y-2">
+              <label className="flex items-center justify-between gap-2">
+                Min confidence %
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  className="px-2 py-1 border rounded text-sm w-20"
+                  value={prefs.minConfidence}
+                  onChange={e => updatePrefs({ minConfidence: Number(e.target.value) || 0 })}
+                />
+              </label>
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={prefs.sound}
+                  onChange={e => updatePrefs({ sound: e.target.checked })}
+                />
+                Audible alarm
+              </label>
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={prefs.browserNotifications}
+                  onChange={e => setBrowserNotifications(e.target.checked)}
+                />
+                Browser notifications
+              </label>
+              <div>
+                <span className="text-xs font-bold text-gray-400 uppercase">Muted sensors</span>
+                <div className="flex flex-wrap gap-1 mt-1">
+                  {prefs.mutedSensors.length === 0 && <span className="text-xs text-gray-400">None</span>}
+                  {prefs.mutedSensors.map(id => (
+                    <button
+                      key={id}
+                      onClick={() => unmuteSensor(id)}
+                      className="flex items-center gap-1 text-xs bg-gray-200 hover:bg-gray-300 rounded-full px-2 py-0.5"
+                      title="Unmute"
+                    >
+                      {id} <X size={10} />
+                    </button>
+                  ))}
+                </div>
+              </div>
+            </div>
+          )}
+
+          <div className="max-h-80 overflow-auto divide-y divide-gray-100">
+            {alerts.length === 0 ? (
+              <p className="p-4 text-center text-sm text-gray-400">No leak alerts yet.</p>
+            ) : (
+              alerts.map(({ id, detection, receivedAt, seen }) => (
+                <button
+                  key={id}
+                  onClick={() => {
+                    toggle();
+                    navigate(`/sensors/${detection.sensor_id}`);
+                  }}
+                  className={`w-full text-left p-3 hover:bg-blue-50 transition-colors ${seen ? '' : 'bg-red-50'}`}
+                >
+                  <div className="flex justify-between text-sm">
+                    <span className="font-semibold text-gray-800">Sensor {detection.sensor_id}</span>
+                    <span className="text-xs text-gray-400">{new Date(receivedAt).toLocaleTimeString()}</span>
+                  </div>
+                  <p className="text-xs text-gray-600">
+                    {detection.confidence}% conf.
+                    {detection.estimated_location ? ` - ${detection.estimated_location}` : ''}
+                  </p>
+                </button>
+              ))
+            )}
+          </div>
+
+          {alerts.length > 0 && (
+            <div className="flex justify-end gap-3 p-2 border-t text-xs font-medium">
+              <button onClick={markAllSeen} className="text-blue-600 hover:underline">Mark all seen</button>
+              <button onClick={clearAlerts} className="text-gray-500 hover:underline">Clear</button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default NotificationBell;
@@ -0,0 +1,218 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Droplets, X, BellOff } from 'lucide-react';
+import { subscribeToDetections } from './dataAccess';
+import { NotificationContext } from './notificationContext';
+import { loadPrefs, savePrefs, shouldNotify } from './notificationPrefs';
+import { playAlarm } from './alarm';
+
+const TOAST_DURATION_MS = 8000;
+const MAX_ALERTS = 50;
+const MAX_TOASTS = 5;
+// Id of the one toast that counts leaks replayed after reconnecting
+const BACKFILL_TOAST_ID = 'backfill';
+
+function showBrowserNotification(detection) {
+  if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
+  const body = [`Confidence ${detection.confidence}%`, detection.estimated_location].filter(Boolean).join(' - ');
+  const notification = new Notification(`Leak detected: Sensor ${detection.sensor_id}`, {
+    body,
+    // Same tag per sensor so repeated readings replace rather than stack
+    tag: `leak-${detection.sensor_id}`,
+  });
+  notification.onclick = () => window.focus();
+}
+
+// --- TOAST STACK (bottom right, on every route) ---
+function LeakToasts({ toasts, onDismiss, onMute }) {
+  const navigate = useNavigate();
+
+  return (
+    <div className="fixed bottom-4 right-4 z-[2000] flex flex-col gap-3 w-80">
+      {toasts.map(({ id, detection, backfilledCount }) => (backfilledCount ? (
+        <div key={id} className="bg-white border-l-4 border-orange-500 rounded-lg shadow-lg p-4">
+          <div className="flex justify-between items-start">
+            <div className="flex items-center gap-2 font-bold text-orange-700">
+              <Droplets size={16} /> {backfilledCount} {backfilledCount === 1 ? 'leak' : 'leaks'} while offline
+            </div>
+            <button onClick={() => onDismiss(id)} className="text-gray-400 hover:text-gray-600">
+              <X size={16} />
+            </button>
+          </div>
+          <p className="text-sm text-gray-600 mt-1">Detected while the connection was down. They are listed under alerts.</p>
+        </div>
+      ) : (
+        <div key={id} className="bg-white border-l-4 border-red-500 rounded-lg shadow-lg p-4">
+          <div className="flex justify-between items-start">
+            <div className="flex items-center gap-2 font-bold text-red-700">
+              <Droplets size={16} /> Leak: Sensor {detection.sensor_id}
+            </div>
+            <button onClick={() => onDismiss(id)} className="text-gray-400 hover:text-gray-600">
+              <X size={16} />
+            </button>
+          </div>
+          <p className="text-sm text-gray-600 mt-1">
+            Confidence {detection.confidence}%
+            {detection.estimated_leak_size ? ` - size ${detection.estimated_leak_size}` : ''}
+          </p>
+          <p className="text-sm text-gray-500 italic">{detection.estimated_location || 'Location unknown'}</p>
+          <div className="flex gap-3 mt-2 text-xs font-medium">
+            <button
+              onClick={() => {
+                onDismiss(id);
+                navigate(`/sensors/${detection.sensor_id}`);
+              }}
+              className="text-blue-600 hover:underline"
+            >
+              View sensor
+            </button>
+            <button
+              onClick={() => {
+                onMute(detection.sensor_id);
+                onDismiss(id);
+              }}
+              className="flex items-center gap-1 text-gray-500 hover:underline"
+            >
+              <BellOff size={12} /> Mute sensor
+            </button>
+          </div>
+        </div>
+      )))}
+    </div>
+  );
+}
+
+/**
+ * Listens for new detections on the shared realtime channel and raises an
+ * alert (toast, optional sound and browser notification) for every leak that
+ * passes the user's preferences. Leaks replayed after reconnecting are added
+ * to the alerts quietly and counted in a single toast. Must sit inside the router.
+ */
+function NotificationProvider({ children }) {
+  const [prefs, setPrefs] = useState(loadPrefs);
+  const [alerts, setAlerts] = useState([]);
+  const [toasts, setToasts] = useState([]);
+
+  // The realtime listener is registered once; it reads prefs through this ref
+  const prefsRef = useRef(prefs);
+  const toastTimers = useRef(new Set());
+
+  useEffect(() => {
+    prefsRef.current = prefs;
+    savePrefs(prefs);
+  }, [prefs]);
+
+  const dismissToast = useCallback((id) => {
+    setToasts(prev => prev.filter(t => t.id !== id));
+  }, []);
+
+  useEffect(() => {
+    const timers = toastTimers.current;
+    // Each replayed leak restarts the summary toast's countdown
+    let backfillTimer = null;
+
+    const startToastTimer = (id) => {
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        dismissToast(id);
+      }, TOAST_DURATION_MS);
+      timers.add(timer);
+      return timer;
+    };
+
+    const unsubscribe = subscribeToDetections(detection => {
+      const currentPrefs = prefsRef.current;
+      if (!shouldNotify(detection, currentPrefs)) return;
+
+      const alert = {
+        id: detection.id ?? `${detection.sensor_id}-${detection.created_at}`,
+        detection,
+        receivedAt: new Date().toISOString(),
+        seen: false,
+      };
+      setAlerts(prev => [alert, ...prev].slice(0, MAX_ALERTS));
+
+      if (detection.backfilled) {
+        setToasts(prev => {
+          const summary = prev.find(t => t.id === BACKFILL_TOAST_ID);
+          const rest = prev.filter(t => t.id !== BACKFILL_TOAST_ID);
+          return [...rest, { id: BACKFILL_TOAST_ID, backfilledCount: (summary?.backfilledCount || 0) + 1 }].slice(-MAX_TOASTS);
+        });
+        clearTimeout(backfillTimer);
+        timers.delete(backfillTimer);
+        backfillTimer = startToastTimer(BACKFILL_TOAST_ID);
+        return;
+      }
+
+      setToasts(prev => [...prev, alert].slice(-MAX_TOASTS));
+      startToastTimer(alert.id);
+
+      if (currentPrefs.sound) playAlarm();
+      if (currentPrefs.browserNotifications) showBrowserNotification(detection);
+    });
+
+    return () => {
+      unsubscribe();
+      timers.forEach(clearTimeout);
+      timers.clear();
+    };
+  }, [dismissToast]);
+
+  const updatePrefs = useCallback((patch) => {
+    setPrefs(prev => ({ ...prev, ...patch }));
+  }, []);
+
+  const muteSensor = useCallback((sensorId) => {
+    setPrefs(prev => (
+      prev.mutedSensors.includes(String(sensorId))
+        ? prev
+        : { ...prev, mutedSensors: [...prev.mutedSensors, String(sensorId)] }
+    ));
+  }, []);
+
+  const unmuteSensor = useCallback((sensorId) => {
+    setPrefs(prev => ({ ...prev, mutedSensors: prev.mutedSensors.filter(id => id !== String(sensorId)) }));
+  }, []);
+
+  // Turning browser notifications on asks for permission first
+  const setBrowserNotifications = useCallback(async (enabled) => {
+    if (!enabled) {
+      updatePrefs({ browserNotifications: false });
+      return;
+    }
+    if (!('Notification' in window)) return;
+
+    const permission = Notification.permission === 'granted'
+      ? 'granted'
+      : await Notification.requestPermission();
+    updatePrefs({ browserNotifications: permission === 'granted' });
+  }, [updatePrefs]);
+
+  const markAllSeen = useCallback(() => {
+    setAlerts(prev => prev.map(a => (a.seen ? a : { ...a, seen: true })));
+  }, []);
+
+  const clearAlerts = useCallback(() => setAlerts([]), []);
+
+  const value = useMemo(() => ({
+    alerts,
+    unseenCount: alerts.filter(a => !a.seen).length,
+    markAllSeen,
+    clearAlerts,
+    prefs,
+    updatePrefs,
+    muteSensor,
+    unmuteSensor,
+    setBrowserNotifications,
+  }), [alerts, markAllSeen, clearAlerts, prefs, updatePrefs, muteSensor, unmuteSensor, setBrowserNotifications]);
+
+  return (
+    <NotificationContext.Provider value={value}>
+      {children}
+      <LeakToasts toasts={toasts} onDismiss={dismissToast} onMute={muteSensor} />
+    </NotificationContext.Provider>
+  );
+}
+
+export default NotificationProvider;
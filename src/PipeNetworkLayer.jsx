@@ -0,0 +1,51 @@
+import React from 'react';
+import { GeoJSON } from 'react-leaflet';
+import L from 'leaflet';
+import { PIPE_COLORS } from './mapMarkers';
+
+// Wider lines for bigger mains: 100mm -> 2px, 600mm+ -> 8px
+function pipeStyle(feature) {
+  const diameter = Number(feature.properties?.diameter_mm) || 150;
+  return {
+    color: PIPE_COLORS.pipe,
+    weight: Math.min(Math.max(diameter / 75, 2), 8),
+    opacity: 0.7,
+  };
+}
+
+function valveMarker(_feature, latlng) {
+  return L.circleMarker(latlng, {
+    radius: 4,
+    color: PIPE_COLORS.valve,
+    weight: 2,
+    fillColor: '#ffffff',
+    fillOpacity: 1,
+  });
+}
+
+function bindTooltip(feature, layer) {
+  const { id, diameter_mm: diameter, material, valve_type: valveType } = feature.properties || {};
+  const details = feature.geometry.type === 'Point'
+    ? `Valve ${id ?? ''}${valveType ? ` (${valveType})` : ''}`
+    : `Pipe ${id ?? ''}${diameter ? `, ${diameter} mm` : ''}${material ? ` ${material}` : ''}`;
+  layer.bindTooltip(details, { sticky: true });
+}
+
+/**
+ * Pipes and valves from an imported network row (see fetchPipeNetwork).
+ * Leaflet's GeoJSON layer only reads `data` on creation, so it is keyed by
+ * the import id to rebuild after a new import.
+ */
+function PipeNetworkLayer({ network }) {
+  return (
+    <GeoJSON
+      key={network.id}
+      data={network.geojson}
+      style={pipeStyle}
+      pointToLayer={valveMarker}
+      onEachFeature={bindTooltip}
+    />
+  );
+}
+
+export default PipeNetworkLayer;
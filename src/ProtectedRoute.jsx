@@ -0,0 +1,49 @@
+import React from 'react';
+import { Navigate, Outlet, useLocation, useNavigate } from 'react-router-dom';
+import { ShieldAlert } from 'lucide-react';
+import { useAuth } from './authContext';
+
+/**
+ * Route guard: sends signed-out users to /login (remembering where they were
+ * going) and, when `permission` is given, blocks roles that lack it.
+ * Renders `children` if passed, otherwise the nested routes.
+ */
+function ProtectedRoute({ permission, children }) {
+  const { session, loading, can } = useAuth();
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  if (loading) {
+    return (
+      <div className="min-h-screen w-full bg-gray-100 flex items-center justify-center text-gray-500">
+        Loading...
+      </div>
+    );
+  }
+
+  if (!session) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  if (permission && !can(permission)) {
+    return (
+      <div className="min-h-screen w-full bg-gray-100 flex items-center justify-center p-6">
+        <div className="bg-white p-8 rounded-lg shadow-md text-center max-w-md">
+          <ShieldAlert className="mx-auto text-red-500 mb-3" size={40} />
+          <h1 className="text-xl font-bold text-gray-900 mb-2">Not authorised</h1>
+          <p className="text-gray-500 text-sm mb-4">Your role doesn't allow access to this page.</p>
+          <button
+            onClick={() => navigate('/')}
+            className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 shadow text-sm font-medium transition-colors"
+          >
+            Back to Dashboard
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return children ?? <Outlet />;
+}
+
+export default ProtectedRoute;
@@ -0,0 +1,100 @@
+import React from 'react';
+import { Play, Pause } from 'lucide-react';
+import { format } from 'date-fns';
+import { REPLAY_PRESETS, REPLAY_SPEEDS } from './useDetectionReplay';
+
+function formatSpeed(speed) {
+  if (speed >= 60) return `${speed / 60} min/s`;
+  return `${speed}x`;
+}
+
+// Timeline scrubber for useDetectionReplay(), shown under the dashboard map
+function ReplayControls({ replay }) {
+  const { range, setRange, applyPreset, validRange, start, end, loading, cursor } = replay;
+
+  return (
+    <div className="mt-3 border-t pt-3 text-sm">
+      {/* Window */}
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <span className="font-medium text-gray-600">Window:</span>
+        <input
+          type="datetime-local"
+          className="px-2 py-1 border rounded text-sm"
+          value={range.from}
+          onChange={e => setRange({ ...range, from: e.target.value })}
+        />
+        <span className="text-gray-400">to</span>
+        <input
+          type="datetime-local"
+          className="px-2 py-1 border rounded text-sm"
+          value={range.to}
+          onChange={e => setRange({ ...range, to: e.target.value })}
+        />
+        {REPLAY_PRESETS.map(preset => (
+          <button
+            key={preset.label}
+            onClick={() => applyPreset(preset.hours)}
+            className="px-2 py-1 rounded text-xs font-medium bg-gray-100 text-gray-600 hover:bg-gray-200 transition-colors"
+          >
+            {preset.label}
+          </button>
+        ))}
+      </div>
+
+      {!validRange ? (
+        <p className="text-red-600">Pick a window whose start is before its end.</p>
+      ) : loading || cursor === null ? (
+        <p className="text-gray-500">Loading detections...</p>
+      ) : (
+        <>
+          {/* Transport */}
+          <div className="flex items-center gap-3">
+            <button
+              onClick={replay.isPlaying ? replay.pause : replay.play}
+              className="p-2 rounded-full bg-blue-600 text-white hover:bg-blue-700 transition-colors"
+              title={replay.isPlaying ? 'Pause' : 'Play'}
+            >
+              {replay.isPlaying ? <Pause size={16} /> : <Play size={16} />}
+            </button>
+            <input
+              type="range"
+              className="flex-1"
+              min={start}
+              max={end}
+              step={1000}
+              value={cursor}
+              onChange={e => replay.seek(Number(e.target.value))}
+            />
+            <select
+              className="px-2 py-1 border rounded text-sm bg-white"
+              value={replay.speed}
+              onChange={e => replay.setSpeed(Number(e.target.value))}
+              title="Replay speed"
+            >
+              {REPLAY_SPEEDS.map(speed => <option key={speed} value={speed}>{formatSpeed(speed)}</option>)}
+            </select>
+          </div>
+          <div className="flex justify-between text-xs text-gray-500 mt-1">
+            <span>{format(start, 'dd MMM HH:mm')}</span>
+            <span className="font-bold text-gray-800">{format(cursor, 'dd MMM yyyy HH:mm:ss')}</span>
+            <span>{format(end, 'dd MMM HH:mm')}</span>
+          </div>
+
+          {/* Order in which sensors first reported a leak */}
+          <div className="mt-2 text-xs text-gray-600">
+            <span className="font-medium">First leaks ({replay.detectionCount.toLocaleString()} detections in window):</span>{' '}
+            {replay.firstLeaks.length === 0 ? (
+              <span className="text-gray-400">none yet</span>
+            ) : replay.firstLeaks.map((d, i) => (
+              <span key={d.sensor_id} className="inline-block bg-red-50 text-red-700 border border-red-200 rounded px-1.5 py-0.5 mr-1 mb-1">
+                {i + 1}. {d.sensor_id} {format(new Date(d.created_at), 'HH:mm:ss')}
+              </span>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ReplayControls;
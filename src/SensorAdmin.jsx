@@ -0,0 +1,440 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { MapContainer, CircleMarker, Marker, Tooltip, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import { ArrowLeft, Plus, Pencil, Archive, RotateCcw, Upload } from 'lucide-react';
+import { fetchSensors, createSensor, updateSensor, decommissionSensor, recommissionSensor, fetchPipeNetwork, importPipeNetwork } from './dataAccess';
+import { validatePipeNetwork, indexNetwork } from './pipeNetwork';
+import PipeNetworkLayer from './PipeNetworkLayer';
+import { EDITABLE_STATUSES, validateSensor } from './sensorValidation';
+import { getConfig } from './config';
+import SiteTileLayer from './SiteTileLayer';
+import FitBounds from './FitBounds';
+import { useSite } from './siteContext';
+import { siteMapView, sensorBounds } from './sites';
+
+const EMPTY_FORM = { id: '', name: '', site_id: '', lat: '', lng: '', status: 'active' };
+
+// divIcon so the draggable pin doesn't depend on Leaflet's bundled marker images
+const placementIcon = L.divIcon({
+  className: '',
+  html: '<div style="width:18px;height:18px;border-radius:9999px;background:#2563eb;border:3px solid white;box-shadow:0 0 4px rgba(0,0,0,.5)"></div>',
+  iconSize: [18, 18],
+  iconAnchor: [9, 9],
+});
+
+// --- CLICK ON THE MAP TO PLACE THE SENSOR ---
+function PlacementHandler({ onPlace }) {
+  useMapEvents({
+    click: (e) => onPlace(e.latlng),
+  });
+  return null;
+}
+
+// ==========================================
+// PAGE 5: SENSOR FLEET MANAGEMENT
+// ==========================================
+function SensorAdmin() {
+  const [sensors, setSensors] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showDecommissioned, setShowDecommissioned] = useState(false);
+  // null = no form open, otherwise { isNew, values }
+  const [editing, setEditing] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [pipeNetwork, setPipeNetwork] = useState(null);
+  // { ok, message } after a pipe network import attempt
+  const [importResult, setImportResult] = useState(null);
+  const fileInputRef = useRef(null);
+  const navigate = useNavigate();
+  const mapConfig = getConfig().map;
+  const { siteId, site, sites, multiSite } = useSite();
+  // Networks are imported per site, so "All sites" has none to show or replace
+  const rollUp = multiSite && siteId === null;
+  const networkSiteId = siteId ?? sites[0]?.id ?? null;
+  const mapView = siteMapView(site, mapConfig);
+
+  useEffect(() => {
+    const loadSensors = async () => {
+      const { data, error } = await fetchSensors({ includeDecommissioned: true, siteId });
+      if (error) {
+        console.error("Error fetching sensors:", error);
+      } else {
+        setSensors(data || []);
+      }
+      setLoading(false);
+    };
+    loadSensors();
+
+    if (rollUp) return;
+    const loadPipeNetwork = async () => {
+      const { data, error } = await fetchPipeNetwork(siteId);
+      if (error) {
+        console.error("Error fetching pipe network:", error);
+      } else {
+        setPipeNetwork(data);
+      }
+    };
+    loadPipeNetwork();
+  }, [siteId, rollUp]);
+
+  const visibleSensors = useMemo(
+    () => sensors.filter(s => showDecommissioned || s.status !== 'decommissioned'),
+    [sensors, showDecommissioned]
+  );
+
+  const replaceSensor = (updated) => {
+    setSensors(prev => prev.map(s => (s.id === updated.id ? updated : s)));
+  };
+
+  const startCreate = () => {
+    setErrors({});
+    setEditing({ isNew: true, values: { ...EMPTY_FORM, site_id: siteId ?? sites[0]?.id ?? '' } });
+  };
+
+  const startEdit = (sensor) => {
+    setErrors({});
+    setEditing({
+      isNew: false,
+      values: { id: String(sensor.id), name: sensor.name || '', site_id: sensor.site_id || '', lat: String(sensor.lat), lng: String(sensor.lng), status: sensor.status },
+    });
+  };
+
+  const setField = (key, value) => {
+    setEditing(prev => ({ ...prev, values: { ...prev.values, [key]: value } }));
+  };
+
+  const placeAt = (latlng) => {
+    // 6 decimals is ~10cm, plenty for a pipe sensor
+    setEditing(prev => (prev ? {
+      ...prev,
+      values: { ...prev.values, lat: latlng.lat.toFixed(6), lng: latlng.lng.toFixed(6) },
+    } : prev));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const { isNew, values } = editing;
+    const validationErrors = validateSensor(values, { isNew, existingIds: sensors.map(s => s.id), siteIds: sites.map(s => s.id) });
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+
+    setSaving(true);
+    const payload = { name: values.name.trim(), lat: Number(values.lat), lng: Number(values.lng), status: values.status };
+    if (values.site_id) payload.site_id = values.site_id;
+    const { data, error } = isNew
+      ? await createSensor({ id: values.id.trim(), ...payload })
+      : await updateSensor(values.id, payload);
+    setSaving(false);
+
+    if (error) {
+      console.error("Error saving sensor:", error);
+      setErrors({ form: error.message });
+      return;
+    }
+
+    if (siteId && data.site_id !== siteId) {
+      // Created in or moved to another site, so it no longer belongs in this list
+      setSensors(prev => prev.filter(s => s.id !== data.id));
+    } else if (isNew) {
+      setSensors(prev => [...prev, data].sort((a, b) => String(a.id).localeCompare(String(b.id))));
+    } else {
+      replaceSensor(data);
+    }
+    setEditing(null);
+  };
+
+  const handleDecommission = async (sensor) => {
+    if (!window.confirm(`Decommission sensor ${sensor.id}? Its detection history is kept.`)) return;
+    const { data, error } = await decommissionSensor(sensor.id);
+    if (error) {
+      console.error("Error decommissioning sensor:", error);
+    } else {
+      replaceSensor(data);
+    }
+  };
+
+  const handleRecommission = async (sensor) => {
+    const { data, error } = await recommissionSensor(sensor.id);
+    if (error) {
+      console.error("Error recommissioning sensor:", error);
+    } else {
+      replaceSensor(data);
+    }
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // allow re-importing the same file after fixing it
+    if (!file) return;
+
+    let geojson;
+    try {
+      geojson = JSON.parse(await file.text());
+    } catch {
+      setImportResult({ ok: false, message: `${file.name} is not valid JSON` });
+      return;
+    }
+
+    const validationErrors = validatePipeNetwork(geojson);
+    if (validationErrors.length > 0) {
+      setImportResult({ ok: false, message: validationErrors.slice(0, 5).join('; ') });
+      return;
+    }
+
+    const { data, error } = await importPipeNetwork(file.name, geojson, networkSiteId);
+    if (error) {
+      console.error("Error importing pipe network:", error);
+      setImportResult({ ok: false, message: error.message });
+      return;
+    }
+    const { pipes, valves } = indexNetwork(geojson);
+    setPipeNetwork(data);
+    setImportResult({ ok: true, message: `Imported ${file.name}: ${pipes.length} pipes, ${valves.length} valves` });
+  };
+
+  const formLat = Number(editing?.values.lat);
+  const formLng = Number(editing?.values.lng);
+  // NaN fails both comparisons, so half-typed coordinates just hide the pin
+  const hasPlacement = editing && editing.values.lat !== '' && editing.values.lng !== ''
+    && Math.abs(formLat) <= 90 && Math.abs(formLng) <= 180;
+
+  const inputClass = (field) => `px-3 py-2 border rounded text-sm w-full ${errors[field] ? 'border-red-500' : ''}`;
+
+  return (
+    <div className="min-h-screen w-full bg-gray-100 p-6 font-sans">
+      <div className="bg-white p-6 rounded-lg shadow-md min-h-[85vh] flex flex-col">
+
+        {/* Header */}
+        <div className="flex justify-between items-center mb-6">
+          <div className="flex items-center gap-4">
+            <button
+              onClick={() => navigate('/')}
+              className="p-2 rounded-full hover:bg-gray-100 text-gray-600 transition-colors"
+            >
+              <ArrowLeft size={24} />
+            </button>
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">Sensor Fleet</h1>
+              <p className="text-gray-500 text-sm">
+                Add, move, rename and decommission sensors{site && ` at ${site.name}`}
+              </p>
+            </div>
+          </div>
+          <div className="flex gap-3">
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".geojson,.json,application/geo+json,application/json"
+              className="hidden"
+              onChange={handleImportFile}
+            />
+            <button
+              onClick={() => fileInputRef.current.click()}
+              disabled={rollUp}
+              className="flex items-center gap-2 bg-gray-700 text-white px-4 py-2 rounded hover:bg-gray-800 shadow text-sm font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              title={rollUp
+                ? 'Pick a site on the dashboard to import its pipe network'
+                : 'GeoJSON FeatureCollection of pipe LineStrings and valve Points'}
+            >
+              <Upload size={18} /> Import Pipe Network
+            </button>
+            <button
+              onClick={startCreate}
+              className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 shadow text-sm font-medium transition-colors"
+            >
+              <Plus size={18} /> Add Sensor
+            </button>
+          </div>
+        </div>
+
+        {/* Pipe network import status */}
+        {(importResult || pipeNetwork) && (
+          <p className={`mb-4 text-sm p-3 rounded border ${
+            importResult && !importResult.ok ? 'bg-red-50 border-red-200 text-red-700' : 'bg-gray-50 border-gray-200 text-gray-600'
+          }`}>
+            {importResult
+              ? importResult.message
+              : `Pipe network: ${pipeNetwork.name}, imported ${new Date(pipeNetwork.imported_at).toLocaleString()}`}
+          </p>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 flex-1">
+
+          {/* SENSOR TABLE */}
+          <div className="flex flex-col">
+            <label className="flex items-center gap-2 text-sm text-gray-600 mb-2">
+              <input type="checkbox" checked={showDecommissioned} onChange={e => setShowDecommissioned(e.target.checked)} />
+              Show decommissioned
+            </label>
+            <div className="overflow-auto flex-1">
+              <table className="w-full text-left border-collapse">
+                <thead className="bg-gray-100 border-b-2 border-gray-200 sticky top-0">
+                  <tr>
+                    <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">ID</th>
+                    <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Name</th>
+                    {rollUp && <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Site</th>}
+                    <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Lat / Lng</th>
+                    <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Status</th>
+                    <th className="py-3 px-4"></th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {loading ? (
+                    <tr><td colSpan={rollUp ? 6 : 5} className="p-8 text-center text-gray-500">Loading data...</td></tr>
+                  ) : visibleSensors.length === 0 ? (
+                    <tr><td colSpan={rollUp ? 6 : 5} className="p-8 text-center text-gray-400">No sensors yet.</td></tr>
+                  ) : (
+                    visibleSensors.map(sensor => {
+                      const decommissioned = sensor.status === 'decommissioned';
+                      return (
+                        <tr key={sensor.id} className={`hover:bg-blue-50 transition-colors ${decommissioned ? 'text-gray-400' : ''}`}>
+                          <td className="py-3 px-4 text-sm font-medium">{sensor.id}</td>
+                          <td className="py-3 px-4 text-sm">{sensor.name}</td>
+                          {rollUp && <td className="py-3 px-4 text-sm">{sites.find(s => s.id === sensor.site_id)?.name || sensor.site_id}</td>}
+                          <td className="py-3 px-4 text-sm whitespace-nowrap">{sensor.lat}, {sensor.lng}</td>
+                          <td className="py-3 px-4 text-sm">{sensor.status}</td>
+                          <td className="py-3 px-4">
+                            <div className="flex justify-end gap-1">
+                              {decommissioned ? (
+                                <button
+                                  onClick={() => handleRecommission(sensor)}
+                                  className="p-1 rounded hover:bg-green-100 text-green-600"
+                                  title="Recommission"
+                                >
+                                  <RotateCcw size={16} />
+                                </button>
+                              ) : (
+                                <>
+                                  <button
+                                    onClick={() => startEdit(sensor)}
+                                    className="p-1 rounded hover:bg-blue-100 text-blue-600"
+                                    title="Edit"
+                                  >
+                                    <Pencil size={16} />
+                                  </button>
+                                  <button
+                                    onClick={() => handleDecommission(sensor)}
+                                    className="p-1 rounded hover:bg-red-100 text-red-600"
+                                    title="Decommission"
+                                  >
+                                    <Archive size={16} />
+                                  </button>
+                                </>
+                              )}
+                            </div>
+                          </td>
+                        </tr>
+                      );
+                    })
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {/* FORM + PLACEMENT MAP */}
+          <div className="flex flex-col gap-4">
+            {editing ? (
+              <form onSubmit={handleSave} className="p-4 bg-gray-50 rounded-lg border border-gray-200 grid grid-cols-2 gap-3">
+                <h2 className="col-span-2 text-lg font-bold text-gray-800">
+                  {editing.isNew ? 'New Sensor' : `Edit Sensor ${editing.values.id}`}
+                </h2>
+                {editing.isNew && (
+                  <label className="col-span-2 text-sm text-gray-600">
+                    Sensor ID (as reported by the device)
+                    <input className={inputClass('id')} value={editing.values.id} onChange={e => setField('id', e.target.value)} />
+                    {errors.id && <span className="text-xs text-red-600">{errors.id}</span>}
+                  </label>
+                )}
+                <label className="col-span-2 text-sm text-gray-600">
+                  Name
+                  <input className={inputClass('name')} value={editing.values.name} onChange={e => setField('name', e.target.value)} />
+                  {errors.name && <span className="text-xs text-red-600">{errors.name}</span>}
+                </label>
+                {multiSite && (
+                  <label className="col-span-2 text-sm text-gray-600">
+                    Site
+                    <select className={inputClass('site_id')} value={editing.values.site_id} onChange={e => setField('site_id', e.target.value)}>
+                      <option value="">Choose a site...</option>
+                      {sites.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                    </select>
+                    {errors.site_id && <span className="text-xs text-red-600">{errors.site_id}</span>}
+                  </label>
+                )}
+                <label className="text-sm text-gray-600">
+                  Latitude
+                  <input className={inputClass('lat')} value={editing.values.lat} onChange={e => setField('lat', e.target.value)} />
+                  {errors.lat && <span className="text-xs text-red-600">{errors.lat}</span>}
+                </label>
+                <label className="text-sm text-gray-600">
+                  Longitude
+                  <input className={inputClass('lng')} value={editing.values.lng} onChange={e => setField('lng', e.target.value)} />
+                  {errors.lng && <span className="text-xs text-red-600">{errors.lng}</span>}
+                </label>
+                <label className="text-sm text-gray-600">
+                  Status
+                  <select className={inputClass('status')} value={editing.values.status} onChange={e => setField('status', e.target.value)}>
+                    {EDITABLE_STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+                  </select>
+                </label>
+                <p className="text-xs text-gray-400 self-end">Click the map or drag the pin to place the sensor.</p>
+                {errors.form && <p className="col-span-2 text-sm text-red-600">{errors.form}</p>}
+                <div className="col-span-2 flex justify-end gap-2">
+                  <button type="button" onClick={() => setEditing(null)} className="px-4 py-2 rounded text-sm font-medium text-gray-600 hover:bg-gray-200">
+                    Cancel
+                  </button>
+                  <button type="submit" disabled={saving} className="px-4 py-2 rounded bg-blue-600 text-white text-sm font-medium hover:bg-blue-700 disabled:opacity-50">
+                    {saving ? 'Saving...' : 'Save'}
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <p className="p-4 text-sm text-gray-400 bg-gray-50 rounded-lg border border-gray-200">
+                Select a sensor to edit, or add a new one.
+              </p>
+            )}
+
+            <MapContainer
+              center={mapView.center}
+              zoom={mapView.zoom}
+              maxBounds={rollUp ? undefined : mapView.bounds || undefined}
+              style={{ height: '400px', width: '100%', borderRadius: '8px' }}
+            >
+              <SiteTileLayer />
+              {rollUp && <FitBounds bounds={sensorBounds(visibleSensors)} />}
+              {pipeNetwork && <PipeNetworkLayer network={pipeNetwork} />}
+              {editing && <PlacementHandler onPlace={placeAt} />}
+
+              {/* Other sensors for reference while placing */}
+              {visibleSensors
+                .filter(s => String(s.id) !== editing?.values.id)
+                .map(sensor => (
+                  <CircleMarker
+                    key={sensor.id}
+                    center={[sensor.lat, sensor.lng]}
+                    radius={6}
+                    pathOptions={{ color: 'gray', fillColor: 'gray', fillOpacity: 0.5 }}
+                  >
+                    <Tooltip>{sensor.id} ({sensor.name})</Tooltip>
+                  </CircleMarker>
+                ))}
+
+              {hasPlacement && (
+                <Marker
+                  position={[formLat, formLng]}
+                  icon={placementIcon}
+                  draggable
+                  eventHandlers={{ dragend: (e) => placeAt(e.target.getLatLng()) }}
+                />
+              )}
+            </MapContainer>
+          </div>
+        </div>
+
+      </div>
+    </div>
+  );
+}
+
+export default SensorAdmin;
@@ -0,0 +1,338 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { fetchSensor, fetchSensorDetections, fetchLatestSensorDetection, fetchBatteryHistory } from './dataAccess';
+import { useNavigate, useParams } from 'react-router-dom';
+import { ArrowLeft, Activity, Battery, MapPin, Droplets } from 'lucide-react';
+import { ComposedChart, Line, Scatter, XAxis, YAxis, Tooltip, CartesianGrid, Legend, ResponsiveContainer } from 'recharts';
+import { format, formatDistanceToNow, subHours } from 'date-fns';
+import { getConfig } from './config';
+import { getSensorLiveness, projectBatteryDepletion, LIVENESS_STYLES, LOW_BATTERY_PERCENT } from './sensorHealth';
+import { useNow } from './useNow';
+import { useAuth } from './authContext';
+import { useDetectionLabels } from './useDetectionLabels';
+import { withLabelRates, formatRate } from './detectionLabels';
+import DetectionLabelControl from './DetectionLabelControl';
+
+// Selectable chart windows (label shown on the button, hours to look back)
+const TIME_WINDOWS = [
+  { label: '1H', hours: 1 },
+  { label: '24H', hours: 24 },
+  { label: '7D', hours: 24 * 7 },
+  { label: '30D', hours: 24 * 30 },
+];
+
+// ==========================================
+// PAGE 3: SENSOR DETAIL
+// ==========================================
+function SensorDetail() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+
+  const [sensor, setSensor] = useState(null);
+  const [detections, setDetections] = useState([]);
+  const [windowHours, setWindowHours] = useState(24);
+  const [batteryReadings, setBatteryReadings] = useState([]);
+  const [lastDetection, setLastDetection] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const now = useNow();
+  const { can } = useAuth();
+  const { labels, setLabel } = useDetectionLabels(detections);
+
+  // 1. Sensor metadata, plus its latest detection for liveness (which may be
+  //    older than the selected window)
+  useEffect(() => {
+    const loadSensor = async () => {
+      const [{ data, error }, { data: latest, error: latestError }] =
+        await Promise.all([fetchSensor(id), fetchLatestSensorDetection(id)]);
+
+      if (error) {
+        console.error("Error fetching sensor:", error);
+      } else {
+        setSensor(data);
+      }
+      if (latestError) {
+        console.error("Error fetching latest detection:", latestError);
+      } else {
+        setLastDetection(latest);
+      }
+    };
+    loadSensor();
+  }, [id]);
+
+  // 2. Detections inside the selected window, oldest first for the chart
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchDetections = async () => {
+      setLoading(true);
+      const since = subHours(new Date(), windowHours);
+      const [{ data, error }, { data: battery, error: batteryError }] =
+        await Promise.all([fetchSensorDetections(id, since), fetchBatteryHistory(id, since)]);
+
+      if (cancelled) return;
+      if (error) {
+        console.error("Error fetching sensor detections:", error);
+      } else {
+        setDetections(data || []);
+      }
+      if (batteryError) {
+        console.error("Error fetching battery history:", batteryError);
+      } else {
+        setBatteryReadings(battery || []);
+      }
+      setLoading(false);
+    };
+    fetchDetections();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [id, windowHours]);
+
+  // Recharts wants numbers on the X axis for a time scale
+  const chartData = detections.map(d => ({
+    time: new Date(d.created_at).getTime(),
+    confidence: d.confidence,
+    leak: d.is_leak ? d.confidence : null,
+  }));
+
+  const leakCount = detections.filter(d => d.is_leak).length;
+
+  // Operator feedback on this window's detections, same shape as a
+  // detection_label_summary row
+  const labelStats = withLabelRates({
+    leak_detections: leakCount,
+    true_positives: detections.filter(d => labels[d.id]?.label === 'true_positive').length,
+    false_positives: detections.filter(d => labels[d.id]?.label === 'false_positive').length,
+    missed_leaks: detections.filter(d => labels[d.id]?.label === 'missed_leak').length,
+  });
+  const tickFormat = windowHours <= 24 ? 'HH:mm' : 'dd MMM';
+
+  const liveness = sensor ? getSensorLiveness(sensor, lastDetection, now, getConfig().health) : null;
+
+  const depletionDate = useMemo(() => projectBatteryDepletion(batteryReadings), [batteryReadings]);
+
+  // Battery series plus a dashed projection from the last reading towards 0%.
+  // The projection is cut off one window-length into the future so a far-off
+  // depletion date doesn't squash the measured history.
+  const batteryChartData = useMemo(() => {
+    const points = batteryReadings.map(r => ({
+      time: new Date(r.recorded_at).getTime(),
+      battery: Number(r.battery),
+    }));
+    if (!depletionDate || points.length === 0) return points;
+
+    const last = points[points.length - 1];
+    const depletionTime = depletionDate.getTime();
+    const horizon = last.time + windowHours * 60 * 60 * 1000;
+    const endTime = Math.min(depletionTime, horizon);
+    const endBattery = last.battery * (depletionTime - endTime) / (depletionTime - last.time);
+
+    last.projected = last.battery;
+    return [...points, { time: endTime, projected: +endBattery.toFixed(2) }];
+  }, [batteryReadings, depletionDate, windowHours]);
+
+  return (
+    <div className="min-h-screen w-full bg-gray-100 p-6 font-sans">
+      <div className="bg-white p-6 rounded-lg shadow-md min-h-[85vh] flex flex-col">
+
+        {/* Header */}
+        <div className="flex justify-between items-center mb-6">
+          <div className="flex items-center gap-4">
+            <button
+              onClick={() => navigate('/')}
+              className="p-2 rounded-full hover:bg-gray-100 text-gray-600 transition-colors"
+            >
+              <ArrowLeft size={24} />
+            </button>
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">
+                Sensor {id}{sensor?.name ? ` (${sensor.name})` : ''}
+              </h1>
+              <p className="text-gray-500 text-sm">Confidence timeline and detection log</p>
+            </div>
+          </div>
+        </div>
+
+        {/* Metadata Cards */}
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+          <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+            <div className="flex items-center gap-2 text-xs font-bold text-gray-400 uppercase">
+              <Activity size={14} /> Status
+            </div>
+            <div className="flex items-center gap-2 mt-1">
+              <p className={`text-xl font-bold ${sensor?.status === 'offline' ? 'text-gray-500' : 'text-blue-600'}`}>
+                {sensor ? sensor.status : '-'}
+              </p>
+              {liveness && (
+                <span className={`text-xs px-2 py-1 rounded-full font-bold border uppercase ${LIVENESS_STYLES[liveness]}`}>
+                  {liveness}
+                </span>
+              )}
+            </div>
+            <p className="text-xs text-gray-500 mt-1">
+              {lastDetection
+                ? `Last seen ${formatDistanceToNow(new Date(lastDetection.created_at), { addSuffix: true })}`
+                : 'No detections yet'}
+            </p>
+          </div>
+          <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+            <div className="flex items-center gap-2 text-xs font-bold text-gray-400 uppercase">
+              <Battery size={14} /> Battery
+            </div>
+            <p className={`text-xl font-bold mt-1 ${sensor?.battery < LOW_BATTERY_PERCENT ? 'text-orange-500' : 'text-gray-900'}`}>
+              {sensor ? `${sensor.battery}%` : '-'}
+            </p>
+            <p className="text-xs text-gray-500 mt-1">
+              {depletionDate ? `Projected empty ${format(depletionDate, 'dd MMM yyyy')}` : 'No drain trend in window'}
+            </p>
+          </div>
+          <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+            <div className="flex items-center gap-2 text-xs font-bold text-gray-400 uppercase">
+              <MapPin size={14} /> Location
+            </div>
+            <p className="text-sm font-medium mt-2 text-gray-700">
+              {sensor ? `${sensor.lat}, ${sensor.lng}` : '-'}
+            </p>
+          </div>
+          <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+            <div className="flex items-center gap-2 text-xs font-bold text-gray-400 uppercase">
+              <Droplets size={14} /> Leaks in Window
+            </div>
+            <p className="text-xl font-bold mt-1 text-red-600">{leakCount}</p>
+            <p className="text-xs text-gray-500 mt-1">
+              {labelStats.labelled > 0
+                ? `Precision ${formatRate(labelStats.precision)} (${labelStats.labelled} labelled)`
+                : 'No operator feedback yet'}
+              {labelStats.missed_leaks > 0 && `, ${labelStats.missed_leaks} missed`}
+            </p>
+          </div>
+        </div>
+
+        {/* Window Selector */}
+        <div className="flex items-center gap-2 mb-4">
+          <span className="text-sm font-medium text-gray-600">Window:</span>
+          {TIME_WINDOWS.map(w => (
+            <button
+              key={w.label}
+              onClick={() => setWindowHours(w.hours)}
+              className={`px-3 py-1 rounded text-sm font-medium transition-colors ${
+                windowHours === w.hours ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+              }`}
+            >
+              {w.label}
+            </button>
+          ))}
+        </div>
+
+        {/* Confidence Timeline */}
+        <div className="h-72 mb-6">
+          {loading ? (
+            <p className="p-8 text-center text-gray-500">Loading data...</p>
+          ) : chartData.length === 0 ? (
+            <p className="p-8 text-center text-gray-400">No detections in this window.</p>
+          ) : (
+            <ResponsiveContainer width="100%" height="100%">
+              <ComposedChart data={chartData}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis
+                  dataKey="time"
+                  type="number"
+                  scale="time"
+                  domain={['dataMin', 'dataMax']}
+                  tickFormatter={t => format(t, tickFormat)}
+                  fontSize={12}
+                />
+                <YAxis domain={[0, 100]} unit="%" fontSize={12} />
+                <Tooltip labelFormatter={t => format(t, 'dd MMM yyyy HH:mm:ss')} />
+                <Legend />
+                <Line type="monotone" dataKey="confidence" name="Confidence" stroke="#2563eb" dot={false} isAnimationActive={false} />
+                <Scatter dataKey="leak" name="Leak" fill="#dc2626" isAnimationActive={false} />
+              </ComposedChart>
+            </ResponsiveContainer>
+          )}
+        </div>
+
+        {/* Battery History */}
+        <h2 className="text-lg font-bold mb-2 text-gray-800 border-b pb-2">Battery</h2>
+        <div className="h-56 mb-6">
+          {loading ? (
+            <p className="p-8 text-center text-gray-500">Loading data...</p>
+          ) : batteryChartData.length === 0 ? (
+            <p className="p-8 text-center text-gray-400">No battery readings in this window.</p>
+          ) : (
+            <ResponsiveContainer width="100%" height="100%">
+              <ComposedChart data={batteryChartData}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis
+                  dataKey="time"
+                  type="number"
+                  scale="time"
+                  domain={['dataMin', 'dataMax']}
+                  tickFormatter={t => format(t, tickFormat)}
+                  fontSize={12}
+                />
+                <YAxis domain={[0, 100]} unit="%" fontSize={12} />
+                <Tooltip labelFormatter={t => format(t, 'dd MMM yyyy HH:mm')} />
+                <Legend />
+                <Line type="monotone" dataKey="battery" name="Battery" stroke="#f97316" dot={false} connectNulls isAnimationActive={false} />
+                <Line type="linear" dataKey="projected" name="Projection" stroke="#9ca3af" strokeDasharray="6 4" dot={false} connectNulls isAnimationActive={false} />
+              </ComposedChart>
+            </ResponsiveContainer>
+          )}
+        </div>
+
+        {/* Detection Log (newest first) */}
+        <h2 className="text-lg font-bold mb-2 text-gray-800 border-b pb-2">Detection Log</h2>
+        <div className="overflow-x-auto flex-1">
+          <table className="w-full text-left border-collapse">
+            <thead className="bg-gray-100 border-b-2 border-gray-200 sticky top-0">
+              <tr>
+                <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Timestamp</th>
+                <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Result</th>
+                <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Confidence</th>
+                <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Est. Leak Size</th>
+                <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Est. Location</th>
+                <th className="py-3 px-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Feedback</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {[...detections].reverse().map(row => (
+                <tr key={row.id} className="hover:bg-blue-50 transition-colors">
+                  <td className="py-3 px-4 text-sm text-gray-600">
+                    {new Date(row.created_at).toLocaleString()}
+                  </td>
+                  <td className="py-3 px-4">
+                    {row.is_leak ? (
+                      <span className="bg-red-100 text-red-800 text-xs px-2 py-1 rounded-full font-bold inline-flex items-center gap-1 border border-red-200">
+                        <Droplets size={12}/> LEAK
+                      </span>
+                    ) : (
+                      <span className="bg-green-100 text-green-800 text-xs px-2 py-1 rounded-full font-bold border border-green-200">
+                        NORMAL
+                      </span>
+                    )}
+                  </td>
+                  <td className="py-3 px-4 text-sm text-gray-600">
+                    {row.confidence}%
+                  </td>
+                  <td className="py-3 px-4 text-sm font-semibold text-gray-700">
+                    {row.estimated_leak_size || '-'}
+                  </td>
+                  <td className="py-3 px-4 text-sm text-gray-500 italic">
+                    {row.estimated_location || '-'}
+                  </td>
+                  <td className="py-3 px-4">
+                    <DetectionLabelControl detection={row} label={labels[row.id]} canEdit={can('labelDetections')} onSave={setLabel} />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+      </div>
+    </div>
+  );
+}
+
+export default SensorDetail;
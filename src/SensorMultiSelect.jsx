@@ -0,0 +1,36 @@
+import React from 'react';
+import { ChevronDown } from 'lucide-react';
+
+// Checkbox dropdown of sensors; `selected` is an array of sensor ids (as strings)
+function SensorMultiSelect({ sensors, selected, onChange }) {
+  const toggle = (id) => {
+    onChange(selected.includes(id) ? selected.filter(s => s !== id) : [...selected, id]);
+  };
+
+  return (
+    <details className="relative">
+      <summary className="list-none px-3 py-2 border rounded text-sm w-44 bg-white cursor-pointer flex items-center justify-between">
+        {selected.length === 0 ? 'All sensors' : `${selected.length} sensor${selected.length > 1 ? 's' : ''}`}
+        <ChevronDown size={14} className="text-gray-400" />
+      </summary>
+      <div className="absolute z-20 mt-1 w-56 max-h-64 overflow-auto bg-white border rounded shadow-lg p-2">
+        {selected.length > 0 && (
+          <button type="button" onClick={() => onChange([])} className="text-xs text-blue-600 hover:underline mb-1">
+            Clear selection
+          </button>
+        )}
+        {sensors.map(sensor => {
+          const id = String(sensor.id);
+          return (
+            <label key={id} className="flex items-center gap-2 py-1 text-sm text-gray-700 cursor-pointer">
+              <input type="checkbox" checked={selected.includes(id)} onChange={() => toggle(id)} />
+              {id}{sensor.name ? ` (${sensor.name})` : ''}
+            </label>
+          );
+        })}
+      </div>
+    </details>
+  );
+}
+
+export default SensorMultiSelect;
@@ -0,0 +1,61 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { fetchSites, setDetectionSite } from './dataAccess';
+import { SiteContext } from './siteContext';
+import { loadSelectedSite, saveSelectedSite } from './sites';
+
+/**
+ * The site list and the site the pages are scoped to. `siteId` is null for
+ * "all sites", which is also all there is while only one site exists.
+ * Pages aren't rendered until the sites have loaded, so their first queries
+ * and the realtime channel already carry the right site.
+ */
+function SiteProvider({ children }) {
+  const [sites, setSites] = useState(null);
+  const [siteId, setSiteId] = useState(null);
+
+  useEffect(() => {
+    const loadSites = async () => {
+      const { data, error } = await fetchSites();
+      const remembered = loadSelectedSite();
+      let initial = remembered;
+      if (error) {
+        // Offline start: keep the remembered site so its cached snapshot still applies
+        console.error("Error fetching sites:", error);
+      } else if (!data.some(s => s.id === remembered)) {
+        // The remembered site has been removed since
+        initial = null;
+      }
+      setDetectionSite(initial);
+      setSiteId(initial);
+      setSites(data || []);
+    };
+    loadSites();
+  }, []);
+
+  const selectSite = useCallback((nextSiteId) => {
+    saveSelectedSite(nextSiteId);
+    setDetectionSite(nextSiteId);
+    setSiteId(nextSiteId);
+  }, []);
+
+  const value = useMemo(() => ({
+    sites: sites || [],
+    siteId,
+    site: sites?.find(s => s.id === siteId) || null,
+    // Only worth a switcher (and an "All sites" roll-up) with two or more
+    multiSite: sites?.length > 1,
+    selectSite,
+  }), [sites, siteId, selectSite]);
+
+  if (sites === null) {
+    return (
+      <div className="min-h-screen w-full bg-gray-100 flex items-center justify-center text-gray-500">
+        Loading...
+      </div>
+    );
+  }
+
+  return <SiteContext.Provider value={value}>{children}</SiteContext.Provider>;
+}
+
+export default SiteProvider;
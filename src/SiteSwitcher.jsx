@@ -0,0 +1,26 @@
+import React from 'react';
+import { Building2 } from 'lucide-react';
+import { useSite } from './siteContext';
+
+// Header dropdown that scopes the pages to one site, or rolls all of them up
+function SiteSwitcher() {
+  const { sites, siteId, multiSite, selectSite } = useSite();
+  if (!multiSite) return null;
+
+  return (
+    <div className="flex items-center gap-2 text-sm text-gray-600">
+      <Building2 size={18} className="text-gray-400" />
+      <select
+        aria-label="Site"
+        value={siteId ?? ''}
+        onChange={e => selectSite(e.target.value || null)}
+        className="px-3 py-2 border rounded text-sm bg-white shadow-sm"
+      >
+        <option value="">All sites</option>
+        {sites.map(site => <option key={site.id} value={site.id}>{site.name}</option>)}
+      </select>
+    </div>
+  );
+}
+
+export default SiteSwitcher;
@@ -0,0 +1,11 @@
+import React from 'react';
+import { TileLayer } from 'react-leaflet';
+import { getConfig } from './config';
+
+// Base map tiles from the site config (tile provider is set per deployment)
+function SiteTileLayer() {
+  const { tileUrl, tileAttribution } = getConfig().map;
+  return <TileLayer url={tileUrl} attribution={tileAttribution} />;
+}
+
+export default SiteTileLayer;
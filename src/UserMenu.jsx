@@ -0,0 +1,28 @@
+import React from 'react';
+import { LogOut, User } from 'lucide-react';
+import { useAuth } from './authContext';
+
+// --- CURRENT USER + LOGOUT (dashboard header) ---
+function UserMenu() {
+  const { user, role, signOut } = useAuth();
+  if (!user) return null;
+
+  return (
+    <div className="flex items-center gap-2 pl-3 border-l border-gray-200">
+      <User size={18} className="text-gray-400" />
+      <div className="text-right leading-tight">
+        <p className="text-sm font-medium text-gray-800">{user.email}</p>
+        <p className="text-xs text-gray-400 uppercase">{role}</p>
+      </div>
+      <button
+        onClick={signOut}
+        className="p-2 rounded-full hover:bg-gray-100 text-gray-600 transition-colors"
+        title="Log out"
+      >
+        <LogOut size={18} />
+      </button>
+    </div>
+  );
+}
+
+export default UserMenu;
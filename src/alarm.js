@@ -0,0 +1,28 @@
+// Short two-tone alarm generated with Web Audio, so no sound file has to ship.
+
+let audioContext = null;
+
+export function playAlarm() {
+  const AudioCtx = window.AudioContext || window.webkitAudioContext;
+  if (!AudioCtx) return;
+
+  try {
+    audioContext = audioContext || new AudioCtx();
+    const start = audioContext.currentTime;
+
+    [880, 660, 880].forEach((frequency, i) => {
+      const oscillator = audioContext.createOscillator();
+      const gain = audioContext.createGain();
+      oscillator.type = 'square';
+      oscillator.frequency.value = frequency;
+      gain.gain.value = 0.08;
+      oscillator.connect(gain);
+      gain.connect(audioContext.destination);
+      oscillator.start(start + i * 0.25);
+      oscillator.stop(start + i * 0.25 + 0.2);
+    });
+  } catch (error) {
+    // Browsers block audio until the user has interacted with the page
+    console.error("Error playing alarm:", error);
+  }
+}
@@ -0,0 +1,78 @@
+// Validation for the alert rule form. Returns an object of field -> message;
+// an empty object means the form is valid.
+
+import { ALERT_CHANNELS, TEMPLATE_FIELDS, SAMPLE_DETECTION, renderTemplate, templateVars } from './shared/alerts';
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export function validateAlertRule(form) {
+  const errors = {};
+
+  if (!form.name.trim()) {
+    errors.name = 'Name is required';
+  }
+
+  if (!ALERT_CHANNELS.includes(form.channel)) {
+    errors.channel = `Channel must be one of: ${ALERT_CHANNELS.join(', ')}`;
+  } else if (form.channel === 'email') {
+    const addresses = form.target.split(',').map(a => a.trim());
+    if (!form.target.trim() || !addresses.every(a => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(a))) {
+      errors.target = 'Enter one or more email addresses, separated by commas';
+    }
+  } else if (!isHttpUrl(form.target.trim())) {
+    errors.target = 'Enter an http(s) URL';
+  }
+
+  if (form.channel === 'sms' && !/^\+?[0-9 ()-]{6,}$/.test(form.recipient.trim())) {
+    errors.recipient = 'Enter the phone number to text';
+  }
+
+  const minConfidence = Number(form.min_confidence);
+  if (form.min_confidence === '' || !Number.isInteger(minConfidence) || minConfidence < 0 || minConfidence > 100) {
+    errors.min_confidence = 'Minimum confidence must be a whole number from 0 to 100';
+  }
+
+  if (Boolean(form.quiet_start) !== Boolean(form.quiet_end)) {
+    errors.quiet_start = 'Set both ends of the quiet hours, or neither';
+  }
+  if (!isTimeZone(form.timezone)) {
+    errors.timezone = 'Unknown time zone (use an IANA name such as Asia/Kuala_Lumpur)';
+  }
+
+  const cooldown = Number(form.cooldown_minutes);
+  if (form.cooldown_minutes === '' || !Number.isInteger(cooldown) || cooldown < 0) {
+    errors.cooldown_minutes = 'Cooldown must be a whole number of minutes, 0 or more';
+  }
+
+  const unknownFields = [...form.template.matchAll(/\{\{\s*(\w+)\s*\}\}/g)]
+    .map(match => match[1])
+    .filter(name => !TEMPLATE_FIELDS.includes(name));
+  if (unknownFields.length > 0) {
+    errors.template = `Unknown placeholder: ${unknownFields.join(', ')}`;
+  } else if (form.channel === 'webhook' && form.template.trim()) {
+    // Webhook bodies are sent as JSON, so check a sample render parses
+    const sample = { ...SAMPLE_DETECTION, created_at: new Date().toISOString() };
+    try {
+      JSON.parse(renderTemplate(form.template, templateVars({ name: form.name }, sample, null), { json: true }));
+    } catch {
+      errors.template = 'Webhook template must produce valid JSON';
+    }
+  }
+
+  return errors;
+}
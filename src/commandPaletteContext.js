@@ -0,0 +1,21 @@
+import { createContext, useContext, useEffect } from 'react';
+
+export const CommandPaletteContext = createContext(null);
+
+export function useCommandPalette() {
+  const context = useContext(CommandPaletteContext);
+  if (!context) {
+    throw new Error('useCommandPalette must be used inside <CommandPaletteProvider>');
+  }
+  return context;
+}
+
+/**
+ * Offers page-specific commands in the palette while the calling page is
+ * mounted. Each command is { id, label, run, hint?, keywords? }; pass a
+ * memoised array so they aren't re-registered on every render.
+ */
+export function useCommands(commands) {
+  const { registerCommands } = useCommandPalette();
+  useEffect(() => registerCommands(commands), [registerCommands, commands]);
+}
@@ -0,0 +1,169 @@
+import { DATA_SOURCE_NAMES } from './dataAccess';
+
+// Deployment configuration. Values come from Vite env variables (VITE_*,
+// baked in at build time) and can be overridden per deployment by a runtime
+// /config.json next to index.html, so one build serves several sites.
+
+const DEFAULTS = {
+  dataSource: 'supabase', // or 'mock' for the offline simulation
+  mock: { intervalMs: 5000 },
+  // Sensor liveness: a sensor is 'stale' after missing staleAfterIntervals
+  // expected reports and 'offline' after offlineAfterIntervals
+  health: {
+    expectedIntervalMinutes: 15,
+    staleAfterIntervals: 2,
+    offlineAfterIntervals: 6,
+  },
+  siteName: 'Low Power Edge AI',
+  siteSubtitle: 'Water Leak Detection Dashboard',
+  map: {
+    center: null,
+    zoom: 15,
+    bounds: null,
+    tileUrl: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    tileAttribution: '&copy; OpenStreetMap',
+  },
+};
+
+let config = null;
+
+// "2.94,101.87" -> [2.94, 101.87]
+function parseNumberList(value) {
+  if (!value) return null;
+  return value.split(',').map(part => Number(part.trim()));
+}
+
+function fromEnv(env) {
+  const bounds = parseNumberList(env.VITE_MAP_BOUNDS); // south,west,north,east
+  return {
+    dataSource: env.VITE_DATA_SOURCE,
+    mock: {
+      intervalMs: env.VITE_MOCK_INTERVAL_MS ? Number(env.VITE_MOCK_INTERVAL_MS) : undefined,
+    },
+    health: {
+      expectedIntervalMinutes: env.VITE_EXPECTED_REPORT_INTERVAL_MINUTES
+        ? Number(env.VITE_EXPECTED_REPORT_INTERVAL_MINUTES)
+        : undefined,
+    },
+    supabaseUrl: env.VITE_SUPABASE_URL,
+    supabaseAnonKey: env.VITE_SUPABASE_ANON_KEY,
+    siteName: env.VITE_SITE_NAME,
+    siteSubtitle: env.VITE_SITE_SUBTITLE,
+    map: {
+      center: parseNumberList(env.VITE_MAP_CENTER),
+      zoom: env.VITE_MAP_ZOOM ? Number(env.VITE_MAP_ZOOM) : undefined,
+      bounds: bounds ? [[bounds[0], bounds[1]], [bounds[2], bounds[3]]] : undefined,
+      tileUrl: env.VITE_TILE_URL,
+      tileAttribution: env.VITE_TILE_ATTRIBUTION,
+    },
+  };
+}
+
+const NESTED_KEYS = ['map', 'mock', 'health'];
+
+// Later sources win, but only for keys they actually set
+function merge(...sources) {
+  const result = {};
+  sources.forEach(source => {
+    Object.entries(source || {}).forEach(([key, value]) => {
+      if (value === undefined || value === null || value === '') return;
+      result[key] = NESTED_KEYS.includes(key) ? { ...result[key], ...merge(value) } : value;
+    });
+  });
+  return result;
+}
+
+async function fetchRuntimeConfig() {
+  try {
+    const response = await fetch('/config.json', { cache: 'no-store' });
+    // The SPA fallback (public/_redirects) answers unknown paths with index.html,
+    // so anything that isn't JSON means "no runtime config"
+    if (!response.ok || !response.headers.get('content-type')?.includes('json')) return {};
+    return await response.json();
+  } catch {
+    return {};
+  }
+}
+
+const isLatLng = (value) => Array.isArray(value) && value.length === 2
+  && value.every(Number.isFinite) && Math.abs(value[0]) <= 90 && Math.abs(value[1]) <= 180;
+
+/**
+ * Returns a list of human-readable problems; empty when the config is usable.
+ */
+export function validateConfig(candidate) {
+  const errors = [];
+
+  if (!DATA_SOURCE_NAMES.includes(candidate.dataSource)) {
+    errors.push(`dataSource (VITE_DATA_SOURCE) must be one of: ${DATA_SOURCE_NAMES.join(', ')}`);
+  }
+
+  // The mock data source runs without a backend
+  if (candidate.dataSource === 'supabase') {
+    try {
+      new URL(candidate.supabaseUrl);
+    } catch {
+      errors.push('supabaseUrl (VITE_SUPABASE_URL) is missing or not a valid URL');
+    }
+    if (!candidate.supabaseAnonKey) {
+      errors.push('supabaseAnonKey (VITE_SUPABASE_ANON_KEY) is missing');
+    }
+  }
+
+  if (candidate.dataSource === 'mock' && !(candidate.mock.intervalMs >= 100)) {
+    errors.push('mock.intervalMs (VITE_MOCK_INTERVAL_MS) must be at least 100');
+  }
+
+  const { health } = candidate;
+  if (!(health.expectedIntervalMinutes > 0)) {
+    errors.push('health.expectedIntervalMinutes (VITE_EXPECTED_REPORT_INTERVAL_MINUTES) must be a positive number');
+  }
+  if (!(health.staleAfterIntervals > 0 && health.offlineAfterIntervals > health.staleAfterIntervals)) {
+    errors.push('health.offlineAfterIntervals must be greater than health.staleAfterIntervals (both positive)');
+  }
+
+  const { map } = candidate;
+  if (!isLatLng(map.center)) {
+    errors.push('map.center (VITE_MAP_CENTER) must be "lat,lng"');
+  }
+  if (!Number.isInteger(map.zoom) || map.zoom < 0 || map.zoom > 22) {
+    errors.push('map.zoom (VITE_MAP_ZOOM) must be a whole number between 0 and 22');
+  }
+  if (map.bounds && !(Array.isArray(map.bounds) && map.bounds.length === 2 && map.bounds.every(isLatLng))) {
+    errors.push('map.bounds (VITE_MAP_BOUNDS) must be "south,west,north,east"');
+  }
+  if (!/\{z\}.*\{x\}.*\{y\}/.test(map.tileUrl || '')) {
+    errors.push('map.tileUrl (VITE_TILE_URL) must contain {z}, {x} and {y}');
+  }
+
+  return errors;
+}
+
+export class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration: ${errors.join('; ')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Loads and validates the config once at startup. Throws ConfigError when
+ * something required is missing or malformed.
+ */
+export async function loadConfig() {
+  const runtime = await fetchRuntimeConfig();
+  const candidate = merge(DEFAULTS, fromEnv(import.meta.env), runtime);
+
+  const errors = validateConfig(candidate);
+  if (errors.length > 0) throw new ConfigError(errors);
+
+  config = candidate;
+  return config;
+}
+
+// Synchronous access for components; only valid after loadConfig() resolved
+export function getConfig() {
+  if (!config) throw new Error('getConfig() called before loadConfig()');
+  return config;
+}
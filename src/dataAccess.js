@@ -0,0 +1,502 @@
+import { canTransition } from './incidentLifecycle';
+
+// Data-access layer shared by the pages. The actual backend is a data source
+// chosen from config (`dataSource`): 'supabase' for the live project or 'mock'
+// for an in-memory simulation (see src/dataSources). Every fetch returns
+// { data, error } like the Supabase client so callers handle errors the same way.
+//
+// A data source implements:
+//   auth: { getSession, onAuthStateChange, signInWithPassword, sendMagicLink, signOut }
+//   fetchProfile(userId), fetchSites(), fetchSiteSummary(sinceIso),
+//   fetchSensorPage({ includeDecommissioned, siteId }, page, pageSize), fetchSensor(id),
+//   insertSensor(sensor), updateSensor(id, changes), fetchLatestDetectionPage(siteId, page, pageSize),
+//   fetchLatestDetectionAtPage(atIso, siteId, page, pageSize),
+//   fetchDetectionPage(filters, sortConfig, pageSize, { offset, after }), countDetections(filters, mode),
+//   fetchBatteryHistoryPage(id, sinceIso, page, pageSize), fetchLeakCountPage(sinceIso, bucket, page, pageSize),
+//   fetchConfidenceHistogramPage(sinceIso, binWidth, page, pageSize), fetchPipeNetwork(siteId), insertPipeNetwork(network),
+//   fetchIncidentPage(status, siteId, page, pageSize), updateIncident(id, changes),
+//   fetchAlertRules(), insertAlertRule(rule), updateAlertRule(id, changes), deleteAlertRule(id),
+//   fetchAlertDeliveries(limit), sendTestAlert(ruleId),
+//   fetchDetectionLabels(detectionIds), upsertDetectionLabel(label), deleteDetectionLabel(detectionId),
+//   fetchLabelSummary(sinceIso), fetchLabelledDetectionPage(page, pageSize),
+//   subscribeToDetections(onInsert, onStatus, siteId), subscribeToIncidents(onChange, siteId)
+//   (the subscribe functions return an unsubscribe function; onStatus is
+//   called with 'live' or 'offline' as the realtime channel joins or drops)
+// A null/undefined siteId means every site. Detection `filters` may carry a
+// `site` to the same effect.
+
+const DATA_SOURCES = {
+  supabase: () => import('./dataSources/supabaseSource').then(m => m.createSupabaseSource),
+  mock: () => import('./dataSources/mockSource').then(m => m.createMockSource),
+};
+
+export const DATA_SOURCE_NAMES = Object.keys(DATA_SOURCES);
+
+let source = null;
+
+// Called once from main.jsx after the config has loaded
+export async function initDataSource(config) {
+  const createSource = await DATA_SOURCES[config.dataSource]();
+  source = createSource(config);
+
+  window.addEventListener('online', updateConnectionStatus);
+  window.addEventListener('offline', updateConnectionStatus);
+  return source;
+}
+
+// --- Auth ---
+
+export const auth = {
+  getSession: () => source.auth.getSession(),
+  // callback(session); returns an unsubscribe function
+  onAuthStateChange: (callback) => source.auth.onAuthStateChange(callback),
+  signInWithPassword: (email, password) => source.auth.signInWithPassword(email, password),
+  sendMagicLink: (email) => source.auth.sendMagicLink(email),
+  signOut: () => source.auth.signOut(),
+};
+
+// Role of the signed-in user; users without a profile row are treated as viewers
+export async function fetchProfile(userId) {
+  return source.fetchProfile(userId);
+}
+
+// --- Sites ---
+
+// Every site, by name: [{ id, name, lat, lng, zoom, bounds_south, ... }]
+export async function fetchSites() {
+  return source.fetchSites();
+}
+
+// Per-site roll-up since `since` (a Date):
+// [{ site_id, sensor_count, open_incident_count, leak_count }]
+export async function fetchSiteSummary(since) {
+  const { data, error } = await source.fetchSiteSummary(since.toISOString());
+  // bigint counts arrive as strings from PostgREST
+  return {
+    data: data && data.map(row => ({
+      site_id: row.site_id,
+      sensor_count: Number(row.sensor_count),
+      open_incident_count: Number(row.open_incident_count),
+      leak_count: Number(row.leak_count),
+    })),
+    error,
+  };
+}
+
+// Calls fetchPage(page, pageSize) until a short page comes back and returns
+// every row as one { data, error }, so results aren't cut at the server's
+// row limit
+async function collectPages(fetchPage, pageSize = 1000) {
+  const rows = [];
+  for (let page = 0; ; page++) {
+    const { data, error } = await fetchPage(page, pageSize);
+    if (error) return { data: null, error };
+    rows.push(...data);
+    if (data.length < pageSize) return { data: rows, error: null };
+  }
+}
+
+// --- Sensors ---
+
+// Decommissioned sensors are left out unless asked for (history, exports, admin).
+// `siteId` limits the list to one site. Read a page at a time: fleets can be
+// larger than the server returns in one response.
+export async function fetchSensors({ includeDecommissioned = false, siteId = null } = {}) {
+  return collectPages((page, pageSize) => source.fetchSensorPage({ includeDecommissioned, siteId }, page, pageSize));
+}
+
+// Single sensor, `data` is null when it doesn't exist
+export async function fetchSensor(sensorId) {
+  return source.fetchSensor(sensorId);
+}
+
+export async function createSensor(sensor) {
+  return source.insertSensor(sensor);
+}
+
+export async function updateSensor(sensorId, changes) {
+  return source.updateSensor(sensorId, changes);
+}
+
+// Soft delete: detections keep their sensor_id, the sensor just drops off the dashboard
+export async function decommissionSensor(sensorId) {
+  return updateSensor(sensorId, { status: 'decommissioned', decommissioned_at: new Date().toISOString() });
+}
+
+export async function recommissionSensor(sensorId) {
+  return updateSensor(sensorId, { status: 'active', decommissioned_at: null });
+}
+
+// Exactly one row per sensor that has ever reported, optionally for one site
+export async function fetchLatestDetections(siteId = null) {
+  return collectPages((page, pageSize) => source.fetchLatestDetectionPage(siteId, page, pageSize));
+}
+
+// Same, as things stood at `at` (a Date): each sensor's newest detection at or before it
+export async function fetchLatestDetectionsAt(at, siteId = null) {
+  return collectPages((page, pageSize) => source.fetchLatestDetectionAtPage(at.toISOString(), siteId, page, pageSize));
+}
+
+/**
+ * Joins sensors with their latest detection. Sensors that never reported
+ * get `latestLog: null`.
+ */
+export function combineLatestReadings(sensors, latestDetections) {
+  const bySensor = {};
+  latestDetections.forEach(d => {
+    bySensor[d.sensor_id] = d;
+  });
+  return sensors.map(sensor => ({
+    ...sensor,
+    latestLog: bySensor[sensor.id] || null,
+  }));
+}
+
+/**
+ * Replaces one sensor's latest detection after a realtime INSERT.
+ * Returns the same array when the detection is older than what we already
+ * have, or when it belongs to a sensor we don't know about yet.
+ */
+export function applyDetection(readings, detection) {
+  let changed = false;
+  const next = readings.map(r => {
+    if (r.id !== detection.sensor_id) return r;
+    if (r.latestLog && new Date(r.latestLog.created_at) > new Date(detection.created_at)) return r;
+    changed = true;
+    return { ...r, latestLog: detection };
+  });
+  return changed ? next : readings;
+}
+
+// One shared realtime subscription for detections; the Dashboard and the
+// notification system both listen on it without opening a second channel.
+// It only carries the site picked in the site switcher (see setDetectionSite).
+const detectionListeners = new Set();
+let unsubscribeSource = null;
+let lastDetectionAt = null; // newest created_at delivered to listeners
+let detectionSite = null; // null = every site
+// Ids dispatched while each running backfill is in flight, so a row that
+// arrives live and is also in the backfill is only delivered once
+const backfillSeenIds = new Set();
+
+function dispatchDetection(detection) {
+  if (!lastDetectionAt || detection.created_at > lastDetectionAt) {
+    lastDetectionAt = detection.created_at;
+  }
+  backfillSeenIds.forEach(seen => seen.add(detection.id));
+  detectionListeners.forEach(listener => listener(detection));
+}
+
+// Calls onInsert with the new row for every detection written, including the
+// ones missed while offline (replayed oldest first after reconnecting, marked
+// `backfilled: true`). Returns an unsubscribe function.
+export function subscribeToDetections(onInsert) {
+  detectionListeners.add(onInsert);
+  if (!unsubscribeSource) openDetectionChannel();
+
+  return () => {
+    detectionListeners.delete(onInsert);
+    if (detectionListeners.size === 0 && unsubscribeSource) {
+      unsubscribeSource();
+      unsubscribeSource = null;
+    }
+  };
+}
+
+function openDetectionChannel() {
+  channelStatus = 'connecting';
+  const stop = source.subscribeToDetections(dispatchDetection, status => {
+    // Ignore the 'offline' a channel reports while it is being torn down
+    if (unsubscribeSource !== stop) return;
+    channelStatus = status;
+    updateConnectionStatus();
+  }, detectionSite);
+  unsubscribeSource = stop;
+}
+
+// Scopes the realtime detections (and the backfill after reconnecting) to one
+// site, or to every site with null. An open channel is reopened with the new filter.
+export function setDetectionSite(siteId) {
+  if (siteId === detectionSite) return;
+  detectionSite = siteId;
+  lastDetectionAt = null;
+  if (unsubscribeSource) {
+    const stop = unsubscribeSource;
+    unsubscribeSource = null;
+    stop();
+    openDetectionChannel();
+  }
+}
+
+// --- Connection status ---
+
+// 'connecting' until the realtime channel first joins, 'live' while it is
+// joined and the browser is online, 'offline' otherwise
+let channelStatus = 'connecting';
+let connectionStatus = 'connecting';
+let disconnectedAt = null;
+const connectionListeners = new Set();
+
+function updateConnectionStatus() {
+  const next = navigator.onLine ? channelStatus : 'offline';
+  if (next === connectionStatus) return;
+
+  const wasOffline = connectionStatus === 'offline';
+  connectionStatus = next;
+  if (next === 'offline') {
+    disconnectedAt = new Date().toISOString();
+  } else if (next === 'live' && wasOffline) {
+    backfillDetections(lastDetectionAt || disconnectedAt);
+  }
+  connectionListeners.forEach(listener => listener(connectionStatus));
+}
+
+// Realtime doesn't replay what was written while the channel was down, so
+// fetch it and push it through the same listeners. `since` is fixed when the
+// backfill starts: live inserts arriving meanwhile move lastDetectionAt on.
+async function backfillDetections(since) {
+  const seen = new Set();
+  backfillSeenIds.add(seen);
+  try {
+    for await (const rows of fetchAllDetections({ from: since, site: detectionSite }, { key: 'created_at', direction: 'asc' })) {
+      rows
+        .filter(d => d.created_at > since && !seen.has(d.id))
+        .forEach(d => dispatchDetection({ ...d, backfilled: true }));
+    }
+  } catch (error) {
+    console.error("Error backfilling detections:", error);
+  } finally {
+    backfillSeenIds.delete(seen);
+  }
+}
+
+export function getConnectionStatus() {
+  return connectionStatus;
+}
+
+// Calls listener(status) whenever the connection status changes.
+// Returns an unsubscribe function.
+export function subscribeToConnectionStatus(listener) {
+  connectionListeners.add(listener);
+  return () => {
+    connectionListeners.delete(listener);
+  };
+}
+
+// --- Detection history ---
+
+// Keyset cursor for a row: pass it as `after`/`before` to fetchDetectionPage
+// with the same sortConfig to get the rows following/preceding it
+export function detectionCursor(row, sortConfig) {
+  return { value: row[sortConfig.key] ?? null, id: row.id };
+}
+
+const reverseSort = (sortConfig) => ({ ...sortConfig, direction: sortConfig.direction === 'asc' ? 'desc' : 'asc' });
+
+/**
+ * One page of detections in `sortConfig` order. `position` picks which:
+ *   {}                 the first page
+ *   { offset: n }      skipping n rows, for jumping to a page (the database
+ *                      still walks past every skipped row)
+ *   { after: cursor }  the rows after a detectionCursor(), at any depth
+ *   { before: cursor } the rows before one
+ *   { last: true }     the final `pageSize` rows
+ */
+export async function fetchDetectionPage(filters, sortConfig, pageSize, position = {}) {
+  if (position.before || position.last) {
+    // Walk backwards from the cursor (or the end) and flip the rows back
+    const { data, error } = await source.fetchDetectionPage(filters, reverseSort(sortConfig), pageSize, { after: position.before || null });
+    return { data: data && [...data].reverse(), error };
+  }
+  return source.fetchDetectionPage(filters, sortConfig, pageSize, { offset: position.offset || 0, after: position.after || null });
+}
+
+// Number of detections matching the filters; `mode` is 'exact' or 'estimated'
+export async function countDetections(filters, mode = 'estimated') {
+  return source.countDetections(filters, mode);
+}
+
+/**
+ * Yields every detection matching the filters, one page at a time, so exports
+ * aren't capped by a single request (Supabase returns at most 1000 rows per
+ * request). Pages are chained by cursor, so late pages cost the same as early ones.
+ * Throws the data source error if any page fails.
+ */
+export async function* fetchAllDetections(filters, sortConfig, pageSize = 1000) {
+  let position = {};
+  for (;;) {
+    const { data, error } = await fetchDetectionPage(filters, sortConfig, pageSize, position);
+    if (error) throw error;
+    if (data.length > 0) yield data;
+    if (data.length < pageSize) return;
+    position = { after: detectionCursor(data[data.length - 1], sortConfig) };
+  }
+}
+
+// One sensor's detections since `since` (a Date), oldest first. Read page by
+// page like exports: a 30-day window holds more rows than one request returns.
+export async function fetchSensorDetections(sensorId, since) {
+  const rows = [];
+  try {
+    const filters = { sensors: [String(sensorId)], from: since.toISOString() };
+    for await (const page of fetchAllDetections(filters, { key: 'created_at', direction: 'asc' })) {
+      rows.push(...page);
+    }
+  } catch (error) {
+    return { data: null, error };
+  }
+  return { data: rows, error: null };
+}
+
+// One sensor's newest detection (null if it never reported), however old
+export async function fetchLatestSensorDetection(sensorId) {
+  const { data, error } = await fetchDetectionPage(
+    { sensors: [String(sensorId)] }, { key: 'created_at', direction: 'desc' }, 1, {}
+  );
+  return { data: data ? data[0] || null : null, error };
+}
+
+// One sensor's battery readings since `since` (a Date), oldest first
+export async function fetchBatteryHistory(sensorId, since) {
+  return collectPages((page, pageSize) =>
+    source.fetchBatteryHistoryPage(sensorId, since.toISOString(), page, pageSize));
+}
+
+// --- Detection labels (operator feedback for retraining) ---
+
+// Keeps `.in()` filters well inside URL length limits
+const LABEL_LOOKUP_CHUNK = 200;
+
+// Labels for the given detection ids: [{ detection_id, label, comment, labelled_by, labelled_at }]
+export async function fetchDetectionLabels(detectionIds) {
+  const labels = [];
+  for (let i = 0; i < detectionIds.length; i += LABEL_LOOKUP_CHUNK) {
+    const { data, error } = await source.fetchDetectionLabels(detectionIds.slice(i, i + LABEL_LOOKUP_CHUNK));
+    if (error) return { data: null, error };
+    labels.push(...data);
+  }
+  return { data: labels, error: null };
+}
+
+// Sets or replaces the label of one detection
+export async function saveDetectionLabel(detectionId, label, comment) {
+  return source.upsertDetectionLabel({
+    detection_id: detectionId,
+    label,
+    comment: comment?.trim() || null,
+  });
+}
+
+export async function deleteDetectionLabel(detectionId) {
+  return source.deleteDetectionLabel(detectionId);
+}
+
+// Per-sensor label counts since `since` (a Date):
+// [{ sensor_id, leak_detections, true_positives, false_positives, missed_leaks }]
+export async function fetchLabelSummary(since) {
+  return source.fetchLabelSummary(since.toISOString());
+}
+
+/**
+ * Yields every labelled detection (detection columns plus label,
+ * label_comment, labelled_at and actual_leak), oldest first, a page at a time.
+ * Throws the data source error if any page fails.
+ */
+export async function* fetchAllLabelledDetections(pageSize = 1000) {
+  for (let page = 0; ; page++) {
+    const { data, error } = await source.fetchLabelledDetectionPage(page, pageSize);
+    if (error) throw error;
+    if (data.length > 0) yield data;
+    if (data.length < pageSize) return;
+  }
+}
+
+// --- Pipe network ---
+
+// Newest imported network row ({ id, name, geojson, site_id, imported_at }) for
+// the site (or of any site), `data` is null when none has been imported
+export async function fetchPipeNetwork(siteId = null) {
+  return source.fetchPipeNetwork(siteId);
+}
+
+// Expects GeoJSON that passed validatePipeNetwork()
+export async function importPipeNetwork(name, geojson, siteId = null) {
+  return source.insertPipeNetwork({ name, geojson, site_id: siteId });
+}
+
+// --- Alert rules (dispatched server-side, see supabase/functions/dispatch-alerts) ---
+
+export async function fetchAlertRules() {
+  return source.fetchAlertRules();
+}
+
+// Inserts when the rule has no id yet, otherwise updates it
+export async function saveAlertRule({ id, ...fields }) {
+  if (id === undefined || id === null) return source.insertAlertRule(fields);
+  return source.updateAlertRule(id, { ...fields, updated_at: new Date().toISOString() });
+}
+
+export async function deleteAlertRule(ruleId) {
+  return source.deleteAlertRule(ruleId);
+}
+
+// Newest deliveries first, including tests
+export async function fetchAlertDeliveries(limit = 100) {
+  return source.fetchAlertDeliveries(limit);
+}
+
+// Sends a sample alert through the rule right away; `data` is the logged delivery
+export async function sendTestAlert(ruleId) {
+  return source.sendTestAlert(ruleId);
+}
+
+// --- Analytics ---
+
+// Leak detections per sensor per 'day' or 'week' since `since` (a Date):
+// [{ bucket_start, sensor_id, leak_count }]. A year of days across the fleet
+// is many pages, so every page is fetched.
+export async function fetchLeakCounts(since, bucket = 'day') {
+  return collectPages((page, pageSize) =>
+    source.fetchLeakCountPage(since.toISOString(), bucket, page, pageSize));
+}
+
+// Detections since `since` binned by confidence and split by result:
+// [{ bin_start, is_leak, detection_count }]
+export async function fetchConfidenceHistogram(since, binWidth = 10) {
+  return collectPages((page, pageSize) =>
+    source.fetchConfidenceHistogramPage(since.toISOString(), binWidth, page, pageSize));
+}
+
+// --- Incidents ---
+
+// `unresolved` (default) returns open/acknowledged/dispatched incidents,
+// `all` returns everything, any other value filters on that exact status.
+// `siteId` limits them to one site.
+export async function fetchIncidents(status = 'unresolved', siteId = null) {
+  return collectPages((page, pageSize) => source.fetchIncidentPage(status, siteId, page, pageSize));
+}
+
+/**
+ * Moves an incident to the next lifecycle state and stamps the matching
+ * `<status>_at` column. Optional `fields` (assignee, notes) are saved alongside.
+ */
+export async function updateIncidentStatus(incident, status, fields = {}) {
+  if (!canTransition(incident.status, status)) {
+    return { data: null, error: new Error(`Cannot move incident from ${incident.status} to ${status}`) };
+  }
+
+  const now = new Date().toISOString();
+  return source.updateIncident(incident.id, { ...fields, status, [`${status}_at`]: now, updated_at: now });
+}
+
+// Saves assignee / notes without changing the status
+export async function updateIncidentDetails(incidentId, { assignee, notes }) {
+  return source.updateIncident(incidentId, { assignee, notes, updated_at: new Date().toISOString() });
+}
+
+// Calls onChange on any insert/update of an incident (the leak trigger
+// opens and updates them server-side), only for `siteId` when given.
+// Returns an unsubscribe function.
+export function subscribeToIncidents(onChange, siteId = null) {
+  return source.subscribeToIncidents(onChange, siteId);
+}
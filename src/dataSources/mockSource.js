@@ -0,0 +1,572 @@
+// In-memory data source for offline development and demos. It seeds two
+// sites, each a small sensor network on a demo pipe grid (the first around the
+// configured map center), with a day of history, then keeps generating
+// readings (and the occasional leak) on a timer.
+// Implements the same interface as supabaseSource.js.
+
+import { startOfDay, startOfWeek } from 'date-fns';
+import { matchesRule, inCooldown, buildMessage, postJson, retryAfterFailure, SAMPLE_DETECTION } from '../shared/alerts';
+import { labelOptionsFor } from '../detectionLabels';
+
+// Second campus is offset from the configured map center by `offset` degrees
+const DEMO_SITES = [
+  { id: 'main', name: 'Main Campus', offset: null, sensorCount: 8 },
+  { id: 'north', name: 'North Campus', offset: [0.05, 0.01], sensorCount: 4 },
+];
+const SEED_HISTORY_HOURS = 24;
+const SEED_INTERVAL_MINUTES = 15;
+const LEAK_START_CHANCE = 0.04; // per reading, for a sensor that isn't leaking yet
+const LEAK_DURATION_READINGS = [4, 12]; // a simulated leak lasts this many readings
+
+const LEAK_SIZES = ['Small', 'Medium', 'Large'];
+
+// Demo pipe network: a square grid of mains around the map center, split into
+// one pipe per block, with an isolation valve at every junction
+const NETWORK_GRID_LINES = 5;
+const NETWORK_GRID_SPACING = 0.004; // degrees, roughly 450m
+const PIPE_MATERIALS = ['PVC', 'Ductile iron', 'HDPE', 'Cast iron'];
+const PIPE_DIAMETERS = [100, 150, 200, 300];
+
+const DEMO_USER = { id: 'mock-user', email: 'demo@localhost' };
+
+const randomBetween = (min, max) => min + Math.random() * (max - min);
+const randomInt = (min, max) => Math.floor(randomBetween(min, max + 1));
+const pick = (items) => items[Math.floor(Math.random() * items.length)];
+const ok = (data) => Promise.resolve({ data, error: null });
+const fail = (message) => Promise.resolve({ data: null, error: new Error(message) });
+
+// Same semantics as the Supabase filters in supabaseSource.js
+function matchesFilters(row, filters) {
+  if (filters.site && row.site_id !== filters.site) return false;
+  if (filters.result === 'leak' && !row.is_leak) return false;
+  if (filters.result === 'normal' && row.is_leak) return false;
+  if (filters.sensor_id && !String(row.sensor_id).toLowerCase().includes(filters.sensor_id.toLowerCase())) return false;
+  if (filters.sensors?.length > 0 && !filters.sensors.includes(String(row.sensor_id))) return false;
+  if (filters.minConfidence && row.confidence < parseInt(filters.minConfidence)) return false;
+  if (filters.maxConfidence && row.confidence > parseInt(filters.maxConfidence)) return false;
+  if (filters.from && row.created_at < new Date(filters.from).toISOString()) return false;
+  if (filters.to && row.created_at > new Date(filters.to).toISOString()) return false;
+  if (filters.location && !(row.estimated_location || '').toLowerCase().includes(filters.location.toLowerCase())) return false;
+  return true;
+}
+
+// Same order as the Supabase queries: nulls sort as the largest value and
+// `id` breaks ties in the same direction
+function compareValues(a, b) {
+  const aMissing = a === null || a === undefined;
+  const bMissing = b === null || b === undefined;
+  if (aMissing || bMissing) return aMissing - bMissing;
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+function compareBy(key, direction) {
+  const sign = direction === 'asc' ? 1 : -1;
+  return (a, b) => sign * (compareValues(a[key], b[key]) || compareValues(a.id, b.id));
+}
+
+// Counts rows by the key keyOf(row) returns, as [{ ...fields, count }]
+function countBy(rows, keyOf, fieldsOf) {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = keyOf(row);
+    if (!groups.has(key)) groups.set(key, { ...fieldsOf(row), count: 0 });
+    groups.get(key).count += 1;
+  });
+  return [...groups.values()];
+}
+
+function buildNetwork(centerLat, centerLng) {
+  const offset = i => (i - (NETWORK_GRID_LINES - 1) / 2) * NETWORK_GRID_SPACING;
+  const lats = Array.from({ length: NETWORK_GRID_LINES }, (_, i) => +(centerLat + offset(i)).toFixed(6));
+  const lngs = Array.from({ length: NETWORK_GRID_LINES }, (_, i) => +(centerLng + offset(i)).toFixed(6));
+  const features = [];
+  const pipe = (from, to) => features.push({
+    type: 'Feature',
+    properties: { id: `P-${features.length + 1}`, diameter_mm: pick(PIPE_DIAMETERS), material: pick(PIPE_MATERIALS) },
+    geometry: { type: 'LineString', coordinates: [from, to] },
+  });
+
+  lats.forEach(lat => lngs.slice(1).forEach((lng, j) => pipe([lngs[j], lat], [lng, lat])));
+  lngs.forEach(lng => lats.slice(1).forEach((lat, i) => pipe([lng, lats[i]], [lng, lat])));
+  lats.forEach((lat, i) => lngs.forEach((lng, j) => features.push({
+    type: 'Feature',
+    properties: { id: `V-${i * NETWORK_GRID_LINES + j + 1}`, valve_type: 'isolation' },
+    geometry: { type: 'Point', coordinates: [lng, lat] },
+  })));
+
+  return { type: 'FeatureCollection', features };
+}
+
+export function createMockSource(config) {
+  const intervalMs = config.mock?.intervalMs ?? 5000;
+  const [centerLat, centerLng] = config.map.center;
+
+  let nextDetectionId = 1;
+  let nextIncidentId = 1;
+  const sensors = [];
+  const detections = []; // oldest first
+  const incidents = [];
+  const batteryReadings = []; // oldest first
+  const detectionLabels = new Map(); // detection id -> label row
+  const alertRules = [];
+  const alertDeliveries = [];
+  let nextAlertRuleId = 1;
+  let nextDeliveryId = 1;
+  // Main Campus has no center of its own, so it follows the configured map
+  const sites = DEMO_SITES.map(site => ({
+    id: site.id,
+    name: site.name,
+    lat: site.offset ? +(centerLat + site.offset[0]).toFixed(6) : null,
+    lng: site.offset ? +(centerLng + site.offset[1]).toFixed(6) : null,
+    zoom: site.offset ? config.map.zoom : null,
+    bounds_south: null,
+    bounds_west: null,
+    bounds_north: null,
+    bounds_east: null,
+  }));
+  const pipeNetworks = sites.map((site, i) => ({
+    id: i + 1,
+    name: `${site.name} demo grid`,
+    site_id: site.id,
+    geojson: buildNetwork(site.lat ?? centerLat, site.lng ?? centerLng),
+    imported_at: new Date().toISOString(),
+  }));
+  // sensor id -> readings left in its current simulated leak
+  const leaking = {};
+
+  const detectionListeners = new Set();
+  const incidentListeners = new Set();
+
+  let session = { user: DEMO_USER };
+  const authListeners = new Set();
+
+  // --- Simulation ---
+
+  // Mirrors the record_leak_incident trigger
+  function recordIncident(detection) {
+    if (!detection.is_leak) return;
+
+    let incident = incidents.find(i => i.sensor_id === detection.sensor_id && i.status !== 'resolved');
+    const eventType = incident ? 'UPDATE' : 'INSERT';
+    if (incident) {
+      incident.detection_count += 1;
+      incident.peak_confidence = Math.max(incident.peak_confidence, detection.confidence);
+      incident.last_detected_at = detection.created_at;
+      incident.updated_at = new Date().toISOString();
+    } else {
+      incident = {
+        id: nextIncidentId++,
+        sensor_id: detection.sensor_id,
+        site_id: detection.site_id,
+        status: 'open',
+        assignee: null,
+        notes: null,
+        detection_count: 1,
+        peak_confidence: detection.confidence,
+        first_detected_at: detection.created_at,
+        last_detected_at: detection.created_at,
+        acknowledged_at: null,
+        dispatched_at: null,
+        resolved_at: null,
+        created_at: detection.created_at,
+        updated_at: detection.created_at,
+      };
+      incidents.push(incident);
+    }
+    incidentListeners.forEach(listener => listener({ eventType, new: { ...incident } }));
+  }
+
+  // Stands in for the dispatch-alerts edge function: webhooks and SMS gateways
+  // are really POSTed to (e.g. scripts/alert-stand-in.js), email is only logged
+  async function attemptDelivery(delivery, rule, detection) {
+    const sensor = sensors.find(s => s.id === detection.sensor_id) || (delivery.is_test ? { name: 'Test Junction' } : null);
+    const message = buildMessage(rule, detection, sensor);
+    delivery.attempts += 1;
+    try {
+      if (rule.channel === 'email') {
+        console.info(`[mock] Email to ${message.to}: ${message.subject}\n${message.text}`);
+        delivery.response_status = null;
+      } else {
+        delivery.response_status = await postJson(message.url, message.body);
+      }
+      Object.assign(delivery, { status: 'sent', last_error: null, sent_at: new Date().toISOString(), next_attempt_at: null });
+    } catch (error) {
+      Object.assign(delivery, { last_error: error.message, ...retryAfterFailure(delivery.attempts) });
+      if (delivery.is_test) {
+        Object.assign(delivery, { status: 'failed', next_attempt_at: null });
+      } else if (delivery.status === 'retrying') {
+        setTimeout(() => attemptDelivery(delivery, rule, detection), new Date(delivery.next_attempt_at) - Date.now());
+      }
+    }
+    return delivery;
+  }
+
+  function createDelivery(rule, detection, isTest) {
+    const delivery = {
+      id: nextDeliveryId++,
+      rule_id: rule.id,
+      detection_id: isTest ? null : detection.id,
+      sensor_id: isTest ? null : String(detection.sensor_id),
+      channel: rule.channel,
+      target: rule.target,
+      status: 'pending',
+      attempts: 0,
+      last_error: null,
+      response_status: null,
+      is_test: isTest,
+      next_attempt_at: new Date().toISOString(),
+      sent_at: null,
+      created_at: new Date().toISOString(),
+    };
+    alertDeliveries.push(delivery);
+    return delivery;
+  }
+
+  // Each sensor's newest detection at or before `at` (an ISO string, null =
+  // now), by sensor id
+  function latestDetectionsAt(at, siteId, page, pageSize) {
+    const latest = {};
+    detections.forEach(d => {
+      if (!at || d.created_at <= at) latest[d.sensor_id] = d;
+    });
+    return ok(
+      Object.values(latest)
+        .filter(d => !siteId || d.site_id === siteId)
+        .sort(compareBy('sensor_id', 'asc'))
+        .slice(page * pageSize, (page + 1) * pageSize)
+        .map(d => ({ ...d }))
+    );
+  }
+
+  // Mirrors the queue_alert_deliveries trigger
+  function queueAlerts(detection) {
+    const now = new Date();
+    const lastAlertAt = rule => alertDeliveries
+      .findLast(d => d.rule_id === rule.id && d.sensor_id === String(detection.sensor_id) && !d.is_test)
+      ?.created_at;
+    alertRules
+      .filter(rule => matchesRule(rule, detection) && !inCooldown(rule, lastAlertAt(rule), now))
+      .forEach(rule => attemptDelivery(createDelivery(rule, detection, false), rule, detection));
+  }
+
+  function generateReading(sensor, createdAt) {
+    if (!leaking[sensor.id] && Math.random() < LEAK_START_CHANCE) {
+      leaking[sensor.id] = randomInt(...LEAK_DURATION_READINGS);
+    }
+    const isLeak = leaking[sensor.id] > 0;
+    if (isLeak) leaking[sensor.id] -= 1;
+
+    const detection = {
+      id: nextDetectionId++,
+      created_at: createdAt.toISOString(),
+      sensor_id: sensor.id,
+      site_id: sensor.site_id,
+      is_leak: isLeak,
+      confidence: isLeak ? randomInt(70, 99) : randomInt(85, 99),
+      estimated_leak_size: isLeak ? pick(LEAK_SIZES) : null,
+      estimated_location: isLeak ? `~${randomInt(2, 40)}m ${pick(['upstream', 'downstream'])} of ${sensor.name}` : null,
+    };
+    detections.push(detection);
+    recordIncident(detection);
+    queueAlerts(detection);
+
+    // Batteries drain slowly; keep the history like the battery_readings trigger does
+    sensor.battery = Math.max(0, +(sensor.battery - randomBetween(0, 0.05)).toFixed(2));
+    batteryReadings.push({ sensor_id: sensor.id, battery: sensor.battery, recorded_at: detection.created_at });
+    return detection;
+  }
+
+  function seed() {
+    DEMO_SITES.forEach(({ id: siteId, sensorCount }) => {
+      const network = pipeNetworks.find(n => n.site_id === siteId);
+      const pipes = network.geojson.features.filter(f => f.geometry.type === 'LineString');
+      for (let n = 0; n < sensorCount; n++) {
+        const i = sensors.length + 1;
+        // Somewhere along a random pipe, a few metres off so snapping has work to do
+        const [[lng1, lat1], [lng2, lat2]] = pick(pipes).geometry.coordinates;
+        const t = randomBetween(0.2, 0.8);
+        sensors.push({
+          id: `S${String(i).padStart(3, '0')}`,
+          name: `Junction ${i}`,
+          site_id: siteId,
+          lat: +(lat1 + t * (lat2 - lat1) + randomBetween(-0.00004, 0.00004)).toFixed(6),
+          lng: +(lng1 + t * (lng2 - lng1) + randomBetween(-0.00004, 0.00004)).toFixed(6),
+          battery: randomInt(15, 100),
+          status: Math.random() < 0.1 ? 'offline' : 'active',
+          decommissioned_at: null,
+        });
+      }
+    });
+
+    const start = Date.now() - SEED_HISTORY_HOURS * 60 * 60 * 1000;
+    for (let t = start; t < Date.now(); t += SEED_INTERVAL_MINUTES * 60 * 1000) {
+      sensors
+        .filter(s => s.status === 'active')
+        .forEach(sensor => generateReading(sensor, new Date(t + randomInt(0, 60) * 1000)));
+    }
+  }
+
+  seed();
+
+  // One reading from a random active sensor on every tick
+  setInterval(() => {
+    const active = sensors.filter(s => s.status === 'active');
+    if (active.length === 0) return;
+    const detection = generateReading(pick(active), new Date());
+    detectionListeners.forEach(listener => listener({ ...detection }));
+  }, intervalMs);
+
+  // --- Data source interface ---
+
+  return {
+    name: 'mock',
+
+    // Always signed in as an admin demo user until signOut()
+    auth: {
+      getSession: async () => session,
+      onAuthStateChange: (callback) => {
+        authListeners.add(callback);
+        return () => authListeners.delete(callback);
+      },
+      signInWithPassword: async (email) => {
+        session = { user: { ...DEMO_USER, email } };
+        authListeners.forEach(listener => listener(session));
+        return { data: { session }, error: null };
+      },
+      sendMagicLink: async () => fail('Magic links are not available with the mock data source'),
+      signOut: async () => {
+        session = null;
+        authListeners.forEach(listener => listener(session));
+        return { error: null };
+      },
+    },
+
+    fetchProfile: (userId) => ok({ id: userId, email: session?.user.email, role: 'admin' }),
+
+    fetchSites: () => ok(
+      [...sites].sort((a, b) => a.name.localeCompare(b.name)).map(s => ({ ...s }))
+    ),
+
+    // Same shape as the site_leak_summary function
+    fetchSiteSummary: (since) => ok(
+      [...sites].sort((a, b) => a.name.localeCompare(b.name)).map(site => ({
+        site_id: site.id,
+        sensor_count: sensors.filter(s => s.site_id === site.id && s.status !== 'decommissioned').length,
+        open_incident_count: incidents.filter(i => i.site_id === site.id && i.status !== 'resolved').length,
+        leak_count: detections.filter(d => d.site_id === site.id && d.is_leak && d.created_at >= since).length,
+      }))
+    ),
+
+    fetchSensorPage: ({ includeDecommissioned, siteId }, page, pageSize) => ok(
+      sensors
+        .filter(s => includeDecommissioned || s.status !== 'decommissioned')
+        .filter(s => !siteId || s.site_id === siteId)
+        .slice(page * pageSize, (page + 1) * pageSize)
+        .map(s => ({ ...s }))
+    ),
+
+    fetchSensor: (sensorId) => {
+      const sensor = sensors.find(s => String(s.id) === String(sensorId));
+      return ok(sensor ? { ...sensor } : null);
+    },
+
+    insertSensor: (sensor) => {
+      if (sensors.some(s => s.id === sensor.id)) return fail(`Sensor ${sensor.id} already exists`);
+      const created = { battery: 100, decommissioned_at: null, ...sensor };
+      sensors.push(created);
+      return ok({ ...created });
+    },
+
+    updateSensor: (sensorId, changes) => {
+      const sensor = sensors.find(s => String(s.id) === String(sensorId));
+      if (!sensor) return fail(`Sensor ${sensorId} not found`);
+      Object.assign(sensor, changes);
+      return ok({ ...sensor });
+    },
+
+    fetchLatestDetectionPage: (siteId, page, pageSize) => latestDetectionsAt(null, siteId, page, pageSize),
+
+    fetchLatestDetectionAtPage: (at, siteId, page, pageSize) => latestDetectionsAt(at, siteId, page, pageSize),
+
+    fetchDetectionPage: (filters, sortConfig, pageSize, { offset = 0, after = null }) => {
+      const compare = compareBy(sortConfig.key, sortConfig.direction);
+      const rows = detections.filter(d => matchesFilters(d, filters)).sort(compare);
+      let start = offset;
+      if (after) {
+        const cursorRow = { [sortConfig.key]: after.value, id: after.id };
+        start = rows.findIndex(d => compare(d, cursorRow) > 0);
+        if (start === -1) start = rows.length;
+      }
+      return ok(rows.slice(start, start + pageSize).map(d => ({ ...d })));
+    },
+
+    countDetections: (filters) => ok(detections.filter(d => matchesFilters(d, filters)).length),
+
+    fetchBatteryHistoryPage: (sensorId, since, page, pageSize) => ok(
+      batteryReadings
+        .filter(r => String(r.sensor_id) === String(sensorId) && r.recorded_at >= since)
+        .slice(page * pageSize, (page + 1) * pageSize)
+        .map(r => ({ ...r }))
+    ),
+
+    fetchAlertRules: () => ok(
+      [...alertRules].sort((a, b) => a.name.localeCompare(b.name)).map(r => ({ ...r }))
+    ),
+
+    insertAlertRule: (rule) => {
+      const now = new Date().toISOString();
+      const created = { id: nextAlertRuleId++, enabled: true, timezone: 'UTC', created_at: now, updated_at: now, ...rule };
+      alertRules.push(created);
+      return ok({ ...created });
+    },
+
+    updateAlertRule: (ruleId, changes) => {
+      const rule = alertRules.find(r => r.id === ruleId);
+      if (!rule) return fail(`Alert rule ${ruleId} not found`);
+      Object.assign(rule, changes);
+      return ok({ ...rule });
+    },
+
+    deleteAlertRule: (ruleId) => {
+      const index = alertRules.findIndex(r => r.id === ruleId);
+      if (index === -1) return fail(`Alert rule ${ruleId} not found`);
+      alertRules.splice(index, 1);
+      return ok(null);
+    },
+
+    fetchAlertDeliveries: (limit) => ok(
+      [...alertDeliveries].reverse().slice(0, limit).map(d => ({ ...d }))
+    ),
+
+    sendTestAlert: async (ruleId) => {
+      const rule = alertRules.find(r => r.id === ruleId);
+      if (!rule) return { data: null, error: new Error(`Alert rule ${ruleId} not found`) };
+      const detection = { ...SAMPLE_DETECTION, created_at: new Date().toISOString() };
+      const delivery = await attemptDelivery(createDelivery(rule, detection, true), rule, detection);
+      return { data: { ...delivery }, error: null };
+    },
+
+    fetchDetectionLabels: (detectionIds) => ok(
+      detectionIds.filter(id => detectionLabels.has(id)).map(id => ({ ...detectionLabels.get(id) }))
+    ),
+
+    upsertDetectionLabel: (label) => {
+      const detection = detections.find(d => d.id === label.detection_id);
+      if (!detection) return fail(`Detection ${label.detection_id} not found`);
+      if (!labelOptionsFor(detection).includes(label.label)) {
+        return fail(`${label.label} does not apply to a ${detection.is_leak ? 'leak' : 'normal'} detection`);
+      }
+      const saved = { ...label, labelled_by: session?.user.id ?? null, labelled_at: new Date().toISOString() };
+      detectionLabels.set(label.detection_id, saved);
+      return ok({ ...saved });
+    },
+
+    deleteDetectionLabel: (detectionId) => {
+      detectionLabels.delete(detectionId);
+      return ok(null);
+    },
+
+    // Same shape as the detection_label_summary function
+    fetchLabelSummary: (since) => {
+      const bySensor = new Map();
+      detections
+        .filter(d => d.created_at >= since)
+        .forEach(d => {
+          const label = detectionLabels.get(d.id)?.label;
+          if (!d.is_leak && !label) return;
+          if (!bySensor.has(d.sensor_id)) {
+            bySensor.set(d.sensor_id, { sensor_id: d.sensor_id, leak_detections: 0, true_positives: 0, false_positives: 0, missed_leaks: 0 });
+          }
+          const row = bySensor.get(d.sensor_id);
+          if (d.is_leak) row.leak_detections += 1;
+          if (label === 'true_positive') row.true_positives += 1;
+          if (label === 'false_positive') row.false_positives += 1;
+          if (label === 'missed_leak') row.missed_leaks += 1;
+        });
+      return ok([...bySensor.values()].sort(compareBy('sensor_id', 'asc')));
+    },
+
+    fetchLabelledDetectionPage: (page, pageSize) => ok(
+      detections
+        .filter(d => detectionLabels.has(d.id))
+        .slice(page * pageSize, (page + 1) * pageSize)
+        .map(d => {
+          const { label, comment, labelled_at } = detectionLabels.get(d.id);
+          return { ...d, label, label_comment: comment, labelled_at, actual_leak: label !== 'false_positive' };
+        })
+    ),
+
+    fetchPipeNetwork: (siteId) => {
+      const network = pipeNetworks.filter(n => !siteId || n.site_id === siteId).at(-1);
+      return ok(network ? { ...network } : null);
+    },
+
+    insertPipeNetwork: (network) => {
+      const created = { id: pipeNetworks.length + 1, imported_at: new Date().toISOString(), ...network };
+      pipeNetworks.push(created);
+      return ok({ ...created });
+    },
+
+    // Same shape as the leak_counts / confidence_histogram functions, but
+    // bucketed in local time rather than the database's
+    fetchLeakCountPage: (since, bucket, page, pageSize) => {
+      const truncate = bucket === 'week' ? d => startOfWeek(d, { weekStartsOn: 1 }) : startOfDay;
+      const rows = detections
+        .filter(d => d.is_leak && d.created_at >= since)
+        .map(d => ({ sensor_id: d.sensor_id, bucket_start: truncate(new Date(d.created_at)).toISOString() }));
+      return ok(
+        countBy(rows, r => `${r.bucket_start}|${r.sensor_id}`, r => r)
+          .map(({ count, ...r }) => ({ ...r, leak_count: count }))
+          .slice(page * pageSize, (page + 1) * pageSize)
+      );
+    },
+
+    fetchConfidenceHistogramPage: (since, binWidth, page, pageSize) => {
+      const rows = detections
+        .filter(d => d.created_at >= since)
+        .map(d => ({ bin_start: Math.min(Math.floor(d.confidence / binWidth) * binWidth, 100 - binWidth), is_leak: d.is_leak }));
+      return ok(
+        countBy(rows, r => `${r.bin_start}|${r.is_leak}`, r => r)
+          .map(({ count, ...r }) => ({ ...r, detection_count: count }))
+          .slice(page * pageSize, (page + 1) * pageSize)
+      );
+    },
+
+    fetchIncidentPage: (status, siteId, page, pageSize) => ok(
+      incidents
+        .filter(i => (status === 'all' ? true : status === 'unresolved' ? i.status !== 'resolved' : i.status === status))
+        .filter(i => !siteId || i.site_id === siteId)
+        .sort(compareBy('last_detected_at', 'desc'))
+        .slice(page * pageSize, (page + 1) * pageSize)
+        .map(i => ({ ...i }))
+    ),
+
+    updateIncident: (incidentId, changes) => {
+      const incident = incidents.find(i => i.id === incidentId);
+      if (!incident) return fail(`Incident ${incidentId} not found`);
+      Object.assign(incident, changes);
+      incidentListeners.forEach(listener => listener({ eventType: 'UPDATE', new: { ...incident } }));
+      return ok({ ...incident });
+    },
+
+    // The simulation never drops; dataAccess still reports offline when the browser is
+    subscribeToDetections: (onInsert, onStatus, siteId) => {
+      const listener = detection => {
+        if (!siteId || detection.site_id === siteId) onInsert(detection);
+      };
+      detectionListeners.add(listener);
+      if (onStatus) setTimeout(() => onStatus('live'));
+      return () => detectionListeners.delete(listener);
+    },
+
+    subscribeToIncidents: (onChange, siteId) => {
+      const listener = payload => {
+        if (!siteId || payload.new.site_id === siteId) onChange(payload);
+      };
+      incidentListeners.add(listener);
+      return () => incidentListeners.delete(listener);
+    },
+  };
+}
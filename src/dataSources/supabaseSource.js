@@ -0,0 +1,313 @@
+import { initSupabase } from '../supabaseClient';
+
+// Data source backed by a live Supabase project (tables, views and triggers
+// from supabase/migrations). See dataAccess.js for the interface.
+
+// Applies the DetectionHistory filter bar (see historyFilters.js) to a detections query
+function applyDetectionFilters(query, filters) {
+  // Set from the site switcher rather than the filter bar
+  if (filters.site) {
+    query = query.eq('site_id', filters.site);
+  }
+  if (filters.result === 'leak') {
+    query = query.eq('is_leak', true);
+  } else if (filters.result === 'normal') {
+    query = query.eq('is_leak', false);
+  }
+
+  if (filters.sensor_id) {
+    query = query.ilike('sensor_id', `%${filters.sensor_id}%`);
+  }
+  if (filters.sensors?.length > 0) {
+    query = query.in('sensor_id', filters.sensors);
+  }
+  if (filters.minConfidence) {
+    query = query.gte('confidence', parseInt(filters.minConfidence));
+  }
+  if (filters.maxConfidence) {
+    query = query.lte('confidence', parseInt(filters.maxConfidence));
+  }
+  // from/to are local datetime-local values, converted to UTC for Postgres
+  if (filters.from) {
+    query = query.gte('created_at', new Date(filters.from).toISOString());
+  }
+  if (filters.to) {
+    query = query.lte('created_at', new Date(filters.to).toISOString());
+  }
+  if (filters.location) {
+    query = query.ilike('estimated_location', `%${filters.location}%`);
+  }
+  return query;
+}
+
+// `id` breaks ties so rows never shift between pages when the sort key repeats.
+// Nulls sort as the largest value (Postgres' default), which the keyset below relies on.
+function applyDetectionSort(query, sortConfig) {
+  const ascending = sortConfig.direction === 'asc';
+  return query
+    .order(sortConfig.key, { ascending })
+    .order('id', { ascending });
+}
+
+// Value for a PostgREST filter inside or(); quoted because timestamps contain ':' and '.'
+const filterValue = (value) => `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+
+// Keyset condition for the rows after `cursor` ({ value, id } of the last row
+// seen) in the order applyDetectionSort() produces
+function applyDetectionCursor(query, sortConfig, cursor) {
+  const key = sortConfig.key;
+  const [beyond, idBeyond] = sortConfig.direction === 'asc' ? ['gt', 'gt'] : ['lt', 'lt'];
+
+  if (cursor.value === null) {
+    // Ascending: only nulls are left; descending: nulls come first, then every value
+    return sortConfig.direction === 'asc'
+      ? query.is(key, null).gt('id', cursor.id)
+      : query.or(`and(${key}.is.null,id.lt.${cursor.id}),${key}.not.is.null`);
+  }
+
+  const value = filterValue(cursor.value);
+  const conditions = [`${key}.${beyond}.${value}`, `and(${key}.eq.${value},id.${idBeyond}.${cursor.id})`];
+  if (sortConfig.direction === 'asc') conditions.push(`${key}.is.null`);
+  return query.or(conditions.join(','));
+}
+
+// Opens a postgres_changes channel and returns a function that closes it.
+// onStatus (optional) gets 'live' once the channel joins and 'offline' when it
+// errors, times out or closes; the client keeps retrying and rejoins on its own.
+// With a siteId only that site's rows are sent.
+function subscribeToTable(supabase, table, event, onChange, onStatus, siteId = null) {
+  const filter = siteId ? `site_id=eq.${siteId}` : undefined;
+  const channel = supabase
+    .channel(filter ? `public:${table}:${filter}` : `public:${table}`)
+    .on('postgres_changes', { event, schema: 'public', table, filter }, onChange)
+    .subscribe(status => {
+      onStatus?.(status === 'SUBSCRIBED' ? 'live' : 'offline');
+    });
+
+  return () => {
+    supabase.removeChannel(channel);
+  };
+}
+
+export function createSupabaseSource(config) {
+  const supabase = initSupabase(config);
+
+  return {
+    name: 'supabase',
+
+    auth: {
+      getSession: async () => (await supabase.auth.getSession()).data.session,
+      onAuthStateChange: (callback) => {
+        const { data: { subscription } } = supabase.auth.onAuthStateChange((_event, session) => callback(session));
+        return () => subscription.unsubscribe();
+      },
+      signInWithPassword: (email, password) => supabase.auth.signInWithPassword({ email, password }),
+      sendMagicLink: (email) => supabase.auth.signInWithOtp({ email, options: { emailRedirectTo: window.location.origin } }),
+      signOut: () => supabase.auth.signOut(),
+    },
+
+    fetchProfile: (userId) => supabase
+      .from('profiles')
+      .select('*')
+      .eq('id', userId)
+      .maybeSingle(),
+
+    fetchSites: () => supabase
+      .from('sites')
+      .select('*')
+      .order('name', { ascending: true }),
+
+    fetchSiteSummary: (since) => supabase.rpc('site_leak_summary', { since }),
+
+    fetchSensorPage: ({ includeDecommissioned, siteId }, page, pageSize) => {
+      let query = supabase
+        .from('sensors')
+        .select('*')
+        .order('id', { ascending: true });
+
+      if (!includeDecommissioned) {
+        query = query.neq('status', 'decommissioned');
+      }
+      if (siteId) {
+        query = query.eq('site_id', siteId);
+      }
+      return query.range(page * pageSize, (page + 1) * pageSize - 1);
+    },
+
+    fetchSensor: (sensorId) => supabase
+      .from('sensors')
+      .select('*')
+      .eq('id', sensorId)
+      .maybeSingle(),
+
+    insertSensor: (sensor) => supabase
+      .from('sensors')
+      .insert(sensor)
+      .select()
+      .single(),
+
+    updateSensor: (sensorId, changes) => supabase
+      .from('sensors')
+      .update(changes)
+      .eq('id', sensorId)
+      .select()
+      .single(),
+
+    // One row per sensor from the `latest_detections` view
+    fetchLatestDetectionPage: (siteId, page, pageSize) => {
+      const query = supabase
+        .from('latest_detections')
+        .select('*')
+        .order('sensor_id', { ascending: true });
+      return (siteId ? query.eq('site_id', siteId) : query).range(page * pageSize, (page + 1) * pageSize - 1);
+    },
+
+    fetchLatestDetectionAtPage: (at, siteId, page, pageSize) => supabase
+      .rpc('latest_detections_at', { as_of: at, site: siteId })
+      .order('sensor_id', { ascending: true })
+      .range(page * pageSize, (page + 1) * pageSize - 1),
+
+    fetchDetectionPage: (filters, sortConfig, pageSize, { offset = 0, after = null }) => {
+      let query = applyDetectionFilters(supabase.from('detections').select('*'), filters);
+      if (after) {
+        query = applyDetectionCursor(query, sortConfig, after).limit(pageSize);
+      } else {
+        query = query.range(offset, offset + pageSize - 1);
+      }
+      return applyDetectionSort(query, sortConfig);
+    },
+
+    // 'exact' counts every matching row; 'estimated' uses the planner's
+    // estimate once the result is larger than PostgREST's max-rows
+    countDetections: async (filters, mode) => {
+      const { count, error } = await applyDetectionFilters(
+        supabase.from('detections').select('id', { count: mode, head: true }),
+        filters
+      );
+      return { data: count, error };
+    },
+
+    fetchBatteryHistoryPage: (sensorId, since, page, pageSize) => supabase
+      .from('battery_readings')
+      .select('*')
+      .eq('sensor_id', sensorId)
+      .gte('recorded_at', since)
+      .order('recorded_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(page * pageSize, (page + 1) * pageSize - 1),
+
+    fetchAlertRules: () => supabase
+      .from('alert_rules')
+      .select('*')
+      .order('name', { ascending: true }),
+
+    insertAlertRule: (rule) => supabase
+      .from('alert_rules')
+      .insert(rule)
+      .select()
+      .single(),
+
+    updateAlertRule: (ruleId, changes) => supabase
+      .from('alert_rules')
+      .update(changes)
+      .eq('id', ruleId)
+      .select()
+      .single(),
+
+    deleteAlertRule: (ruleId) => supabase
+      .from('alert_rules')
+      .delete()
+      .eq('id', ruleId),
+
+    fetchAlertDeliveries: (limit) => supabase
+      .from('alert_deliveries')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit),
+
+    sendTestAlert: (ruleId) => supabase.functions.invoke('dispatch-alerts', { body: { testRuleId: ruleId } }),
+
+    fetchDetectionLabels: (detectionIds) => supabase
+      .from('detection_labels')
+      .select('*')
+      .in('detection_id', detectionIds),
+
+    upsertDetectionLabel: (label) => supabase
+      .from('detection_labels')
+      .upsert(label)
+      .select()
+      .single(),
+
+    deleteDetectionLabel: (detectionId) => supabase
+      .from('detection_labels')
+      .delete()
+      .eq('detection_id', detectionId),
+
+    fetchLabelSummary: (since) => supabase.rpc('detection_label_summary', { since }),
+
+    fetchLabelledDetectionPage: (page, pageSize) => supabase
+      .from('labelled_detections')
+      .select('*')
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(page * pageSize, (page + 1) * pageSize - 1),
+
+    fetchPipeNetwork: (siteId) => {
+      let query = supabase
+        .from('pipe_networks')
+        .select('*');
+      if (siteId) {
+        query = query.eq('site_id', siteId);
+      }
+      return query
+        .order('imported_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+    },
+
+    insertPipeNetwork: (network) => supabase
+      .from('pipe_networks')
+      .insert(network)
+      .select()
+      .single(),
+
+    // Aggregates from the detection_analytics migration
+    // Both functions order their rows, so pages don't overlap
+    fetchLeakCountPage: (since, bucket, page, pageSize) => supabase
+      .rpc('leak_counts', { since, bucket })
+      .range(page * pageSize, (page + 1) * pageSize - 1),
+
+    fetchConfidenceHistogramPage: (since, binWidth, page, pageSize) => supabase
+      .rpc('confidence_histogram', { since, bin_width: binWidth })
+      .range(page * pageSize, (page + 1) * pageSize - 1),
+
+    fetchIncidentPage: (status, siteId, page, pageSize) => {
+      let query = supabase
+        .from('incidents')
+        .select('*')
+        .order('last_detected_at', { ascending: false })
+        .order('id', { ascending: false });
+
+      if (status === 'unresolved') {
+        query = query.neq('status', 'resolved');
+      } else if (status !== 'all') {
+        query = query.eq('status', status);
+      }
+      if (siteId) {
+        query = query.eq('site_id', siteId);
+      }
+      return query.range(page * pageSize, (page + 1) * pageSize - 1);
+    },
+
+    updateIncident: (incidentId, changes) => supabase
+      .from('incidents')
+      .update(changes)
+      .eq('id', incidentId)
+      .select()
+      .single(),
+
+    subscribeToDetections: (onInsert, onStatus, siteId) => subscribeToTable(supabase, 'detections', 'INSERT', payload => onInsert(payload.new), onStatus, siteId),
+
+    subscribeToIncidents: (onChange, siteId) => subscribeToTable(supabase, 'incidents', '*', onChange, undefined, siteId),
+  };
+}
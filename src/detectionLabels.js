@@ -0,0 +1,58 @@
+// Operator feedback on detections (see the detection_labels migration).
+// Leak detections are confirmed or marked as false alarms; a normal reading
+// can be marked as a missed leak.
+
+export const DETECTION_LABELS = ['true_positive', 'false_positive', 'missed_leak'];
+
+export const LABEL_NAMES = {
+  true_positive: 'True positive',
+  false_positive: 'False positive',
+  missed_leak: 'Missed leak',
+};
+
+export const LABEL_STYLES = {
+  true_positive: 'bg-green-100 text-green-800 border-green-200',
+  false_positive: 'bg-orange-100 text-orange-800 border-orange-200',
+  missed_leak: 'bg-purple-100 text-purple-800 border-purple-200',
+};
+
+export function labelOptionsFor(detection) {
+  return detection.is_leak ? ['true_positive', 'false_positive'] : ['missed_leak'];
+}
+
+/**
+ * Adds the rates to a detection_label_summary row. precision and falseAlarmRate
+ * are over labelled leak detections, coverage over all leak detections; each is
+ * null when its denominator is zero.
+ */
+export function withLabelRates(row) {
+  const counts = {
+    leak_detections: Number(row.leak_detections),
+    true_positives: Number(row.true_positives),
+    false_positives: Number(row.false_positives),
+    missed_leaks: Number(row.missed_leaks),
+  };
+  const labelled = counts.true_positives + counts.false_positives;
+  return {
+    ...row,
+    ...counts,
+    labelled,
+    precision: labelled > 0 ? counts.true_positives / labelled : null,
+    falseAlarmRate: labelled > 0 ? counts.false_positives / labelled : null,
+    coverage: counts.leak_detections > 0 ? labelled / counts.leak_detections : null,
+  };
+}
+
+// Sums rows that already went through withLabelRates into one fleet-wide row
+export function totalLabelSummary(rows) {
+  const total = { sensor_id: 'All sensors', leak_detections: 0, true_positives: 0, false_positives: 0, missed_leaks: 0 };
+  rows.forEach(row => {
+    total.leak_detections += row.leak_detections;
+    total.true_positives += row.true_positives;
+    total.false_positives += row.false_positives;
+    total.missed_leaks += row.missed_leaks;
+  });
+  return withLabelRates(total);
+}
+
+export const formatRate = (rate) => (rate === null ? '-' : `${(rate * 100).toFixed(1)}%`);
@@ -0,0 +1,205 @@
+import { format } from 'date-fns';
+import { fetchAllDetections, fetchAllLabelledDetections, fetchSensors } from './dataAccess';
+import { describeFilters } from './historyFilters';
+
+// Export of the DetectionHistory result set. Rows are pulled page by page and
+// turned into file chunks as they arrive, so only one page is held as objects.
+
+const CSV_COLUMNS = ['id', 'created_at', 'sensor_id', 'is_leak', 'confidence', 'estimated_leak_size', 'estimated_location'];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvLines(rows, columns = CSV_COLUMNS) {
+  return rows.map(row => columns.map(col => csvCell(row[col])).join(',')).join('\r\n') + '\r\n';
+}
+
+function toGeoJsonFeature(row, sensorsById) {
+  const sensor = sensorsById[row.sensor_id];
+  return {
+    type: 'Feature',
+    // Detections from sensors without coordinates keep a null geometry
+    geometry: sensor ? { type: 'Point', coordinates: [sensor.lng, sensor.lat] } : null,
+    properties: { ...row, sensor_name: sensor?.name ?? null },
+  };
+}
+
+function downloadFile(parts, filename, mimeType) {
+  const url = URL.createObjectURL(new Blob(parts, { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Some browsers start the download after click() returns
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Per-sensor totals used by the PDF report
+function createSummary() {
+  return { total: 0, from: null, to: null, sensors: {} };
+}
+
+function addToSummary(summary, rows) {
+  rows.forEach(row => {
+    summary.total += 1;
+    if (!summary.from || row.created_at < summary.from) summary.from = row.created_at;
+    if (!summary.to || row.created_at > summary.to) summary.to = row.created_at;
+
+    const entry = summary.sensors[row.sensor_id] || (summary.sensors[row.sensor_id] = {
+      sensorId: row.sensor_id, count: 0, leaks: 0, confidenceSum: 0, maxConfidence: 0, last: null,
+    });
+    entry.count += 1;
+    if (row.is_leak) entry.leaks += 1;
+    entry.confidenceSum += row.confidence ?? 0;
+    entry.maxConfidence = Math.max(entry.maxConfidence, row.confidence ?? 0);
+    if (!entry.last || row.created_at > entry.last) entry.last = row.created_at;
+  });
+}
+
+const formatDate = (value) => (value ? format(new Date(value), 'yyyy-MM-dd HH:mm') : '-');
+
+async function buildPdfReport(summary, filters) {
+  // jsPDF is large, load it only when someone asks for a report
+  const [{ jsPDF }, { autoTable }] = await Promise.all([import('jspdf'), import('jspdf-autotable')]);
+
+  const doc = new jsPDF();
+  doc.setFontSize(16);
+  doc.text('Water Leak Detection Report', 14, 18);
+  doc.setFontSize(10);
+  doc.text(`Generated: ${formatDate(new Date())}`, 14, 26);
+  doc.text(`Date range: ${formatDate(summary.from)} to ${formatDate(summary.to)}`, 14, 32);
+  // Long filter descriptions wrap onto several lines
+  const filterLines = doc.splitTextToSize(`Filters: ${describeFilters(filters)}`, 180);
+  doc.text(filterLines, 14, 38);
+  const totalsY = 38 + filterLines.length * 5 + 1;
+  doc.text(`Total detections: ${summary.total}`, 14, totalsY);
+
+  const sensorRows = Object.values(summary.sensors)
+    .sort((a, b) => b.count - a.count)
+    .map(s => [
+      s.sensorId,
+      s.count,
+      s.leaks,
+      `${(s.confidenceSum / s.count).toFixed(1)}%`,
+      `${s.maxConfidence}%`,
+      formatDate(s.last),
+    ]);
+
+  autoTable(doc, {
+    startY: totalsY + 6,
+    head: [['Sensor', 'Detections', 'Leaks', 'Avg. Conf.', 'Max Conf.', 'Last Detection']],
+    body: sensorRows,
+    headStyles: { fillColor: [37, 99, 235] },
+  });
+
+  return doc.output('blob');
+}
+
+/**
+ * Exports every detection matching `filters`/`sortConfig` as 'csv', 'geojson'
+ * or 'pdf' and triggers a browser download. `onProgress` gets the row count so far.
+ */
+export async function exportDetections(exportFormat, filters, sortConfig, onProgress = () => {}) {
+  const stamp = format(new Date(), 'yyyyMMdd-HHmm');
+  let rowCount = 0;
+
+  if (exportFormat === 'csv') {
+    const parts = [CSV_COLUMNS.join(',') + '\r\n'];
+    for await (const rows of fetchAllDetections(filters, sortConfig)) {
+      parts.push(toCsvLines(rows));
+      rowCount += rows.length;
+      onProgress(rowCount);
+    }
+    downloadFile(parts, `detections-${stamp}.csv`, 'text/csv;charset=utf-8');
+  } else if (exportFormat === 'geojson') {
+    const { data: sensors, error } = await fetchSensors({ includeDecommissioned: true });
+    if (error) throw error;
+    const sensorsById = Object.fromEntries(sensors.map(s => [s.id, s]));
+
+    const parts = ['{"type":"FeatureCollection","features":['];
+    for await (const rows of fetchAllDetections(filters, sortConfig)) {
+      const features = rows.map(row => JSON.stringify(toGeoJsonFeature(row, sensorsById))).join(',');
+      parts.push((rowCount > 0 ? ',' : '') + features);
+      rowCount += rows.length;
+      onProgress(rowCount);
+    }
+    parts.push(']}');
+    downloadFile(parts, `detections-${stamp}.geojson`, 'application/geo+json');
+  } else if (exportFormat === 'pdf') {
+    const summary = createSummary();
+    for await (const rows of fetchAllDetections(filters, sortConfig)) {
+      addToSummary(summary, rows);
+      rowCount += rows.length;
+      onProgress(rowCount);
+    }
+    downloadFile([await buildPdfReport(summary, filters)], `leak-report-${stamp}.pdf`, 'application/pdf');
+  } else {
+    throw new Error(`Unknown export format: ${exportFormat}`);
+  }
+
+  return rowCount;
+}
+
+// One record per labelled detection for the model training pipeline.
+// predicted_leak is what the edge model said, actual_leak the operator's verdict.
+const DATASET_COLUMNS = [
+  'detection_id', 'created_at', 'sensor_id', 'sensor_lat', 'sensor_lng', 'predicted_leak', 'confidence',
+  'estimated_leak_size', 'estimated_location', 'label', 'actual_leak', 'label_comment', 'labelled_at',
+];
+
+function toDatasetRecord(row, sensorsById) {
+  const sensor = sensorsById[row.sensor_id];
+  return {
+    detection_id: row.id,
+    created_at: row.created_at,
+    sensor_id: row.sensor_id,
+    sensor_lat: sensor?.lat ?? null,
+    sensor_lng: sensor?.lng ?? null,
+    predicted_leak: row.is_leak,
+    confidence: row.confidence,
+    estimated_leak_size: row.estimated_leak_size,
+    estimated_location: row.estimated_location,
+    label: row.label,
+    actual_leak: row.actual_leak,
+    label_comment: row.label_comment,
+    labelled_at: row.labelled_at,
+  };
+}
+
+/**
+ * Exports every labelled detection as 'jsonl' (one JSON object per line) or
+ * 'csv', oldest first, and triggers a browser download. Both use DATASET_COLUMNS.
+ */
+export async function exportLabelledDataset(exportFormat, onProgress = () => {}) {
+  if (exportFormat !== 'jsonl' && exportFormat !== 'csv') {
+    throw new Error(`Unknown dataset format: ${exportFormat}`);
+  }
+
+  const { data: sensors, error } = await fetchSensors({ includeDecommissioned: true });
+  if (error) throw error;
+  const sensorsById = Object.fromEntries(sensors.map(s => [s.id, s]));
+
+  const stamp = format(new Date(), 'yyyyMMdd-HHmm');
+  const parts = exportFormat === 'csv' ? [DATASET_COLUMNS.join(',') + '\r\n'] : [];
+  let rowCount = 0;
+  for await (const rows of fetchAllLabelledDetections()) {
+    const records = rows.map(row => toDatasetRecord(row, sensorsById));
+    parts.push(exportFormat === 'csv'
+      ? toCsvLines(records, DATASET_COLUMNS)
+      : records.map(record => JSON.stringify(record)).join('\n') + '\n');
+    rowCount += rows.length;
+    onProgress(rowCount);
+  }
+
+  if (exportFormat === 'csv') {
+    downloadFile(parts, `labelled-detections-${stamp}.csv`, 'text/csv;charset=utf-8');
+  } else {
+    downloadFile(parts, `labelled-detections-${stamp}.jsonl`, 'application/x-ndjson');
+  }
+  return rowCount;
+}
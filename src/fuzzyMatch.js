@@ -0,0 +1,61 @@
+// Fuzzy matching for the command palette. A query term matches a field when
+// its characters appear in order (so "s12" finds "S012"); substring matches,
+// consecutive characters and matches at word starts score higher.
+
+const WORD_BREAK = /[\s\-_.,:/()]/;
+
+/**
+ * Score of `term` against `text`, higher is better, or null when the
+ * characters of `term` don't all appear in order.
+ */
+export function fuzzyScore(term, text) {
+  const needle = term.toLowerCase();
+  const haystack = text.toLowerCase();
+  if (!needle) return 0;
+
+  const at = haystack.indexOf(needle);
+  if (at !== -1) {
+    const wordStart = at === 0 || WORD_BREAK.test(haystack[at - 1]);
+    return 100 + (needle.length === haystack.length ? 50 : 0) + (wordStart ? 25 : 0) - at;
+  }
+
+  let score = 0;
+  let from = 0;
+  let previous = -2;
+  for (const char of needle) {
+    const found = haystack.indexOf(char, from);
+    if (found === -1) return null;
+    score += found === previous + 1 ? 5 : 1;
+    if (found === 0 || WORD_BREAK.test(haystack[found - 1])) score += 3;
+    previous = found;
+    from = found + 1;
+  }
+  return score;
+}
+
+/**
+ * Every whitespace-separated term of `query` has to match at least one of
+ * `fields`; the score adds up each term's best field. Null when a term matches
+ * nothing. Empty or missing fields are skipped.
+ */
+export function matchFields(query, fields) {
+  const terms = query.trim().split(/\s+/).filter(Boolean);
+  const texts = fields.filter(f => f !== null && f !== undefined && f !== '').map(String);
+  let total = 0;
+  for (const term of terms) {
+    const scores = texts.map(text => fuzzyScore(term, text)).filter(score => score !== null);
+    if (scores.length === 0) return null;
+    total += Math.max(...scores);
+  }
+  return total;
+}
+
+// The `limit` best matches of `query` among `items`, best first
+export function fuzzyFilter(items, query, fieldsOf, limit = Infinity) {
+  return items
+    .map(item => ({ item, score: matchFields(query, fieldsOf(item)) }))
+    .filter(result => result.score !== null)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(result => result.item);
+}
@@ -0,0 +1,136 @@
+import { format, subHours } from 'date-fns';
+
+// DetectionHistory filters, sort and page live in the URL query string so a
+// filtered view can be bookmarked and shared. Empty values are left out.
+// Pages reached with Next/Prev also carry the keyset cursor they were fetched
+// from (see fetchDetectionPage), so reloading one doesn't fall back to an offset scan.
+
+export const DEFAULT_FILTERS = {
+  sensor_id: '',
+  sensors: [],
+  result: 'leak', // 'leak' | 'normal' | 'all'
+  minConfidence: '',
+  maxConfidence: '',
+  from: '', // datetime-local value (local time, 'yyyy-MM-ddTHH:mm')
+  to: '',
+  location: '',
+};
+
+export const DEFAULT_SORT = { key: 'created_at', direction: 'desc' };
+
+export const RESULT_OPTIONS = [
+  { value: 'leak', label: 'Leak' },
+  { value: 'normal', label: 'Normal' },
+  { value: 'all', label: 'All' },
+];
+
+const SORT_KEYS = ['created_at', 'sensor_id', 'confidence', 'estimated_leak_size', 'estimated_location'];
+
+export function filtersFromParams(params) {
+  const result = params.get('result');
+  return {
+    sensor_id: params.get('sensor_id') || '',
+    sensors: params.get('sensors') ? params.get('sensors').split(',') : [],
+    result: RESULT_OPTIONS.some(o => o.value === result) ? result : DEFAULT_FILTERS.result,
+    minConfidence: params.get('minConfidence') || '',
+    maxConfidence: params.get('maxConfidence') || '',
+    from: params.get('from') || '',
+    to: params.get('to') || '',
+    location: params.get('location') || '',
+  };
+}
+
+// `sort=confidence.asc`
+export function sortFromParams(params) {
+  const [key, direction] = (params.get('sort') || '').split('.');
+  if (!SORT_KEYS.includes(key)) return DEFAULT_SORT;
+  return { key, direction: direction === 'asc' ? 'asc' : 'desc' };
+}
+
+// 0-indexed page from the 1-indexed `page` param
+export function pageFromParams(params) {
+  const page = parseInt(params.get('page'), 10);
+  return Number.isNaN(page) || page < 1 ? 0 : page - 1;
+}
+
+function cursorFromParam(value) {
+  try {
+    const [id, cursorValue] = JSON.parse(value);
+    return Number.isFinite(id) ? { id, value: cursorValue ?? null } : null;
+  } catch {
+    return null;
+  }
+}
+
+// { after }, { before } or { last: true } from the URL, null when the page is
+// addressed by number only
+export function positionFromParams(params) {
+  if (params.get('last') === '1') return { last: true };
+  const after = params.get('after') && cursorFromParam(params.get('after'));
+  if (after) return { after };
+  const before = params.get('before') && cursorFromParam(params.get('before'));
+  if (before) return { before };
+  return null;
+}
+
+export function toSearchParams(filters, sortConfig, page, position = null) {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (Array.isArray(value)) {
+      if (value.length > 0) params.set(key, value.join(','));
+    } else if (value !== '' && value !== DEFAULT_FILTERS[key]) {
+      params.set(key, value);
+    }
+  });
+  if (sortConfig.key !== DEFAULT_SORT.key || sortConfig.direction !== DEFAULT_SORT.direction) {
+    params.set('sort', `${sortConfig.key}.${sortConfig.direction}`);
+  }
+  if (page > 0) params.set('page', String(page + 1));
+  if (position?.last) {
+    params.set('last', '1');
+  } else if (position?.after || position?.before) {
+    const name = position.after ? 'after' : 'before';
+    const cursor = position[name];
+    params.set(name, JSON.stringify([cursor.id, cursor.value]));
+  }
+  return params;
+}
+
+// datetime-local value for "now minus N hours", used by the range presets
+export function hoursAgoInputValue(hours) {
+  return format(subHours(new Date(), hours), "yyyy-MM-dd'T'HH:mm");
+}
+
+// Human-readable summary, used in report headers
+export function describeFilters(filters) {
+  const parts = [`result: ${filters.result}`];
+  if (filters.site) parts.push(`site: ${filters.site}`);
+  if (filters.sensor_id) parts.push(`sensor ID contains "${filters.sensor_id}"`);
+  if (filters.sensors.length > 0) parts.push(`sensors: ${filters.sensors.join(', ')}`);
+  if (filters.minConfidence) parts.push(`confidence >= ${filters.minConfidence}%`);
+  if (filters.maxConfidence) parts.push(`confidence <= ${filters.maxConfidence}%`);
+  if (filters.from) parts.push(`from ${filters.from.replace('T', ' ')}`);
+  if (filters.to) parts.push(`to ${filters.to.replace('T', ' ')}`);
+  if (filters.location) parts.push(`location contains "${filters.location}"`);
+  return parts.join(', ');
+}
+
+// 'pages' or 'scroll' (infinite scroll), remembered per browser rather than
+// in the URL since it is a reading preference, not part of the view
+const VIEW_STORAGE_KEY = 'leak-dashboard:history-view';
+
+export function loadHistoryView() {
+  try {
+    return localStorage.getItem(VIEW_STORAGE_KEY) === 'scroll' ? 'scroll' : 'pages';
+  } catch {
+    return 'pages';
+  }
+}
+
+export function saveHistoryView(view) {
+  try {
+    localStorage.setItem(VIEW_STORAGE_KEY, view);
+  } catch (error) {
+    console.error("Error saving history view:", error);
+  }
+}
@@ -0,0 +1,37 @@
+// Incident lifecycle: open -> acknowledged -> dispatched -> resolved.
+// An incident can be resolved from any unresolved state (e.g. a false alarm).
+
+export const INCIDENT_STATUSES = ['open', 'acknowledged', 'dispatched', 'resolved'];
+
+export const INCIDENT_STATUS_STYLES = {
+  open: 'bg-red-100 text-red-800 border-red-200',
+  acknowledged: 'bg-yellow-100 text-yellow-800 border-yellow-200',
+  dispatched: 'bg-blue-100 text-blue-800 border-blue-200',
+  resolved: 'bg-green-100 text-green-800 border-green-200',
+};
+
+// Actions offered for each status, in the order the buttons are shown
+const ACTIONS = {
+  open: ['acknowledged', 'dispatched', 'resolved'],
+  acknowledged: ['dispatched', 'resolved'],
+  dispatched: ['resolved'],
+  resolved: [],
+};
+
+export const ACTION_LABELS = {
+  acknowledged: 'Acknowledge',
+  dispatched: 'Dispatch',
+  resolved: 'Resolve',
+};
+
+export function availableActions(status) {
+  return ACTIONS[status] || [];
+}
+
+export function canTransition(from, to) {
+  return availableActions(from).includes(to);
+}
+
+export function isUnresolved(incident) {
+  return incident.status !== 'resolved';
+}
@@ -0,0 +1,6 @@
+import L from 'leaflet';
+
+// Old-style Leaflet plugins (leaflet.heat) extend a global `L`. Import this
+// module before such a plugin so the plugin patches the same Leaflet instance
+// react-leaflet uses.
+window.L = L;
@@ -1,10 +1,35 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
-import App from './App.jsx'
+import { loadConfig, ConfigError } from './config'
+import { initDataSource } from './dataAccess'
+import ConfigErrorScreen from './ConfigErrorScreen.jsx'
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
-)
+const root = createRoot(document.getElementById('root'))
+
+// Offline support (public/sw.js). Skipped in dev so Vite's HMR isn't served from cache.
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch((error) => {
+      console.error('Error registering service worker:', error)
+    })
+  })
+}
+
+// The data source and map defaults depend on the config, so load it before rendering
+loadConfig()
+  .then(async (config) => {
+    await initDataSource(config)
+    document.title = config.siteName
+    const { default: App } = await import('./App.jsx')
+    root.render(
+      <StrictMode>
+        <App />
+      </StrictMode>,
+    )
+  })
+  .catch((error) => {
+    console.error(error)
+    const errors = error instanceof ConfigError ? error.errors : [error.message]
+    root.render(<ConfigErrorScreen errors={errors} />)
+  })
@@ -0,0 +1,92 @@
+import L from 'leaflet';
+import { LOW_BATTERY_PERCENT } from './sensorHealth';
+
+// Marker colours shared by the map markers and the legend
+export const MARKER_COLORS = {
+  leak: '#dc2626',
+  normal: '#2563eb',
+  lowBattery: '#f97316',
+  stale: '#eab308',
+  offline: '#6b7280',
+};
+
+// Pipe network overlay (PipeNetworkLayer) and suspected leak sections
+export const PIPE_COLORS = {
+  pipe: '#475569',
+  valve: '#0f172a',
+  suspected: '#dc2626',
+};
+
+const BASE_RADIUS = 8;
+const MAX_LEAK_RADIUS = 22;
+
+// estimated_leak_size comes from the edge model either as a number
+// or as a coarse label, so map both onto a 0..1 scale
+const LEAK_SIZE_LABELS = { small: 0.33, medium: 0.66, large: 1 };
+
+function leakSizeScale(size) {
+  if (size === null || size === undefined || size === '') return 0.33;
+
+  const numeric = parseFloat(size);
+  if (!Number.isNaN(numeric)) {
+    // Numeric sizes are treated as a percentage-like value and clamped
+    return Math.min(Math.max(numeric / 100, 0), 1);
+  }
+
+  return LEAK_SIZE_LABELS[String(size).toLowerCase()] ?? 0.33;
+}
+
+/**
+ * Works out radius, colour and opacity for a sensor marker.
+ * The latest detection wins over the static sensor status: a sensor whose
+ * latest reading is a leak is always drawn red, sized by the estimated leak
+ * size and shaded by the model confidence. Otherwise liveness (see
+ * sensorHealth.js) decides between offline, stale and the battery colours.
+ */
+export function getMarkerStyle(sensor, latestLog, liveness) {
+  if (latestLog?.is_leak) {
+    const confidence = Math.min(Math.max(latestLog.confidence ?? 0, 0), 100);
+    return {
+      isLeak: true,
+      radius: BASE_RADIUS + (MAX_LEAK_RADIUS - BASE_RADIUS) * leakSizeScale(latestLog.estimated_leak_size),
+      pathOptions: {
+        color: MARKER_COLORS.leak,
+        fillColor: MARKER_COLORS.leak,
+        fillOpacity: 0.3 + 0.6 * (confidence / 100),
+        weight: 3,
+        className: 'leak-marker',
+      },
+    };
+  }
+
+  let color = MARKER_COLORS.normal;
+  if (sensor.status === 'offline' || liveness === 'offline' || liveness === 'never') {
+    color = MARKER_COLORS.offline;
+  } else if (liveness === 'stale') {
+    color = MARKER_COLORS.stale;
+  } else if (sensor.battery < LOW_BATTERY_PERCENT) {
+    color = MARKER_COLORS.lowBattery;
+  }
+
+  return {
+    isLeak: false,
+    radius: BASE_RADIUS,
+    pathOptions: { color, fillColor: color, fillOpacity: 0.6, weight: 2 },
+  };
+}
+
+/**
+ * Cluster icon for leaflet.markercluster. Clusters that hide at least one
+ * leaking sensor are drawn red so a leak is never lost when zoomed out.
+ */
+export function createClusterIcon(cluster) {
+  const children = cluster.getAllChildMarkers();
+  const leakCount = children.filter(m => m.options.className === 'leak-marker').length;
+  const color = leakCount > 0 ? MARKER_COLORS.leak : MARKER_COLORS.normal;
+
+  return L.divIcon({
+    html: `<div class="sensor-cluster" style="background:${color}">${children.length}</div>`,
+    className: leakCount > 0 ? 'sensor-cluster-icon leak-pulse' : 'sensor-cluster-icon',
+    iconSize: L.point(40, 40),
+  });
+}
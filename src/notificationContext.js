@@ -0,0 +1,11 @@
+import { createContext, useContext } from 'react';
+
+export const NotificationContext = createContext(null);
+
+export function useNotifications() {
+  const context = useContext(NotificationContext);
+  if (!context) {
+    throw new Error('useNotifications must be used inside <NotificationProvider>');
+  }
+  return context;
+}
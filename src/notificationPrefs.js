@@ -0,0 +1,35 @@
+// Leak alert preferences, kept in localStorage per browser.
+
+const STORAGE_KEY = 'leak-dashboard:notification-prefs';
+
+export const DEFAULT_PREFS = {
+  minConfidence: 0,
+  mutedSensors: [],
+  sound: true,
+  browserNotifications: false,
+};
+
+export function loadPrefs() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return { ...DEFAULT_PREFS, ...stored };
+  } catch {
+    // Corrupt or unavailable storage: fall back to defaults
+    return { ...DEFAULT_PREFS };
+  }
+}
+
+export function savePrefs(prefs) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(prefs));
+  } catch (error) {
+    console.error("Error saving notification preferences:", error);
+  }
+}
+
+// Only leaks from unmuted sensors at or above the threshold raise an alert
+export function shouldNotify(detection, prefs) {
+  if (!detection?.is_leak) return false;
+  if (prefs.mutedSensors.includes(String(detection.sensor_id))) return false;
+  return (detection.confidence ?? 0) >= prefs.minConfidence;
+}
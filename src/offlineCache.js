@@ -0,0 +1,30 @@
+// Last known sensors and latest readings, kept in localStorage so the
+// dashboard still has something to show when it starts without a network.
+// Only the most recently viewed site is kept.
+
+const STORAGE_KEY = 'leak-dashboard:snapshot';
+
+export function saveSnapshot(sensors, latestDetections, siteId = null) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      savedAt: new Date().toISOString(),
+      siteId,
+      sensors,
+      latestDetections,
+    }));
+  } catch (error) {
+    console.error("Error saving offline snapshot:", error);
+  }
+}
+
+// { savedAt, siteId, sensors, latestDetections }, or null when nothing usable
+// is stored for this site (null = all sites)
+export function loadSnapshot(siteId = null) {
+  try {
+    const snapshot = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if ((snapshot?.siteId ?? null) !== siteId) return null;
+    return Array.isArray(snapshot?.sensors) && Array.isArray(snapshot?.latestDetections) ? snapshot : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,215 @@
+// Pipe network geometry: GeoJSON validation, snapping sensors to their pipe,
+// and turning a leak's estimated distance into a suspected pipe section.
+//
+// The network is a FeatureCollection of LineString / MultiLineString pipes
+// (properties: id, diameter_mm, material) and Point valves (properties: id,
+// valve_type, e.g. 'isolation'). Coordinate order along a pipe is taken as
+// the flow direction, so "upstream" means towards the pipe's first vertex.
+//
+// Distances use a local flat-earth approximation, which is accurate to well
+// under a metre across a single site.
+
+export const SNAP_TOLERANCE_M = 50; // sensors further than this from any pipe stay where they are
+const LEAK_MARGIN_M = 10; // highlighted either side of the estimated leak point
+
+const M_PER_DEG_LAT = 111320;
+
+function toXY([lat, lng], refLat) {
+  return [lng * M_PER_DEG_LAT * Math.cos((refLat * Math.PI) / 180), lat * M_PER_DEG_LAT];
+}
+
+export function distanceMeters(a, b) {
+  const [ax, ay] = toXY(a, a[0]);
+  const [bx, by] = toXY(b, a[0]);
+  return Math.hypot(ax - bx, ay - by);
+}
+
+const isPosition = (p) => Array.isArray(p) && p.length >= 2 && p.every(Number.isFinite);
+
+/**
+ * Returns a list of human-readable problems; empty when the GeoJSON can be
+ * used as a pipe network.
+ */
+export function validatePipeNetwork(geojson) {
+  if (geojson?.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+    return ['Expected a GeoJSON FeatureCollection'];
+  }
+
+  const errors = [];
+  let pipeCount = 0;
+  geojson.features.forEach((feature, i) => {
+    const { type, coordinates } = feature?.geometry || {};
+    const label = `Feature ${feature?.properties?.id ?? i + 1}`;
+    if (type === 'LineString') {
+      pipeCount += 1;
+      if (!Array.isArray(coordinates) || coordinates.length < 2 || !coordinates.every(isPosition)) {
+        errors.push(`${label}: a pipe needs at least two [lng, lat] positions`);
+      }
+    } else if (type === 'MultiLineString') {
+      pipeCount += 1;
+      if (!Array.isArray(coordinates) || !coordinates.every(line => Array.isArray(line) && line.length >= 2 && line.every(isPosition))) {
+        errors.push(`${label}: every part of a pipe needs at least two [lng, lat] positions`);
+      }
+    } else if (type === 'Point') {
+      if (!isPosition(coordinates)) errors.push(`${label}: a valve needs a [lng, lat] position`);
+    } else {
+      errors.push(`${label}: unsupported geometry ${type || '(none)'}; use LineString, MultiLineString or Point`);
+    }
+  });
+  if (errors.length === 0 && pipeCount === 0) errors.push('The network has no pipes (LineString features)');
+  return errors;
+}
+
+function featureId(feature, fallback) {
+  return String(feature.id ?? feature.properties?.id ?? fallback);
+}
+
+/**
+ * Flattens a validated network into { pipes, valves }. Each pipe has `coords`
+ * as [lat, lng] (Leaflet order) and `cumulative`, the distance in metres from
+ * its first vertex to each vertex. MultiLineStrings become one pipe per part.
+ */
+export function indexNetwork(geojson) {
+  const pipes = [];
+  const valves = [];
+
+  geojson.features.forEach((feature, i) => {
+    const { type, coordinates } = feature.geometry;
+    const properties = feature.properties || {};
+    if (type === 'Point') {
+      valves.push({ id: featureId(feature, `valve-${i + 1}`), properties, latlng: [coordinates[1], coordinates[0]] });
+      return;
+    }
+
+    const parts = type === 'LineString' ? [coordinates] : coordinates;
+    parts.forEach((part, p) => {
+      const coords = part.map(([lng, lat]) => [lat, lng]);
+      const cumulative = [0];
+      for (let k = 1; k < coords.length; k++) {
+        cumulative.push(cumulative[k - 1] + distanceMeters(coords[k - 1], coords[k]));
+      }
+      const id = featureId(feature, `pipe-${i + 1}`);
+      pipes.push({ id: parts.length > 1 ? `${id}-${p + 1}` : id, properties, coords, cumulative });
+    });
+  });
+
+  return { pipes, valves };
+}
+
+// "P-12 (150 mm PVC)"
+export function describePipe(pipe) {
+  const { diameter_mm: diameter, material } = pipe.properties;
+  const details = [diameter ? `${diameter} mm` : null, material].filter(Boolean).join(' ');
+  return details ? `${pipe.id} (${details})` : pipe.id;
+}
+
+/**
+ * Closest point on any pipe to `latlng`. Returns { pipe, point, along, offset }
+ * (`along` = metres from the pipe's start, `offset` = metres from latlng),
+ * or null when nothing is within `tolerance` metres.
+ */
+export function snapToNetwork(latlng, pipes, tolerance = SNAP_TOLERANCE_M) {
+  const refLat = latlng[0];
+  const [px, py] = toXY(latlng, refLat);
+  let best = null;
+
+  pipes.forEach(pipe => {
+    for (let k = 1; k < pipe.coords.length; k++) {
+      const [ax, ay] = toXY(pipe.coords[k - 1], refLat);
+      const [bx, by] = toXY(pipe.coords[k], refLat);
+      const lengthSq = (bx - ax) ** 2 + (by - ay) ** 2;
+      const t = lengthSq === 0 ? 0 : Math.min(Math.max(((px - ax) * (bx - ax) + (py - ay) * (by - ay)) / lengthSq, 0), 1);
+      const offset = Math.hypot(ax + t * (bx - ax) - px, ay + t * (by - ay) - py);
+
+      if (!best || offset < best.offset) {
+        const [aLat, aLng] = pipe.coords[k - 1];
+        const [bLat, bLng] = pipe.coords[k];
+        best = {
+          pipe,
+          point: [aLat + t * (bLat - aLat), aLng + t * (bLng - aLng)],
+          along: pipe.cumulative[k - 1] + t * (pipe.cumulative[k] - pipe.cumulative[k - 1]),
+          offset,
+        };
+      }
+    }
+  });
+
+  return best && best.offset <= tolerance ? best : null;
+}
+
+function pointAlong(pipe, meters) {
+  const { coords, cumulative } = pipe;
+  const target = Math.min(Math.max(meters, 0), cumulative[cumulative.length - 1]);
+  for (let k = 1; k < coords.length; k++) {
+    if (target <= cumulative[k]) {
+      const span = cumulative[k] - cumulative[k - 1];
+      const t = span === 0 ? 0 : (target - cumulative[k - 1]) / span;
+      return [coords[k - 1][0] + t * (coords[k][0] - coords[k - 1][0]), coords[k - 1][1] + t * (coords[k][1] - coords[k - 1][1])];
+    }
+  }
+  return coords[coords.length - 1];
+}
+
+// Polyline for the part of the pipe between two distances from its start
+function sliceAlong(pipe, from, to) {
+  const line = [pointAlong(pipe, from)];
+  pipe.coords.forEach((coord, k) => {
+    if (pipe.cumulative[k] > from && pipe.cumulative[k] < to) line.push(coord);
+  });
+  line.push(pointAlong(pipe, to));
+  return line;
+}
+
+/**
+ * Leak position relative to the sensor along the pipe, as a { min, max }
+ * range in metres (negative = upstream). Uses a numeric
+ * `distance_along_pipe_m` on the detection when present, otherwise parses
+ * `estimated_location` text such as "~12m downstream of Junction 3"; a
+ * distance without a direction covers both sides. Null when neither says.
+ */
+export function parseLeakOffset(detection) {
+  const numeric = Number(detection.distance_along_pipe_m);
+  if (detection.distance_along_pipe_m !== null && detection.distance_along_pipe_m !== undefined && Number.isFinite(numeric)) {
+    return { min: numeric, max: numeric };
+  }
+
+  const match = /(\d+(?:\.\d+)?)\s*m\b(?:.*?\b(upstream|downstream)\b)?/i.exec(detection.estimated_location || '');
+  if (!match) return null;
+
+  const distance = Number(match[1]);
+  const direction = match[2]?.toLowerCase();
+  if (direction === 'upstream') return { min: -distance, max: -distance };
+  if (direction === 'downstream') return { min: distance, max: distance };
+  return { min: -distance, max: distance };
+}
+
+/**
+ * Suspected leak section for a leaking sensor snapped to the network:
+ * { line: [[lat, lng]...], point, exact }. Without a usable distance the whole
+ * pipe is returned with exact = false. The section is clipped to the sensor's
+ * own pipe; it doesn't follow into connected pipes.
+ */
+export function locateLeak(snap, detection) {
+  const offset = parseLeakOffset(detection);
+  if (!offset) {
+    return { line: snap.pipe.coords, point: snap.point, exact: false };
+  }
+  return {
+    line: sliceAlong(snap.pipe, snap.along + offset.min - LEAK_MARGIN_M, snap.along + offset.max + LEAK_MARGIN_M),
+    point: pointAlong(snap.pipe, snap.along + (offset.min + offset.max) / 2),
+    exact: true,
+  };
+}
+
+/**
+ * The `count` valves closest to `latlng` as [{ valve, distance }]. When the
+ * network tags valve types, only isolation valves are considered.
+ */
+export function nearestValves(latlng, valves, count = 2) {
+  const isolation = valves.filter(v => /isolat/i.test(v.properties.valve_type || ''));
+  const candidates = isolation.length > 0 ? isolation : valves;
+  return candidates
+    .map(valve => ({ valve, distance: distanceMeters(latlng, valve.latlng) }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, count);
+}
@@ -0,0 +1,16 @@
+// Roles come from public.profiles.role (see supabase/migrations). The UI uses
+// these to hide actions; row level security enforces the same rules server-side.
+
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+const PERMISSIONS = {
+  manageIncidents: ['operator', 'admin'],
+  exportData: ['operator', 'admin'],
+  labelDetections: ['operator', 'admin'],
+  editSensors: ['admin'],
+  manageAlerts: ['admin'],
+};
+
+export function can(role, permission) {
+  return (PERMISSIONS[permission] || []).includes(role);
+}
@@ -0,0 +1,62 @@
+// Sensor health derived from data rather than the static `status` column:
+// liveness from the time since the last detection, battery trend from the
+// battery_readings history.
+
+export const LOW_BATTERY_PERCENT = 25;
+
+export const LIVENESS_STYLES = {
+  online: 'bg-green-100 text-green-800 border-green-200',
+  stale: 'bg-yellow-100 text-yellow-800 border-yellow-200',
+  offline: 'bg-gray-200 text-gray-700 border-gray-300',
+  never: 'bg-gray-100 text-gray-500 border-gray-200',
+};
+
+/**
+ * 'online' while the sensor reports on schedule, 'stale' once it has missed
+ * `staleAfterIntervals` expected reports, 'offline' after `offlineAfterIntervals`,
+ * and 'never' if it has no detections at all.
+ */
+export function getLiveness(lastSeenAt, now, health) {
+  if (!lastSeenAt) return 'never';
+
+  const intervalMs = health.expectedIntervalMinutes * 60 * 1000;
+  const silentMs = now - new Date(lastSeenAt).getTime();
+
+  if (silentMs > intervalMs * health.offlineAfterIntervals) return 'offline';
+  if (silentMs > intervalMs * health.staleAfterIntervals) return 'stale';
+  return 'online';
+}
+
+// A decommissioned or manually offline sensor counts as offline regardless of readings
+export function getSensorLiveness(sensor, latestLog, now, health) {
+  if (sensor.status === 'offline' || sensor.status === 'decommissioned') return 'offline';
+  return getLiveness(latestLog?.created_at, now, health);
+}
+
+/**
+ * Least-squares line through battery readings ([{ recorded_at, battery }]),
+ * extrapolated to 0%. Returns the projected depletion Date, or null when there
+ * isn't enough data or the battery isn't draining.
+ */
+export function projectBatteryDepletion(readings) {
+  if (readings.length < 2) return null;
+
+  const points = readings.map(r => [new Date(r.recorded_at).getTime(), Number(r.battery)]);
+  const n = points.length;
+  const meanT = points.reduce((sum, [t]) => sum + t, 0) / n;
+  const meanB = points.reduce((sum, [, b]) => sum + b, 0) / n;
+
+  let covariance = 0;
+  let variance = 0;
+  points.forEach(([t, b]) => {
+    covariance += (t - meanT) * (b - meanB);
+    variance += (t - meanT) ** 2;
+  });
+  if (variance === 0) return null;
+
+  const slope = covariance / variance; // percent per ms
+  if (slope >= 0) return null;
+
+  const intercept = meanB - slope * meanT;
+  return new Date(-intercept / slope);
+}
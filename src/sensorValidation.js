@@ -0,0 +1,42 @@
+// Validation for the sensor create/edit form. Returns an object of
+// field -> message; an empty object means the form is valid.
+
+export const EDITABLE_STATUSES = ['active', 'offline'];
+
+// `siteIds` are the sites a sensor can be put in; with none loaded the site isn't checked
+export function validateSensor(form, { isNew, existingIds = [], siteIds = [] } = {}) {
+  const errors = {};
+
+  if (isNew) {
+    const id = form.id.trim();
+    if (!id) {
+      errors.id = 'Sensor ID is required';
+    } else if (existingIds.map(String).includes(id)) {
+      errors.id = 'A sensor with this ID already exists';
+    }
+  }
+
+  if (!form.name.trim()) {
+    errors.name = 'Name is required';
+  }
+
+  const lat = Number(form.lat);
+  if (form.lat === '' || Number.isNaN(lat) || lat < -90 || lat > 90) {
+    errors.lat = 'Latitude must be a number between -90 and 90';
+  }
+
+  const lng = Number(form.lng);
+  if (form.lng === '' || Number.isNaN(lng) || lng < -180 || lng > 180) {
+    errors.lng = 'Longitude must be a number between -180 and 180';
+  }
+
+  if (siteIds.length > 0 && !siteIds.includes(form.site_id)) {
+    errors.site_id = 'Pick the site this sensor belongs to';
+  }
+
+  if (!EDITABLE_STATUSES.includes(form.status)) {
+    errors.status = `Status must be one of: ${EDITABLE_STATUSES.join(', ')}`;
+  }
+
+  return errors;
+}
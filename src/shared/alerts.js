@@ -0,0 +1,171 @@
+// Alert rule matching, templating and HTTP delivery. Shared by the
+// dispatch-alerts edge function (Deno) and the dashboard (rule previews and
+// the mock data source), so it only uses web-standard APIs.
+//
+// The queue_alert_deliveries trigger in supabase/migrations does the same
+// rule matching in SQL; keep the two in step.
+
+export const ALERT_CHANNELS = ['webhook', 'email', 'sms'];
+
+export const LEAK_SIZE_OPTIONS = ['Small', 'Medium', 'Large'];
+
+// A delivery is tried MAX_ATTEMPTS times; RETRY_DELAYS_SECONDS[n] is the wait
+// after the (n + 1)th failure
+export const MAX_ATTEMPTS = 5;
+export const RETRY_DELAYS_SECONDS = [30, 120, 600, 1800];
+
+const HTTP_TIMEOUT_MS = 10000;
+
+// Placeholders available in templates as {{name}}
+export const TEMPLATE_FIELDS = [
+  'sensor_id', 'sensor_name', 'confidence', 'leak_size', 'location', 'detected_at', 'rule_name', 'detection_id',
+];
+
+export const DEFAULT_TEMPLATES = {
+  webhook: `{
+  "event": "leak_detected",
+  "sensor_id": "{{sensor_id}}",
+  "sensor_name": "{{sensor_name}}",
+  "confidence": {{confidence}},
+  "leak_size": "{{leak_size}}",
+  "location": "{{location}}",
+  "detected_at": "{{detected_at}}",
+  "rule": "{{rule_name}}"
+}`,
+  email: `Leak detected at sensor {{sensor_id}} ({{sensor_name}}).
+
+Confidence: {{confidence}}%
+Estimated size: {{leak_size}}
+Estimated location: {{location}}
+Detected at: {{detected_at}}
+
+Alert rule: {{rule_name}}`,
+  sms: 'LEAK {{sensor_id}} {{confidence}}% {{leak_size}} - {{location}} at {{detected_at}}',
+};
+
+// Used by "send test" so a rule can be checked without a real leak
+export const SAMPLE_DETECTION = {
+  id: 0,
+  sensor_id: 'TEST',
+  is_leak: true,
+  confidence: 97,
+  estimated_leak_size: 'Medium',
+  estimated_location: '~12m downstream of Test Junction',
+};
+
+export function templateVars(rule, detection, sensor) {
+  return {
+    sensor_id: detection.sensor_id,
+    sensor_name: sensor?.name || '',
+    confidence: detection.confidence,
+    leak_size: detection.estimated_leak_size || 'unknown',
+    location: detection.estimated_location || 'unknown',
+    detected_at: detection.created_at,
+    rule_name: rule.name,
+    detection_id: detection.id,
+  };
+}
+
+/**
+ * Replaces {{field}} placeholders. With `json: true` values are escaped for
+ * use inside a JSON string literal, so a webhook template stays valid JSON.
+ */
+export function renderTemplate(template, vars, { json = false } = {}) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => {
+    if (!(name in vars)) return placeholder;
+    const value = String(vars[name] ?? '');
+    return json ? JSON.stringify(value).slice(1, -1) : value;
+  });
+}
+
+// Minutes since midnight in the rule's timezone
+function minutesInTimezone(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone || 'UTC',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const get = type => Number(parts.find(p => p.type === type).value);
+  return get('hour') * 60 + get('minute');
+}
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes a rule stays quiet for a sensor after alerting on it
+export const DEFAULT_COOLDOWN_MINUTES = 30;
+
+// lastAlertAt is when the rule last queued a (non-test) alert for the sensor
+export function inCooldown(rule, lastAlertAt, date) {
+  if (!lastAlertAt) return false;
+  return date - new Date(lastAlertAt) < (rule.cooldown_minutes ?? DEFAULT_COOLDOWN_MINUTES) * 60 * 1000;
+}
+
+// quiet_start / quiet_end are "HH:MM"; a start after the end spans midnight
+export function inQuietHours(rule, date) {
+  if (!rule.quiet_start || !rule.quiet_end) return false;
+  const now = minutesInTimezone(date, rule.timezone);
+  const start = toMinutes(rule.quiet_start);
+  const end = toMinutes(rule.quiet_end);
+  return start <= end ? now >= start && now < end : now >= start || now < end;
+}
+
+export function matchesRule(rule, detection) {
+  if (!rule.enabled || !detection.is_leak) return false;
+  if (rule.sensor_ids?.length > 0 && !rule.sensor_ids.includes(String(detection.sensor_id))) return false;
+  if (detection.confidence < (rule.min_confidence || 0)) return false;
+  if (rule.leak_sizes?.length > 0) {
+    const size = (detection.estimated_leak_size || '').toLowerCase();
+    if (!rule.leak_sizes.some(s => s.toLowerCase() === size)) return false;
+  }
+  return !inQuietHours(rule, new Date(detection.created_at));
+}
+
+/**
+ * What to send for a rule. webhook: { url, body } (JSON text);
+ * sms: { url, body } posted to the gateway as { to, message };
+ * email: { to, subject, text }.
+ */
+export function buildMessage(rule, detection, sensor) {
+  const vars = templateVars(rule, detection, sensor);
+  const template = rule.template || DEFAULT_TEMPLATES[rule.channel];
+
+  if (rule.channel === 'webhook') {
+    return { url: rule.target, body: renderTemplate(template, vars, { json: true }) };
+  }
+  if (rule.channel === 'sms') {
+    return { url: rule.target, body: JSON.stringify({ to: rule.recipient, message: renderTemplate(template, vars) }) };
+  }
+  return {
+    to: rule.target,
+    subject: `Leak detected: Sensor ${detection.sensor_id} (${detection.confidence}%)`,
+    text: renderTemplate(template, vars),
+  };
+}
+
+/**
+ * POSTs a JSON body and resolves with the response status. Throws on network
+ * errors, timeouts and non-2xx responses so the caller can schedule a retry.
+ */
+export async function postJson(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body,
+    signal: AbortSignal.timeout(HTTP_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} from ${url}`);
+  }
+  return response.status;
+}
+
+// Status and next attempt time after a failed attempt number `attempts`
+export function retryAfterFailure(attempts, now = new Date()) {
+  if (attempts >= MAX_ATTEMPTS) return { status: 'failed', next_attempt_at: null };
+  const delay = RETRY_DELAYS_SECONDS[Math.min(attempts - 1, RETRY_DELAYS_SECONDS.length - 1)];
+  return { status: 'retrying', next_attempt_at: new Date(now.getTime() + delay * 1000).toISOString() };
+}
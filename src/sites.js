@@ -0,0 +1,49 @@
+// Sites (campuses, zones) and the one picked in the site switcher, which is
+// kept in localStorage per browser. A null site id means "all sites".
+
+const STORAGE_KEY = 'leak-dashboard:site';
+
+export function loadSelectedSite() {
+  try {
+    return localStorage.getItem(STORAGE_KEY) || null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveSelectedSite(siteId) {
+  try {
+    if (siteId) {
+      localStorage.setItem(STORAGE_KEY, siteId);
+    } else {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch (error) {
+    console.error("Error saving selected site:", error);
+  }
+}
+
+/**
+ * Map view ({ center, zoom, bounds }) for a site row. A site without a center
+ * of its own uses the configured map, bounds included; one with a center is
+ * only limited by its own bounds.
+ */
+export function siteMapView(site, mapConfig) {
+  if (site?.lat === null || site?.lat === undefined) {
+    return { center: mapConfig.center, zoom: mapConfig.zoom, bounds: mapConfig.bounds || null };
+  }
+  const hasBounds = site.bounds_south !== null && site.bounds_south !== undefined;
+  return {
+    center: [site.lat, site.lng],
+    zoom: site.zoom ?? mapConfig.zoom,
+    bounds: hasBounds ? [[site.bounds_south, site.bounds_west], [site.bounds_north, site.bounds_east]] : null,
+  };
+}
+
+// [[south, west], [north, east]] around the sensors, null when there are none
+export function sensorBounds(sensors) {
+  if (sensors.length === 0) return null;
+  const lats = sensors.map(s => s.lat);
+  const lngs = sensors.map(s => s.lng);
+  return [[Math.min(...lats), Math.min(...lngs)], [Math.max(...lats), Math.max(...lngs)]];
+}
@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from 'react';
+import { getConnectionStatus, subscribeToConnectionStatus } from './dataAccess';
+
+// 'connecting' | 'live' | 'offline', see dataAccess.js
+export function useConnectionStatus() {
+  return useSyncExternalStore(subscribeToConnectionStatus, getConnectionStatus);
+}
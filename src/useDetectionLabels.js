@@ -0,0 +1,50 @@
+import { useCallback, useEffect, useState } from 'react';
+import { fetchDetectionLabels, saveDetectionLabel, deleteDetectionLabel } from './dataAccess';
+
+/**
+ * Operator labels for the given detection rows, as { [detectionId]: label row }.
+ * `setLabel(detectionId, label, comment)` saves one (a null label removes it)
+ * and resolves with the data source error, if any.
+ */
+export function useDetectionLabels(detections) {
+  const [labels, setLabels] = useState({});
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadLabels = async () => {
+      const { data, error } = await fetchDetectionLabels(detections.map(d => d.id));
+      if (cancelled) return;
+      if (error) {
+        console.error("Error fetching detection labels:", error);
+      } else {
+        setLabels(Object.fromEntries(data.map(row => [row.detection_id, row])));
+      }
+    };
+    loadLabels();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [detections]);
+
+  const setLabel = useCallback(async (detectionId, label, comment) => {
+    if (!label) {
+      const { error } = await deleteDetectionLabel(detectionId);
+      if (!error) {
+        setLabels(prev => {
+          const next = { ...prev };
+          delete next[detectionId];
+          return next;
+        });
+      }
+      return error;
+    }
+
+    const { data, error } = await saveDetectionLabel(detectionId, label, comment);
+    if (!error) setLabels(prev => ({ ...prev, [detectionId]: data }));
+    return error;
+  }, []);
+
+  return { labels, setLabel };
+}
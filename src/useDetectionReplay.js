@@ -0,0 +1,133 @@
+import { useEffect, useMemo, useState } from 'react';
+import { fetchAllDetections, fetchLatestDetectionsAt } from './dataAccess';
+import { hoursAgoInputValue } from './historyFilters';
+
+export const REPLAY_PRESETS = [
+  { label: '1H', hours: 1 },
+  { label: '6H', hours: 6 },
+  { label: '24H', hours: 24 },
+  { label: '7D', hours: 24 * 7 },
+];
+
+// Replay seconds per real second
+export const REPLAY_SPEEDS = [1, 10, 60, 300, 1800];
+
+const TICK_MS = 100;
+
+// Number of detections (sorted oldest first) created at or before `time`
+function countUpTo(detections, time) {
+  let lo = 0;
+  let hi = detections.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (new Date(detections[mid].created_at).getTime() <= time) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Replays the detections of a chosen window. `cursor` is the replay clock
+ * (ms); `latestDetections` holds each sensor's newest detection at that
+ * moment (same shape as fetchLatestDetections), starting from what each
+ * sensor last reported before the window, and `firstLeaks` the sensors in
+ * the order they first reported a leak in the window. Nothing is fetched while `enabled` is
+ * false. `siteId` limits the replay to one site.
+ */
+export function useDetectionReplay(enabled, siteId = null) {
+  // datetime-local values, like the history filter bar
+  const [range, setRange] = useState(() => ({ from: hoursAgoInputValue(6), to: hoursAgoInputValue(0) }));
+  const [detections, setDetections] = useState([]);
+  // Each sensor's newest detection at the start of the window
+  const [initialDetections, setInitialDetections] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [cursor, setCursor] = useState(null);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(60);
+
+  const start = new Date(range.from).getTime();
+  const end = new Date(range.to).getTime();
+  const validRange = Number.isFinite(start) && Number.isFinite(end) && start < end;
+
+  // 1. Every detection in the range, oldest first, plus where each sensor stood
+  //    when it opens
+  useEffect(() => {
+    if (!enabled || !validRange) return;
+    let cancelled = false;
+
+    const loadRange = async () => {
+      setLoading(true);
+      setPlaying(false);
+      const initial = fetchLatestDetectionsAt(new Date(start), siteId);
+      const rows = [];
+      try {
+        for await (const page of fetchAllDetections({ ...range, site: siteId }, { key: 'created_at', direction: 'asc' })) {
+          if (cancelled) return;
+          rows.push(...page);
+        }
+      } catch (error) {
+        console.error("Error fetching replay detections:", error);
+      }
+      const { data: initialRows, error: initialError } = await initial;
+      if (cancelled) return;
+      if (initialError) console.error("Error fetching detections before replay window:", initialError);
+      setInitialDetections(initialRows || []);
+      setDetections(rows);
+      setCursor(start);
+      setLoading(false);
+    };
+    loadRange();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [enabled, range, siteId, validRange, start]);
+
+  const atEnd = cursor !== null && cursor >= end;
+  const isPlaying = playing && !atEnd;
+
+  // 2. Advance the clock while playing
+  useEffect(() => {
+    if (!isPlaying) return;
+    const timer = setInterval(() => {
+      setCursor(c => Math.min(c + TICK_MS * speed, end));
+    }, TICK_MS);
+    return () => clearInterval(timer);
+  }, [isPlaying, speed, end]);
+
+  const { latestDetections, firstLeaks } = useMemo(() => {
+    const latest = Object.fromEntries(initialDetections.map(d => [d.sensor_id, d]));
+    const leaks = [];
+    const count = cursor === null ? 0 : countUpTo(detections, cursor);
+    for (let i = 0; i < count; i++) {
+      const d = detections[i];
+      latest[d.sensor_id] = d;
+      if (d.is_leak && !leaks.some(l => l.sensor_id === d.sensor_id)) leaks.push(d);
+    }
+    return { latestDetections: Object.values(latest), firstLeaks: leaks };
+  }, [initialDetections, detections, cursor]);
+
+  return {
+    range,
+    setRange,
+    applyPreset: (hours) => setRange({ from: hoursAgoInputValue(hours), to: hoursAgoInputValue(0) }),
+    validRange,
+    start,
+    end,
+    loading,
+    detectionCount: detections.length,
+    cursor,
+    seek: setCursor,
+    isPlaying,
+    // Playing again from the end starts over
+    play: () => {
+      if (atEnd) setCursor(start);
+      setPlaying(true);
+    },
+    pause: () => setPlaying(false),
+    speed,
+    setSpeed,
+    latestDetections,
+    firstLeaks,
+  };
+}
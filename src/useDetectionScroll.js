@@ -0,0 +1,43 @@
+import { useCallback, useMemo, useRef, useState } from 'react';
+import { fetchDetectionPage, detectionCursor } from './dataAccess';
+
+const EMPTY = { rows: [], loading: false, done: false, error: null };
+
+/**
+ * Detections for the infinite-scroll history view. Rows accumulate as
+ * loadMore() fetches the next cursor page; changing the filters or sort starts
+ * over. Responses for an earlier filter/sort are dropped. After a failed
+ * fetch `error` is set; callers should wait for the user before calling
+ * loadMore() again.
+ */
+export function useDetectionScroll(filters, sortConfig, pageSize = 500) {
+  const queryKey = JSON.stringify([filters, sortConfig]);
+  const [state, setState] = useState({ key: queryKey, ...EMPTY });
+  // Query key with a request in flight, so scrolling doesn't fire duplicates
+  const inFlight = useRef(null);
+
+  const current = useMemo(() => (state.key === queryKey ? state : { key: queryKey, ...EMPTY }), [state, queryKey]);
+
+  const loadMore = useCallback(async () => {
+    if (current.done || inFlight.current === queryKey) return;
+    inFlight.current = queryKey;
+    setState({ ...current, loading: true, error: null });
+
+    const last = current.rows[current.rows.length - 1];
+    const { data, error } = await fetchDetectionPage(
+      filters, sortConfig, pageSize, last ? { after: detectionCursor(last, sortConfig) } : {}
+    );
+    if (inFlight.current === queryKey) inFlight.current = null;
+
+    setState(prev => {
+      if (prev.key !== queryKey) return prev;
+      if (error) {
+        console.error("Error fetching history:", error);
+        return { ...prev, loading: false, error };
+      }
+      return { key: queryKey, rows: [...prev.rows, ...data], loading: false, done: data.length < pageSize, error: null };
+    });
+  }, [current, queryKey, filters, sortConfig, pageSize]);
+
+  return { rows: current.rows, loading: current.loading, done: current.done, error: current.error, loadMore };
+}
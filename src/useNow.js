@@ -0,0 +1,14 @@
+import { useEffect, useState } from 'react';
+
+// Current time (ms) that re-renders the caller every `intervalMs`, so
+// time-derived state such as sensor liveness keeps itself up to date.
+export function useNow(intervalMs = 60 * 1000) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(timer);
+  }, [intervalMs]);
+
+  return now;
+}
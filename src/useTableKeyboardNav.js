@@ -0,0 +1,59 @@
+import { useEffect, useRef, useState } from 'react';
+
+// Keys that move the highlighted row; j/k as in most log viewers
+const MOVES = {
+  ArrowDown: (index) => index + 1,
+  j: (index) => index + 1,
+  ArrowUp: (index) => index - 1,
+  k: (index) => index - 1,
+  Home: () => 0,
+  End: (index, count) => count - 1,
+};
+
+/**
+ * Keyboard navigation for a table of `rowCount` rows. Spread `tableProps` on
+ * the scrolling container (it becomes focusable) and give each row
+ * `data-row-index={i}`; `activeIndex` is the highlighted row (-1 for none).
+ * Enter calls onActivate(index). Keys pressed inside buttons and inputs in
+ * the table are left alone. A virtualised table passes its own `containerRef`
+ * and a `scrollToIndex`, since the highlighted row may not be rendered.
+ */
+export function useTableKeyboardNav(rowCount, onActivate, { containerRef: externalRef, scrollToIndex } = {}) {
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const ownRef = useRef(null);
+  const containerRef = externalRef || ownRef;
+  // Rows can disappear underneath the highlight (new page, filter)
+  const index = Math.min(activeIndex, rowCount - 1);
+
+  useEffect(() => {
+    if (index < 0) return;
+    if (scrollToIndex) {
+      scrollToIndex(index);
+    } else {
+      containerRef.current?.querySelector(`[data-row-index="${index}"]`)?.scrollIntoView({ block: 'nearest' });
+    }
+  }, [index, scrollToIndex, containerRef]);
+
+  const onKeyDown = (e) => {
+    if (e.target !== e.currentTarget || e.ctrlKey || e.metaKey || e.altKey || rowCount === 0) return;
+
+    if (e.key === 'Enter' && index >= 0) {
+      e.preventDefault();
+      onActivate(index);
+    } else if (MOVES[e.key]) {
+      e.preventDefault();
+      setActiveIndex(Math.min(Math.max(MOVES[e.key](index, rowCount), 0), rowCount - 1));
+    } else if (e.key === 'Escape') {
+      setActiveIndex(-1);
+    }
+  };
+
+  return {
+    activeIndex: index,
+    tableProps: {
+      ref: containerRef,
+      tabIndex: 0,
+      onKeyDown,
+    },
+  };
+}
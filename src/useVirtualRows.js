@@ -0,0 +1,50 @@
+import { useCallback, useEffect, useState } from 'react';
+
+/**
+ * Windowing for a long table inside the scrolling element `containerRef`.
+ * Only rows [start, end) are rendered; paddingTop/paddingBottom are the
+ * heights of spacer rows standing in for the rest. Rows are assumed to be
+ * `rowHeight` px tall. `scrollToIndex(i)` scrolls just enough to show row i.
+ */
+export function useVirtualRows(containerRef, rowCount, rowHeight, overscan = 10) {
+  const [viewport, setViewport] = useState({ scrollTop: 0, height: 0 });
+
+  useEffect(() => {
+    const element = containerRef.current;
+    if (!element) return;
+
+    const update = () => setViewport({ scrollTop: element.scrollTop, height: element.clientHeight });
+    // Fires once right away with the initial size, then on every resize
+    const observer = new ResizeObserver(update);
+    observer.observe(element);
+    element.addEventListener('scroll', update, { passive: true });
+    return () => {
+      observer.disconnect();
+      element.removeEventListener('scroll', update);
+    };
+  }, [containerRef]);
+
+  const start = Math.max(0, Math.min(Math.floor(viewport.scrollTop / rowHeight) - overscan, rowCount));
+  const end = Math.min(rowCount, Math.ceil((viewport.scrollTop + viewport.height) / rowHeight) + overscan);
+
+  const scrollToIndex = useCallback((index) => {
+    const element = containerRef.current;
+    if (!element) return;
+    // The sticky header covers the top of the scroll area
+    const headerHeight = element.querySelector('thead')?.offsetHeight || 0;
+    const top = index * rowHeight;
+    if (top < element.scrollTop) {
+      element.scrollTop = top;
+    } else if (top + rowHeight > element.scrollTop + element.clientHeight - headerHeight) {
+      element.scrollTop = top + rowHeight - element.clientHeight + headerHeight;
+    }
+  }, [containerRef, rowHeight]);
+
+  return {
+    start,
+    end: Math.max(start, end),
+    paddingTop: start * rowHeight,
+    paddingBottom: Math.max(0, rowCount - Math.max(start, end)) * rowHeight,
+    scrollToIndex,
+  };
+}
@@ -0,0 +1,168 @@
+/* global Deno */
+// Sends queued leak alerts (alert_deliveries rows written by the
+// queue_alert_deliveries trigger) to their webhook, email or SMS gateway.
+//
+//   POST {}                 process every due delivery; needs the service role
+//                           key (database webhook on alert_deliveries / cron)
+//   POST { testRuleId: n }  send a sample alert for one rule now; needs an
+//                           admin user's JWT (the settings page "Send test")
+//
+// Env: SUPABASE_URL, SUPABASE_ANON_KEY, SUPABASE_SERVICE_ROLE_KEY (provided by
+// Supabase), SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_FROM for email,
+// and optionally SMS_GATEWAY_TOKEN, sent as a bearer token to SMS gateways.
+
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import nodemailer from 'npm:nodemailer@6';
+import { buildMessage, postJson, retryAfterFailure, SAMPLE_DETECTION } from '../../../src/shared/alerts.js';
+
+const BATCH_SIZE = 50;
+// A claimed delivery is hidden from other runs for this long
+const CLAIM_LEASE_MS = 5 * 60 * 1000;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+};
+
+const serviceRoleKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY');
+const admin = createClient(Deno.env.get('SUPABASE_URL'), serviceRoleKey);
+
+let mailer = null;
+function getMailer() {
+  if (!mailer) {
+    const port = Number(Deno.env.get('SMTP_PORT') || 587);
+    mailer = nodemailer.createTransport({
+      host: Deno.env.get('SMTP_HOST'),
+      port,
+      secure: port === 465,
+      auth: Deno.env.get('SMTP_USER') ? { user: Deno.env.get('SMTP_USER'), pass: Deno.env.get('SMTP_PASS') } : undefined,
+    });
+  }
+  return mailer;
+}
+
+// Resolves with the HTTP status (null for email); throws when the send failed
+async function send(rule, detection, sensor) {
+  const message = buildMessage(rule, detection, sensor);
+
+  if (rule.channel === 'email') {
+    await getMailer().sendMail({ from: Deno.env.get('SMTP_FROM'), to: message.to, subject: message.subject, text: message.text });
+    return null;
+  }
+
+  const token = Deno.env.get('SMS_GATEWAY_TOKEN');
+  const headers = rule.channel === 'sms' && token ? { Authorization: `Bearer ${token}` } : {};
+  return postJson(message.url, message.body, headers);
+}
+
+// Column updates for a delivery after one attempt
+async function attempt(delivery, rule, detection, sensor) {
+  const attempts = delivery.attempts + 1;
+  try {
+    const responseStatus = await send(rule, detection, sensor);
+    return { status: 'sent', attempts, response_status: responseStatus, last_error: null, sent_at: new Date().toISOString(), next_attempt_at: null };
+  } catch (error) {
+    return { attempts, last_error: error.message, ...retryAfterFailure(attempts) };
+  }
+}
+
+async function processDueDeliveries() {
+  const { data: due, error } = await admin
+    .from('alert_deliveries')
+    .select('*')
+    .in('status', ['pending', 'retrying'])
+    .lte('next_attempt_at', new Date().toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .limit(BATCH_SIZE);
+  if (error) throw error;
+
+  const results = { sent: 0, retrying: 0, failed: 0, skipped: 0 };
+  for (const delivery of due) {
+    // Claim it, unless an overlapping run already did
+    const { data: claimed } = await admin
+      .from('alert_deliveries')
+      .update({ next_attempt_at: new Date(Date.now() + CLAIM_LEASE_MS).toISOString() })
+      .eq('id', delivery.id)
+      .eq('next_attempt_at', delivery.next_attempt_at)
+      .select();
+    if (!claimed?.length) {
+      results.skipped += 1;
+      continue;
+    }
+
+    const [{ data: rule }, { data: detection }] = await Promise.all([
+      admin.from('alert_rules').select('*').eq('id', delivery.rule_id).maybeSingle(),
+      admin.from('detections').select('*').eq('id', delivery.detection_id).maybeSingle(),
+    ]);
+
+    let update;
+    if (!rule || !detection) {
+      update = { status: 'failed', attempts: delivery.attempts + 1, last_error: rule ? 'Detection not found' : 'Rule was deleted', next_attempt_at: null };
+    } else {
+      const { data: sensor } = await admin.from('sensors').select('*').eq('id', detection.sensor_id).maybeSingle();
+      update = await attempt(delivery, rule, detection, sensor);
+    }
+
+    await admin.from('alert_deliveries').update(update).eq('id', delivery.id);
+    results[update.status] += 1;
+  }
+  return results;
+}
+
+async function sendTest(ruleId, authorization) {
+  // Checked with the caller's own JWT so RLS and app_role() see the real user
+  const caller = createClient(Deno.env.get('SUPABASE_URL'), Deno.env.get('SUPABASE_ANON_KEY'), {
+    global: { headers: { Authorization: authorization } },
+  });
+  const { data: role } = await caller.rpc('app_role');
+  if (role !== 'admin') return { status: 403, body: { error: 'Only admins can send test alerts' } };
+
+  const { data: rule, error } = await admin.from('alert_rules').select('*').eq('id', ruleId).maybeSingle();
+  if (error || !rule) return { status: 404, body: { error: `Alert rule ${ruleId} not found` } };
+
+  const detection = { ...SAMPLE_DETECTION, created_at: new Date().toISOString() };
+  const update = await attempt({ attempts: 0 }, rule, detection, { name: 'Test Junction' });
+
+  // A test is tried once; its outcome goes straight to the log
+  const { data: delivery } = await admin
+    .from('alert_deliveries')
+    .insert({
+      rule_id: rule.id,
+      channel: rule.channel,
+      target: rule.target,
+      is_test: true,
+      ...update,
+      status: update.status === 'sent' ? 'sent' : 'failed',
+      next_attempt_at: null,
+    })
+    .select()
+    .single();
+  return { status: 200, body: delivery };
+}
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') return new Response('ok', { headers: CORS_HEADERS });
+
+  const json = (body, status = 200) => new Response(JSON.stringify(body), {
+    status,
+    headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+  });
+
+  try {
+    const authorization = req.headers.get('Authorization') || '';
+    const body = await req.json().catch(() => ({}));
+
+    if (body.testRuleId) {
+      const result = await sendTest(body.testRuleId, authorization);
+      return json(result.body, result.status);
+    }
+
+    if (authorization !== `Bearer ${serviceRoleKey}`) {
+      return json({ error: 'Processing the queue needs the service role key' }, 401);
+    }
+    return json(await processDueDeliveries());
+  } catch (error) {
+    console.error('Error dispatching alerts:', error);
+    return json({ error: error.message }, 500);
+  }
+});
@@ -0,0 +1,21 @@
+-- Latest detection per sensor, computed in Postgres instead of scanning a
+-- fixed batch of recent rows in the browser.
+
+-- Lets the lateral lookup below fetch each sensor's newest row with a single
+-- index probe, so the view stays cheap with thousands of sensors.
+create index if not exists detections_sensor_id_created_at_idx
+  on public.detections (sensor_id, created_at desc);
+
+create or replace view public.latest_detections
+with (security_invoker = true) as
+select d.*
+from public.sensors s
+cross join lateral (
+  select *
+  from public.detections
+  where detections.sensor_id = s.id
+  order by detections.created_at desc
+  limit 1
+) d;
+
+grant select on public.latest_detections to anon, authenticated;
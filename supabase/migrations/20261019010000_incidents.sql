@@ -0,0 +1,67 @@
+-- Leak incidents: consecutive leak detections from one sensor are grouped
+-- into a single incident that stays open until an operator resolves it.
+
+create table if not exists public.incidents (
+  id bigint generated always as identity primary key,
+  -- Same value as detections.sensor_id / sensors.id
+  sensor_id text not null,
+  status text not null default 'open'
+    check (status in ('open', 'acknowledged', 'dispatched', 'resolved')),
+  assignee text,
+  notes text,
+  detection_count integer not null default 1,
+  peak_confidence numeric,
+  first_detected_at timestamptz not null default now(),
+  last_detected_at timestamptz not null default now(),
+  acknowledged_at timestamptz,
+  dispatched_at timestamptz,
+  resolved_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- At most one unresolved incident per sensor
+create unique index if not exists incidents_one_unresolved_per_sensor
+  on public.incidents (sensor_id)
+  where status <> 'resolved';
+
+create index if not exists incidents_status_idx on public.incidents (status);
+
+-- Every leak detection either opens a new incident for its sensor or is
+-- folded into the one that is still unresolved.
+create or replace function public.record_leak_incident()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.is_leak then
+    insert into public.incidents (sensor_id, peak_confidence, first_detected_at, last_detected_at)
+    values (new.sensor_id, new.confidence, new.created_at, new.created_at)
+    on conflict (sensor_id) where status <> 'resolved'
+    do update set
+      detection_count = incidents.detection_count + 1,
+      peak_confidence = greatest(incidents.peak_confidence, excluded.peak_confidence),
+      last_detected_at = greatest(incidents.last_detected_at, excluded.last_detected_at),
+      updated_at = now();
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists detections_record_leak_incident on public.detections;
+create trigger detections_record_leak_incident
+  after insert on public.detections
+  for each row execute function public.record_leak_incident();
+
+-- Sensors currently reporting a leak start with an open incident
+insert into public.incidents (sensor_id, peak_confidence, first_detected_at, last_detected_at)
+select sensor_id, confidence, created_at, created_at
+from public.latest_detections
+where is_leak
+on conflict do nothing;
+
+grant select, update on public.incidents to anon, authenticated;
+
+alter publication supabase_realtime add table public.incidents;
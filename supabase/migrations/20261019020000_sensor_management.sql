@@ -0,0 +1,13 @@
+-- Sensor fleet management from the dashboard. Decommissioning is a soft
+-- delete: the row stays (status 'decommissioned') so historical detections
+-- keep pointing at a real sensor.
+
+alter table public.sensors
+  add column if not exists decommissioned_at timestamptz;
+
+alter table public.sensors
+  add constraint sensors_lat_range check (lat between -90 and 90),
+  add constraint sensors_lng_range check (lng between -180 and 180);
+
+-- Signed-in users only; anonymous visitors must never write sensors
+grant insert, update on public.sensors to authenticated;
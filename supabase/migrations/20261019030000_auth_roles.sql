@@ -0,0 +1,77 @@
+-- Supabase Auth roles. Every user gets a profile with one of
+-- viewer / operator / admin; row level security enforces what each may do.
+
+create table if not exists public.profiles (
+  id uuid primary key references auth.users (id) on delete cascade,
+  email text,
+  role text not null default 'viewer'
+    check (role in ('viewer', 'operator', 'admin')),
+  created_at timestamptz not null default now()
+);
+
+-- New sign-ups start as viewers; an admin promotes them
+create or replace function public.handle_new_user()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into public.profiles (id, email) values (new.id, new.email);
+  return new;
+end;
+$$;
+
+drop trigger if exists on_auth_user_created on auth.users;
+create trigger on_auth_user_created
+  after insert on auth.users
+  for each row execute function public.handle_new_user();
+
+-- Role of the calling user, used by the policies below
+create or replace function public.app_role()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce((select role from public.profiles where id = auth.uid()), 'viewer');
+$$;
+
+-- Nothing is readable without signing in any more. Signed-in users only read
+-- detections: devices and ingest services write them with the service role
+-- key, which bypasses row level security.
+revoke all on public.sensors, public.detections, public.incidents, public.latest_detections from anon;
+
+alter table public.profiles enable row level security;
+alter table public.sensors enable row level security;
+alter table public.detections enable row level security;
+alter table public.incidents enable row level security;
+
+grant select on public.profiles to authenticated;
+grant select on public.sensors, public.detections, public.incidents, public.latest_detections to authenticated;
+
+create policy "Users read their own profile, admins read all"
+  on public.profiles for select to authenticated
+  using (id = auth.uid() or public.app_role() = 'admin');
+
+create policy "Signed-in users read sensors"
+  on public.sensors for select to authenticated using (true);
+
+create policy "Admins add sensors"
+  on public.sensors for insert to authenticated
+  with check (public.app_role() = 'admin');
+
+create policy "Admins edit sensors"
+  on public.sensors for update to authenticated
+  using (public.app_role() = 'admin');
+
+create policy "Signed-in users read detections"
+  on public.detections for select to authenticated using (true);
+
+create policy "Signed-in users read incidents"
+  on public.incidents for select to authenticated using (true);
+
+create policy "Operators and admins work incidents"
+  on public.incidents for update to authenticated
+  using (public.app_role() in ('operator', 'admin'));
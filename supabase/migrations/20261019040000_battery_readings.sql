@@ -0,0 +1,41 @@
+-- Battery history for trend charts. Devices update sensors.battery in place;
+-- this keeps every reported value so the dashboard can project depletion.
+
+create table if not exists public.battery_readings (
+  id bigint generated always as identity primary key,
+  sensor_id text not null,
+  battery numeric not null,
+  recorded_at timestamptz not null default now()
+);
+
+create index if not exists battery_readings_sensor_id_recorded_at_idx
+  on public.battery_readings (sensor_id, recorded_at desc);
+
+create or replace function public.record_battery_reading()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.battery is not null and (tg_op = 'INSERT' or new.battery is distinct from old.battery) then
+    insert into public.battery_readings (sensor_id, battery) values (new.id, new.battery);
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists sensors_record_battery_reading on public.sensors;
+create trigger sensors_record_battery_reading
+  after insert or update of battery on public.sensors
+  for each row execute function public.record_battery_reading();
+
+-- Start every sensor's history with its current value
+insert into public.battery_readings (sensor_id, battery)
+select id, battery from public.sensors where battery is not null;
+
+alter table public.battery_readings enable row level security;
+grant select on public.battery_readings to authenticated;
+
+create policy "Signed-in users read battery readings"
+  on public.battery_readings for select to authenticated using (true);
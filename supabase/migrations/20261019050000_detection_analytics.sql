@@ -0,0 +1,43 @@
+-- Aggregates for the Analytics page, computed in Postgres so the browser
+-- doesn't have to download every detection in the selected range.
+-- Both run as the caller (security invoker), so the detections RLS applies.
+
+-- Leak detections per sensor per day or week ('day' | 'week', weeks start Monday)
+create or replace function public.leak_counts(since timestamptz, bucket text default 'day')
+returns table (bucket_start timestamptz, sensor_id text, leak_count bigint)
+language plpgsql
+stable
+as $$
+begin
+  if bucket not in ('day', 'week') then
+    raise exception 'bucket must be day or week, got %', bucket;
+  end if;
+
+  return query
+    select date_trunc(bucket, d.created_at), d.sensor_id::text, count(*)
+    from public.detections d
+    where d.is_leak and d.created_at >= since
+    group by 1, 2
+    order by 1, 2;
+end;
+$$;
+
+-- Confidence histogram split by result. Bins are bin_width wide and start at
+-- 0; a confidence of exactly 100 falls into the top bin.
+create or replace function public.confidence_histogram(since timestamptz, bin_width integer default 10)
+returns table (bin_start integer, is_leak boolean, detection_count bigint)
+language sql
+stable
+as $$
+  select
+    least(floor(d.confidence / bin_width)::integer * bin_width, 100 - bin_width) as bin_start,
+    d.is_leak,
+    count(*)
+  from public.detections d
+  where d.created_at >= since
+  group by 1, 2
+  order by 1, 2;
+$$;
+
+grant execute on function public.leak_counts(timestamptz, text) to authenticated;
+grant execute on function public.confidence_histogram(timestamptz, integer) to authenticated;
@@ -0,0 +1,25 @@
+-- Imported pipe network GeoJSON (pipes and valves, see src/pipeNetwork.js).
+-- Each import adds a row; the dashboard uses the newest one, so older
+-- imports stay around as history and for rolling back.
+
+create table if not exists public.pipe_networks (
+  id bigint generated always as identity primary key,
+  name text not null,
+  geojson jsonb not null
+    check (geojson ->> 'type' = 'FeatureCollection'),
+  imported_by uuid references auth.users (id) default auth.uid(),
+  imported_at timestamptz not null default now()
+);
+
+create index if not exists pipe_networks_imported_at_idx
+  on public.pipe_networks (imported_at desc);
+
+alter table public.pipe_networks enable row level security;
+grant select, insert on public.pipe_networks to authenticated;
+
+create policy "Signed-in users read pipe networks"
+  on public.pipe_networks for select to authenticated using (true);
+
+create policy "Admins import pipe networks"
+  on public.pipe_networks for insert to authenticated
+  with check (public.app_role() = 'admin');
@@ -0,0 +1,160 @@
+-- Outbound leak alerts. Admins define rules; a trigger on detections queues
+-- one alert_deliveries row per matching rule, and the dispatch-alerts edge
+-- function (supabase/functions/dispatch-alerts) sends them with retries.
+-- Rule matching mirrors matchesRule() in src/shared/alerts.js.
+
+create table if not exists public.alert_rules (
+  id bigint generated always as identity primary key,
+  name text not null,
+  enabled boolean not null default true,
+  channel text not null check (channel in ('webhook', 'email', 'sms')),
+  -- Webhook URL, email address, or SMS gateway URL
+  target text not null,
+  -- Phone number, SMS rules only
+  recipient text,
+  -- Empty/null = every sensor, every size
+  sensor_ids text[],
+  leak_sizes text[],
+  min_confidence integer not null default 0 check (min_confidence between 0 and 100),
+  -- No alerts between quiet_start and quiet_end (may span midnight), in `timezone`
+  quiet_start time,
+  quiet_end time,
+  timezone text not null default 'UTC',
+  -- After alerting on a sensor, skip its further leak readings for this many
+  -- minutes so one ongoing leak doesn't page on every reading (0 = never skip)
+  cooldown_minutes integer not null default 30 check (cooldown_minutes >= 0),
+  -- {{placeholders}}, see TEMPLATE_FIELDS; null = channel default
+  template text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (channel <> 'sms' or recipient is not null)
+);
+
+create table if not exists public.alert_deliveries (
+  id bigint generated always as identity primary key,
+  rule_id bigint references public.alert_rules (id) on delete set null,
+  -- null for "send test" deliveries
+  detection_id bigint,
+  sensor_id text,
+  channel text not null,
+  target text not null,
+  status text not null default 'pending'
+    check (status in ('pending', 'retrying', 'sent', 'failed')),
+  attempts integer not null default 0,
+  last_error text,
+  response_status integer,
+  is_test boolean not null default false,
+  -- null once the delivery is sent or has failed for good
+  next_attempt_at timestamptz default now(),
+  sent_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+-- The dispatcher polls for due deliveries
+create index if not exists alert_deliveries_due_idx
+  on public.alert_deliveries (next_attempt_at)
+  where status in ('pending', 'retrying');
+
+create index if not exists alert_deliveries_created_at_idx
+  on public.alert_deliveries (created_at desc);
+
+-- Cooldown lookups in the trigger below
+create index if not exists alert_deliveries_rule_sensor_idx
+  on public.alert_deliveries (rule_id, sensor_id, created_at desc);
+
+-- The browser checks time zones with Intl, which accepts names Postgres may
+-- not know, and rules can be written straight through the API. An unknown
+-- zone would make the detections trigger below raise and block ingest.
+create or replace function public.check_alert_rule_timezone()
+returns trigger
+language plpgsql
+as $$
+begin
+  if not exists (select 1 from pg_timezone_names where name = new.timezone) then
+    raise exception 'Unknown time zone %', new.timezone
+      using errcode = 'check_violation';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists alert_rules_check_timezone on public.alert_rules;
+create trigger alert_rules_check_timezone
+  before insert or update of timezone on public.alert_rules
+  for each row execute function public.check_alert_rule_timezone();
+
+-- Never raises: a rule whose zone still can't be used (e.g. dropped from the
+-- tz database later) is treated as outside quiet hours, so it can't fail the
+-- detection insert
+create or replace function public.alert_in_quiet_hours(rule public.alert_rules, detected_at timestamptz)
+returns boolean
+language plpgsql
+stable
+as $$
+declare
+  local_time time;
+begin
+  if rule.quiet_start is null or rule.quiet_end is null then
+    return false;
+  end if;
+  local_time := (detected_at at time zone rule.timezone)::time;
+  if rule.quiet_start <= rule.quiet_end then
+    return local_time >= rule.quiet_start and local_time < rule.quiet_end;
+  end if;
+  return local_time >= rule.quiet_start or local_time < rule.quiet_end;
+exception when others then
+  raise warning 'alert rule %: %', rule.id, sqlerrm;
+  return false;
+end;
+$$;
+
+create or replace function public.queue_alert_deliveries()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into public.alert_deliveries (rule_id, detection_id, sensor_id, channel, target)
+  select r.id, new.id, new.sensor_id::text, r.channel, r.target
+  from public.alert_rules r
+  where r.enabled
+    and (coalesce(cardinality(r.sensor_ids), 0) = 0 or new.sensor_id::text = any (r.sensor_ids))
+    and new.confidence >= r.min_confidence
+    and (
+      coalesce(cardinality(r.leak_sizes), 0) = 0
+      or exists (select 1 from unnest(r.leak_sizes) s where lower(s) = lower(new.estimated_leak_size))
+    )
+    and not public.alert_in_quiet_hours(r, new.created_at)
+    and not exists (
+      select 1 from public.alert_deliveries a
+      where a.rule_id = r.id
+        and a.sensor_id = new.sensor_id::text
+        and not a.is_test
+        and a.created_at > now() - make_interval(mins => r.cooldown_minutes)
+    );
+  return new;
+end;
+$$;
+
+drop trigger if exists detections_queue_alert_deliveries on public.detections;
+create trigger detections_queue_alert_deliveries
+  after insert on public.detections
+  for each row
+  when (new.is_leak)
+  execute function public.queue_alert_deliveries();
+
+-- Admin only; the edge function uses the service role and bypasses RLS
+alter table public.alert_rules enable row level security;
+alter table public.alert_deliveries enable row level security;
+grant select, insert, update, delete on public.alert_rules to authenticated;
+grant select on public.alert_deliveries to authenticated;
+
+create policy "Admins manage alert rules"
+  on public.alert_rules for all to authenticated
+  using (public.app_role() = 'admin')
+  with check (public.app_role() = 'admin');
+
+create policy "Admins read alert deliveries"
+  on public.alert_deliveries for select to authenticated
+  using (public.app_role() = 'admin');
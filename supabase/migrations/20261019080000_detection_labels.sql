@@ -0,0 +1,107 @@
+-- Operator feedback on detections, used to measure the edge model's precision
+-- and exported as a labelled dataset for retraining. One label per detection;
+-- relabelling overwrites it.
+--
+--   true_positive   a leak detection that was a real leak
+--   false_positive  a leak detection with no leak (false alarm)
+--   missed_leak     a normal reading taken while the sensor's pipe was leaking
+
+create table if not exists public.detection_labels (
+  detection_id bigint primary key references public.detections (id) on delete cascade,
+  label text not null
+    check (label in ('true_positive', 'false_positive', 'missed_leak')),
+  comment text,
+  labelled_by uuid references auth.users (id) default auth.uid(),
+  labelled_at timestamptz not null default now()
+);
+
+-- Relabelling is an upsert that doesn't send labelled_by, so stamp it here.
+-- Also rejects labels that don't fit the detection (labelOptionsFor() in
+-- src/detectionLabels.js): only leak detections are true/false positives,
+-- only normal readings are missed leaks.
+create or replace function public.stamp_detection_label()
+returns trigger
+language plpgsql
+as $$
+declare
+  detection_is_leak boolean;
+begin
+  select d.is_leak into detection_is_leak from public.detections d where d.id = new.detection_id;
+  if detection_is_leak is not null
+    and (new.label = 'missed_leak') = detection_is_leak then
+    raise exception '% does not apply to a % detection',
+      new.label, case when detection_is_leak then 'leak' else 'normal' end
+      using errcode = 'check_violation';
+  end if;
+
+  new.labelled_by := auth.uid();
+  new.labelled_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists detection_labels_stamp on public.detection_labels;
+create trigger detection_labels_stamp
+  before insert or update on public.detection_labels
+  for each row execute function public.stamp_detection_label();
+
+alter table public.detection_labels enable row level security;
+grant select, insert, update, delete on public.detection_labels to authenticated;
+
+create policy "Signed-in users read detection labels"
+  on public.detection_labels for select to authenticated using (true);
+
+create policy "Operators and admins add detection labels"
+  on public.detection_labels for insert to authenticated
+  with check (public.app_role() in ('operator', 'admin'));
+
+create policy "Operators and admins change detection labels"
+  on public.detection_labels for update to authenticated
+  using (public.app_role() in ('operator', 'admin'));
+
+create policy "Operators and admins remove detection labels"
+  on public.detection_labels for delete to authenticated
+  using (public.app_role() in ('operator', 'admin'));
+
+-- Detections joined with their label, for the dataset export
+create or replace view public.labelled_detections
+with (security_invoker = true) as
+select
+  d.*,
+  l.label,
+  l.comment as label_comment,
+  l.labelled_at,
+  l.label in ('true_positive', 'missed_leak') as actual_leak
+from public.detections d
+join public.detection_labels l on l.detection_id = d.id;
+
+grant select on public.labelled_detections to authenticated;
+
+-- Per-sensor label counts for detections since `since`. leak_detections counts
+-- every leak detection, labelled or not, so coverage can be shown too.
+create or replace function public.detection_label_summary(since timestamptz)
+returns table (
+  sensor_id text,
+  leak_detections bigint,
+  true_positives bigint,
+  false_positives bigint,
+  missed_leaks bigint
+)
+language sql
+stable
+as $$
+  select
+    d.sensor_id::text,
+    count(*) filter (where d.is_leak),
+    count(*) filter (where l.label = 'true_positive'),
+    count(*) filter (where l.label = 'false_positive'),
+    count(*) filter (where l.label = 'missed_leak')
+  from public.detections d
+  left join public.detection_labels l on l.detection_id = d.id
+  where d.created_at >= since
+  group by 1
+  having count(*) filter (where d.is_leak or l.label is not null) > 0
+  order by 1;
+$$;
+
+grant execute on function public.detection_label_summary(timestamptz) to authenticated;
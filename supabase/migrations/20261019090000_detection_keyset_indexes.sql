@@ -0,0 +1,19 @@
+-- Detection history pages by keyset (rows after the last one seen, in sort
+-- order) instead of by offset. Each sortable column gets an index ending in
+-- id, the tiebreak, so a page is one index range scan however deep it is.
+-- Postgres reads these backwards for descending sorts and for Prev/Last.
+
+create index if not exists detections_created_at_id_idx
+  on public.detections (created_at, id);
+
+create index if not exists detections_confidence_id_idx
+  on public.detections (confidence, id);
+
+create index if not exists detections_sensor_id_id_idx
+  on public.detections (sensor_id, id);
+
+create index if not exists detections_estimated_leak_size_id_idx
+  on public.detections (estimated_leak_size, id);
+
+create index if not exists detections_estimated_location_id_idx
+  on public.detections (estimated_location, id);
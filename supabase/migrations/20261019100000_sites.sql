@@ -0,0 +1,125 @@
+-- Sites (campuses, zones): every sensor belongs to one, and the dashboard is
+-- scoped to the site picked in its header. Detections and incidents carry
+-- their sensor's site so history queries, realtime filters and per-site
+-- counts don't need a join.
+
+create table if not exists public.sites (
+  id text primary key,
+  name text not null,
+  -- Map view; a site without a center uses the configured map center/zoom
+  lat double precision check (lat between -90 and 90),
+  lng double precision check (lng between -180 and 180),
+  zoom integer check (zoom between 0 and 22),
+  -- Optional pan limit (map.bounds), all four or none
+  bounds_south double precision,
+  bounds_west double precision,
+  bounds_north double precision,
+  bounds_east double precision,
+  created_at timestamptz not null default now(),
+  check ((lat is null) = (lng is null)),
+  check (num_nulls(bounds_south, bounds_west, bounds_north, bounds_east) in (0, 4))
+);
+
+-- Existing installs become a single site
+insert into public.sites (id, name) values ('main', 'Main site')
+on conflict do nothing;
+
+alter table public.sensors
+  add column if not exists site_id text references public.sites (id);
+update public.sensors set site_id = 'main' where site_id is null;
+alter table public.sensors alter column site_id set not null;
+
+create index if not exists sensors_site_id_idx on public.sensors (site_id);
+
+-- Detections and incidents keep the site their sensor was in when they were
+-- recorded, so moving a sensor doesn't rewrite history
+alter table public.detections
+  add column if not exists site_id text references public.sites (id);
+alter table public.incidents
+  add column if not exists site_id text references public.sites (id);
+alter table public.pipe_networks
+  add column if not exists site_id text references public.sites (id);
+
+update public.detections d set site_id = s.site_id
+from public.sensors s
+where s.id = d.sensor_id and d.site_id is null;
+
+update public.incidents i set site_id = s.site_id
+from public.sensors s
+where s.id = i.sensor_id and i.site_id is null;
+
+update public.pipe_networks set site_id = 'main' where site_id is null;
+
+create index if not exists detections_site_id_created_at_idx
+  on public.detections (site_id, created_at);
+create index if not exists incidents_site_id_idx on public.incidents (site_id);
+create index if not exists pipe_networks_site_id_imported_at_idx
+  on public.pipe_networks (site_id, imported_at desc);
+
+-- Copies the sensor's site onto new detections and incidents
+create or replace function public.stamp_sensor_site()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.site_id is null then
+    select site_id into new.site_id from public.sensors where id = new.sensor_id;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists detections_stamp_site on public.detections;
+create trigger detections_stamp_site
+  before insert on public.detections
+  for each row execute function public.stamp_sensor_site();
+
+drop trigger if exists incidents_stamp_site on public.incidents;
+create trigger incidents_stamp_site
+  before insert on public.incidents
+  for each row execute function public.stamp_sensor_site();
+
+-- Re-created so `d.*` picks up detections.site_id
+create or replace view public.latest_detections
+with (security_invoker = true) as
+select d.*
+from public.sensors s
+cross join lateral (
+  select *
+  from public.detections
+  where detections.sensor_id = s.id
+  order by detections.created_at desc
+  limit 1
+) d;
+
+-- Roll-up for the "All sites" dashboard: sensors, unresolved incidents and
+-- leak detections since `since`, per site
+create or replace function public.site_leak_summary(since timestamptz)
+returns table (site_id text, sensor_count bigint, open_incident_count bigint, leak_count bigint)
+language sql
+stable
+as $$
+  select
+    s.id,
+    (select count(*) from public.sensors x where x.site_id = s.id and x.status <> 'decommissioned'),
+    (select count(*) from public.incidents i where i.site_id = s.id and i.status <> 'resolved'),
+    (select count(*) from public.detections d where d.site_id = s.id and d.is_leak and d.created_at >= since)
+  from public.sites s
+  order by s.name;
+$$;
+
+alter table public.sites enable row level security;
+grant select, insert, update on public.sites to authenticated;
+
+create policy "Signed-in users read sites"
+  on public.sites for select to authenticated using (true);
+
+create policy "Admins add sites"
+  on public.sites for insert to authenticated
+  with check (public.app_role() = 'admin');
+
+create policy "Admins edit sites"
+  on public.sites for update to authenticated
+  using (public.app_role() = 'admin');
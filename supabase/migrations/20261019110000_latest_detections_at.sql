@@ -0,0 +1,23 @@
+-- Each sensor's newest detection at or before a moment, like the
+-- latest_detections view but back in time. Detection replay starts from it,
+-- so sensors that were quiet during the window still show their last reading.
+
+create or replace function public.latest_detections_at(as_of timestamptz, site text default null)
+returns setof public.detections
+language sql
+stable
+as $$
+  select d.*
+  from public.sensors s
+  cross join lateral (
+    select *
+    from public.detections
+    where detections.sensor_id = s.id
+      and detections.created_at <= as_of
+    order by detections.created_at desc
+    limit 1
+  ) d
+  where site is null or d.site_id = site;
+$$;
+
+grant execute on function public.latest_detections_at(timestamptz, text) to authenticated;